@@ -1,46 +1,90 @@
-const CSVHandler = require("./csvHandler");
+const MonteCarloEngine = require("./monteCarloEngine");
+const StatsAccumulator = require("./statsAccumulator");
+const OptionPricer = require("./optionPricer");
+const StrategySimulator = require("./strategySimulator");
+const PredictionPerformance = require("./predictionPerformance");
+const PriceHistory = require("./priceHistory");
+const CurrencyConverter = require("./currencyConverter");
 
-const APICore = (synthBTC) => ({
+const APICore = (synthBTC, serverCore) => ({
     /**
      * Retrieves the most recent simulation data, including key statistics and execution details.
-     * If the latest simulation data is not available, it triggers a new simulation.
+     * If the latest simulation data is not available, it waits for the run in progress, or triggers a new one
+     * through the scheduler so that two runs never share the cancellation and progress state.
+     * The amounts are converted to the `currency` query parameter (the default quote currency otherwise).
+     * `priceStatus` tells how old the last known price is now, `details` how old it was when the run started.
      */
     getOverview: async (req, res) => {
         try {
+            const { quote, default: defaultCurrency } = synthBTC.quoteCurrencies();
+            const code = String(req.query.currency || defaultCurrency).toUpperCase();
+            if (!quote.includes(code)) {
+                return res.status(400).json({ error: `Unsupported currency ${code}. Available currencies: ${quote.join(", ")}` });
+            }
+            const currency = await synthBTC.quoteCurrency(code);
+            if (currency.rate === null) {
+                return res.status(503).json({ error: `No exchange rate available for ${code}` });
+            }
+
             if (!synthBTC.latestOutput) {
-                synthBTC.latestOutput = await synthBTC.getSimulationData(synthBTC.simulationConfig);
+                await serverCore.runSimulation(synthBTC, synthBTC.simulationConfig);
+                if (!synthBTC.latestOutput) {
+                    return res.status(503).json({ error: "No simulation data available yet" });
+                }
             }
             synthBTC.latestOutput.details.executionTime = synthBTC.Utils.defineExecutionTime(synthBTC.serverStartTime);
             synthBTC.latestOutput.status = synthBTC.simulationStatus;
-            res.json(synthBTC.latestOutput);
+            const output = code === "USD" ? synthBTC.latestOutput : CurrencyConverter.convertOutput(synthBTC.latestOutput, currency.rate);
+            res.json({ ...output, currency: currency, priceStatus: synthBTC.priceStatus() });
         } catch (error) {
             res.status(500).json({ error: error.message });
         }
     },
 
     /**
-     * Returns a comprehensive list of all historical simulation records stored in core.csv.
+     * Returns a comprehensive list of all historical simulation records of the storage.
+     * The amounts are converted to the `currency` query parameter, at the exchange rate of each run when it was
+     * logged (`fx_rates`), or else at the current one. The rate used is returned as `fx_rate`.
      */
     getSimulations: async (req, res) => {
         try {
-            const simulations = await CSVHandler.readCoreSimulations(synthBTC.coreFilePath, synthBTC.coreFileName);
-            res.json(simulations);
+            const { quote, default: defaultCurrency } = synthBTC.quoteCurrencies();
+            const code = String(req.query.currency || defaultCurrency).toUpperCase();
+            if (!quote.includes(code)) {
+                return res.status(400).json({ error: `Unsupported currency ${code}. Available currencies: ${quote.join(", ")}` });
+            }
+            const currency = await synthBTC.quoteCurrency(code);
+
+            const simulations = { simulations: synthBTC.storage.listRuns("simulation") };
+            if (code === "USD") {
+                return res.json({ currency: currency, ...simulations });
+            }
+
+            const rows = simulations.simulations.map(simulation => {
+                const rate = CurrencyConverter.parseRates(simulation.fx_rates)[code] || currency.rate;
+                return rate ? { ...CurrencyConverter.convertCoreRow(simulation, rate), fx_rate: rate } : null;
+            });
+            if (rows.includes(null)) {
+                return res.status(503).json({ error: `No exchange rate available for ${code}` });
+            }
+            res.json({ currency: currency, simulations: rows });
         } catch (error) {
             res.status(500).json({ error: error.message });
         }
     },
 
     /**
-     * Fetches specific simulation records by their unique identifiers from core.csv.
+     * Fetches specific simulation records by their unique identifiers from the storage.
      * The IDs are provided as a comma-separated string in the request parameters.
+     * Each record comes with the histogram of its terminal prices when it was saved (null otherwise).
      */
     getSimulationsByIds: async (req, res) => {
         try {
-            const simulations = await CSVHandler.readCoreSimulations(synthBTC.coreFilePath, synthBTC.coreFileName);
             const ids = req.params.ids.split(",").map(id => parseInt(id, 10));
             const results = ids.map(id => {
-                if (id > 0 && id <= simulations.simulations.length) {
-                    return simulations.simulations[id - 1];
+                const simulation = synthBTC.storage.getRun("simulation", id);
+                if (simulation) {
+                    return { ...simulation, histogram: synthBTC.storage.readHistogram(simulation.data_source) };
                 } else {
                     return { error: `Simulation ${id} not available` };
                 }
@@ -51,6 +95,383 @@ const APICore = (synthBTC) => ({
         }
     },
 
+    /**
+     * Returns the per-day percentile fan bands (p5/p25/p50/p75/p95) of a simulation.
+     * The bands are read from the storage, where they are saved with the source of the simulation.
+     */
+    getSimulationBands: async (req, res) => {
+        try {
+            const id = parseInt(req.params.id, 10);
+            const simulation = synthBTC.storage.getRun("simulation", id);
+
+            if (!simulation) {
+                return res.status(404).json({ error: `Simulation ${req.params.id} not available` });
+            }
+
+            const bands = synthBTC.storage.readBands(simulation.data_source);
+
+            if (!bands) {
+                return res.status(404).json({ error: `Bands not available for simulation ${id}` });
+            }
+
+            res.json({
+                simulationId: id,
+                currentPrice: Number(simulation.current_price),
+                dataSource: simulation.data_source,
+                bands: bands
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    },
+
+    /**
+     * Returns the probabilities that the price ends above or below thresholds on a given day ("terminal"),
+     * or that it touches them at any point until that day ("touch"), with their 95% confidence intervals.
+     * The latest simulation is used unless a simulationId is given.
+     * Query parameters: thresholds (comma-separated prices), direction (above or below), day, semantics (terminal or touch).
+     */
+    getProbability: async (req, res) => {
+        try {
+            // The latest run is the last one logged, its id is not the number of runs when some were removed
+            const simulation = req.query.simulationId === undefined ? synthBTC.storage.latestRun("simulation") : synthBTC.storage.getRun("simulation", parseInt(req.query.simulationId, 10));
+
+            if (!simulation) {
+                return res.status(404).json({ error: `Simulation ${req.query.simulationId} not available` });
+            }
+            const id = Number(simulation.simulation_id);
+
+            const thresholds = String(req.query.thresholds || "").split(",").filter(value => value !== "").map(Number);
+            const direction = req.query.direction || "above";
+            const semantics = req.query.semantics || "terminal";
+
+            if (thresholds.length === 0 || thresholds.some(threshold => !(threshold > 0))) {
+                return res.status(400).json({ error: "The thresholds must be a comma-separated list of positive prices" });
+            }
+            if (!["above", "below"].includes(direction)) {
+                return res.status(400).json({ error: "The direction must be 'above' or 'below'" });
+            }
+            if (!["terminal", "touch"].includes(semantics)) {
+                return res.status(400).json({ error: "The semantics must be 'terminal' or 'touch'" });
+            }
+
+            const simulationDays = Number(simulation.simulation_days);
+            const day = req.query.day === undefined ? simulationDays : parseInt(req.query.day, 10);
+
+            if (!(day >= 1 && day <= simulationDays)) {
+                return res.status(400).json({ error: `The day must be between 1 and ${simulationDays}` });
+            }
+
+            const distributions = synthBTC.storage.readDistributions(simulation.data_source);
+
+            if (!distributions) {
+                return res.status(404).json({ error: `Distributions not available for simulation ${id}` });
+            }
+
+            // Touching a threshold above the price is reaching it with the running high, below with the running low
+            const currentPrice = Number(simulation.current_price_exact);
+            const measure = semantics === "terminal" ? "close" : direction === "above" ? "high" : "low";
+            const dayCounts = distributions[measure][day - 1];
+            const round = value => Math.round(value * 10000) / 10000;
+
+            const probabilities = thresholds.map(threshold => {
+                const { count, total } = MonteCarloEngine.thresholdCount(dayCounts, currentPrice, threshold, direction);
+                // A threshold on the side the price starts from is already touched
+                const touched = semantics === "touch" && (direction === "above" ? threshold <= currentPrice : threshold >= currentPrice);
+                const interval = touched ? { lower: 1, upper: 1 } : StatsAccumulator.proportionInterval(count, total);
+                return {
+                    threshold: threshold,
+                    probability: touched ? 1 : round(count / total),
+                    confidenceInterval: {
+                        lower: round(interval.lower),
+                        upper: round(interval.upper)
+                    }
+                };
+            });
+
+            res.json({
+                simulationId: id,
+                dataSource: simulation.data_source,
+                currentPrice: currentPrice,
+                day: day,
+                direction: direction,
+                semantics: semantics,
+                paths: Number(simulation.simulated_data),
+                probabilities: probabilities
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    },
+
+    /**
+     * Prices European, Asian or barrier options for a grid of strikes and expiries on simulated paths, with the
+     * current price and volatility of the latest simulation (or of a chosen simulationId), and their Greeks.
+     * Query parameters: style, type (call or put), strikes and expiries (comma-separated, expiries in days),
+     * barrier and barrierType (barrier options), riskFreeRate (annual percentage).
+     */
+    getOptionPrices: async (req, res) => {
+        try {
+            const simulation = req.query.simulationId === undefined ? synthBTC.storage.latestRun("simulation") : synthBTC.storage.getRun("simulation", parseInt(req.query.simulationId, 10));
+
+            if (!simulation) {
+                return res.status(404).json({ error: `Simulation ${req.query.simulationId} not available` });
+            }
+            const id = Number(simulation.simulation_id);
+
+            const { totalSimulations = 50000, riskFreeRatePercentage = 0, spotBumpPercentage = 1, volatilityBumpPercentage = 1 } = synthBTC.simulationConfig.optionPricing || {};
+            const toList = value => String(value || "").split(",").filter(item => item !== "").map(Number);
+            const style = req.query.style || "european";
+            const type = req.query.type || "call";
+            const rate = req.query.riskFreeRate === undefined ? riskFreeRatePercentage : Number(req.query.riskFreeRate);
+
+            const options = [];
+            toList(req.query.expiries).forEach(expiryDays => {
+                toList(req.query.strikes).forEach(strike => {
+                    const option = { style: style, type: type, strike: strike, expiryDays: expiryDays };
+                    if (style === "barrier") {
+                        option.barrier = Number(req.query.barrier);
+                        option.barrierType = req.query.barrierType;
+                    }
+                    options.push(option);
+                });
+            });
+
+            try {
+                OptionPricer.validateOptions(options);
+                if (!Number.isFinite(rate)) throw new Error("The risk-free rate must be a number");
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+
+            // The volatility of the simulations is over their horizon, the pricer uses it annualized.
+            // Runs logged before the volatility and horizon were recorded cannot be priced
+            const currentPrice = Number(simulation.current_price_exact);
+            const volatility = Number(simulation.volatility_percentage) / 100 * Math.sqrt(OptionPricer.daysPerYear / Number(simulation.simulation_days));
+            if (!(currentPrice > 0) || !(volatility > 0) || !Number.isFinite(volatility)) {
+                return res.status(422).json({ error: `Simulation ${id} has no recorded volatility, price options on a more recent run` });
+            }
+
+            const result = await OptionPricer.price({
+                currentPrice: currentPrice,
+                volatility: volatility,
+                rate: rate / 100,
+                options: options,
+                totalSimulations: totalSimulations,
+                turbitPower: synthBTC.simulationConfig.turbitPower,
+                seed: synthBTC.simulationConfig.seed,
+                spotBump: spotBumpPercentage / 100,
+                volatilityBump: volatilityBumpPercentage / 100,
+                backend: synthBTC.simulationConfig.backend
+            });
+
+            const round = (value, decimals) => value === null ? null : Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+            res.json({
+                simulationId: id,
+                currentPrice: currentPrice,
+                volatilityPercentage: round(volatility * 100, 2),
+                riskFreeRatePercentage: rate,
+                paths: totalSimulations,
+                seed: result.seed,
+                options: result.options.map(({ price, standardError, delta, gamma, vega, blackScholesPrice, ...option }) => ({
+                    ...option,
+                    price: round(price, 2),
+                    standardError: round(standardError, 2),
+                    delta: round(delta, 4),
+                    gamma: Number(gamma.toPrecision(4)),
+                    vega: round(vega, 2),
+                    blackScholesPrice: round(blackScholesPrice, 2)
+                }))
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    },
+
+    /**
+     * Replays investment strategies on the paths of the latest simulation and returns the distribution of their
+     * final value, IRR and maximum drawdown. The strategies are sent in the JSON body ({ strategies: [...] }).
+     */
+    simulateStrategies: async (req, res) => {
+        try {
+            const { strategies } = req.body || {};
+            if (!synthBTC.latestRun) {
+                return res.status(409).json({ error: "No simulation available yet" });
+            }
+
+            try {
+                StrategySimulator.normalizeStrategies(strategies, synthBTC.latestRun.simulationDays);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+
+            res.json(await synthBTC.simulateStrategies(strategies, synthBTC.simulationConfig.strategies));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    },
+
+    /**
+     * Scores the past simulations whose horizon has ended against the realized price of that day, read from the
+     * local price history: the errors of the target and average prices, whether the price ended inside the
+     * simulated p5-p95 range and its percentile rank. Returns the aggregated scores, overall and by month.
+     */
+    getPredictionPerformance: async (req, res) => {
+        try {
+            const simulations = synthBTC.storage.listRuns("simulation");
+            const historyDataset = (synthBTC.simulationConfig && synthBTC.simulationConfig.historyDataset) || synthBTC.historyDataset;
+            const closes = synthBTC.loadPriceHistory(historyDataset);
+            const now = Date.now();
+
+            let pending = 0;
+            let unavailable = 0;
+            const scores = [];
+            simulations.forEach(simulation => {
+                const timestamp = Number(simulation.timestamp);
+                const horizonDays = Number(simulation.simulation_days);
+
+                // Rows logged before the horizon was recorded cannot be scored
+                if (!(horizonDays > 0)) {
+                    unavailable++;
+                    return;
+                }
+                if (timestamp + horizonDays * PredictionPerformance.dayMs > now) {
+                    pending++;
+                    return;
+                }
+                const realized = PredictionPerformance.realizedPrice(closes, timestamp, horizonDays);
+                if (!realized) {
+                    unavailable++;
+                    return;
+                }
+
+                const currentPrice = Number(simulation.current_price_exact || simulation.current_price);
+                const bands = synthBTC.storage.readBands(simulation.data_source);
+                const lastBand = bands && bands.find(band => band.day === horizonDays);
+                const range = lastBand ? { p5: lastBand.p5, p95: lastBand.p95 }
+                    : simulation.percentile_5 ? { p5: Number(simulation.percentile_5), p95: Number(simulation.percentile_95) }
+                    : { p5: null, p95: null };
+                const distributions = synthBTC.storage.readDistributions(simulation.data_source);
+
+                scores.push(PredictionPerformance.score({
+                    simulationId: Number(simulation.simulation_id),
+                    timestamp: timestamp,
+                    horizonDays: horizonDays,
+                    currentPrice: Number(simulation.current_price),
+                    targetPrice: Number(simulation.target_price),
+                    averagePrice: Number(simulation.average_price),
+                    ...range,
+                    percentileRank: distributions ? PredictionPerformance.percentileRank(distributions.close[horizonDays - 1], currentPrice, realized.price) : null
+                }, realized));
+            });
+
+            res.json({
+                historyDataset: historyDataset,
+                scored: scores.length,
+                pending: pending,
+                unavailable: unavailable,
+                summary: PredictionPerformance.aggregate(scores),
+                calibration: PredictionPerformance.aggregateByMonth(scores),
+                predictions: scores
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    },
+
+    /**
+     * Returns the recorded BTC prices between two times (ISO dates or milliseconds), as raw quotes with the price
+     * of each source, or downsampled to OHLC candles when an interval is given (e.g. 5m, 1h, 1d).
+     */
+    getPriceHistory: async (req, res) => {
+        try {
+            const parseTime = value => value === undefined ? undefined : isNaN(value) ? Date.parse(value) : Number(value);
+            const from = parseTime(req.query.from);
+            const to = parseTime(req.query.to);
+
+            if (Number.isNaN(from) || Number.isNaN(to)) {
+                return res.status(400).json({ error: "The from and to parameters must be ISO dates or timestamps in milliseconds" });
+            }
+
+            let intervalMs = null;
+            if (req.query.interval !== undefined) {
+                try {
+                    intervalMs = PriceHistory.parseInterval(req.query.interval);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+            }
+
+            const quotes = PriceHistory.read(synthBTC.priceHistoryFile, { from: from, to: to });
+            if (intervalMs === null) {
+                return res.json({ interval: null, count: quotes.length, quotes: quotes });
+            }
+            const candles = PriceHistory.downsample(quotes, intervalMs);
+            res.json({ interval: req.query.interval, count: candles.length, candles: candles });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    },
+
+    /**
+     * Returns the last recorded BTC price with the price of each source.
+     */
+    getLatestPrice: async (req, res) => {
+        try {
+            const quotes = PriceHistory.read(synthBTC.priceHistoryFile);
+            if (quotes.length === 0) {
+                return res.status(404).json({ error: "No price recorded yet" });
+            }
+            res.json(quotes[quotes.length - 1]);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    },
+
+    /**
+     * Returns the report of the local history dataset: rows that are not valid, duplicated dates, gaps and anomalies.
+     */
+    getDatasetReport: async (req, res) => {
+        try {
+            res.json(synthBTC.datasetReport());
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    },
+
+    /**
+     * Returns the quote currencies with their symbol, locale and current exchange rate from USD.
+     */
+    getCurrencies: async (req, res) => {
+        try {
+            const { quote, default: defaultCurrency } = synthBTC.quoteCurrencies();
+            const currencies = [];
+            for (const code of quote) {
+                currencies.push(await synthBTC.quoteCurrency(code));
+            }
+            res.json({ default: defaultCurrency, currencies: currencies });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    },
+
+    /**
+     * Returns the progress of the current (or last) simulation: paths completed, throughput and ETA.
+     */
+    getProgress: (req, res) => {
+        res.json(synthBTC.progress || { status: synthBTC.simulationStatus });
+    },
+
+    /**
+     * Cancels the simulation in progress. The previous results remain available.
+     */
+    cancelSimulation: (req, res) => {
+        if (!synthBTC.cancelSimulation()) {
+            return res.status(409).json({ error: "No simulation in progress" });
+        }
+        res.json({ cancelled: true });
+    },
+
     /**
      * Provides an index of available API endpoints with descriptions.
      */
@@ -58,10 +479,21 @@ const APICore = (synthBTC) => ({
         res.json({
             message: "Welcome to the synthBTC API",
             endpoints: {
-                "/api/overview": "Retrieves the most recent simulation data, including key statistics and execution details.",
-                "/api/simulations": "Returns a comprehensive list of all historical simulation records stored in core.csv.",
-                "/api/simulations/:id": "Fetches a specific simulation record by its unique identifier from core.csv.",
-                "/api/simulations/:ids": "Retrieves multiple simulation records by their IDs (comma-separated) from core.csv."
+                "/api/overview": "Retrieves the most recent simulation data, including key statistics and execution details (currency: a quote currency, e.g. EUR).",
+                "/api/simulations": "Returns a comprehensive list of all historical simulation records of the storage (currency: a quote currency, e.g. EUR).",
+                "/api/currencies": "Lists the quote currencies with their symbol, locale and current exchange rate from USD.",
+                "/api/simulations/:id": "Fetches a specific simulation record by its unique identifier from the storage.",
+                "/api/simulations/:ids": "Retrieves multiple simulation records by their IDs (comma-separated) from the storage, with the histogram of their terminal prices.",
+                "/api/simulations/:id/bands": "Returns the per-day percentile fan bands (p5/p25/p50/p75/p95) of a simulation.",
+                "/api/prediction-performance": "Scores past simulations against the realized prices once their horizon has ended: errors, p5-p95 hit rate and calibration over time.",
+                "/api/prices/history": "Returns the recorded BTC prices between two times (from, to), raw or downsampled to OHLC candles (interval, e.g. 5m, 1h, 1d).",
+                "/api/prices/latest": "Returns the last recorded BTC price with the quote of each price source.",
+                "/api/dataset": "Reports the gaps and anomalies of the local BTC-USD history dataset (jumps, inconsistent prices, flat candles, days without volume).",
+                "/api/probability": "Returns the probabilities of ending above or below price thresholds, or of touching them, by a given day (latest or chosen simulation).",
+                "/api/options/price": "Prices European, Asian or barrier options on simulated paths with the volatility of the latest simulation, with delta, gamma and vega.",
+                "/api/strategies": "Replays investment strategies (DCA, lump sum, take-profit/stop-loss, rebalancing) on the paths of the latest simulation (POST).",
+                "/api/progress": "Returns the progress of the current simulation: paths completed, throughput and ETA.",
+                "/api/simulations/cancel": "Cancels the simulation in progress (POST)."
             }
         });
     },
@@ -86,8 +518,18 @@ const APICore = (synthBTC) => ({
     setupRoutes: function(app) {
         app.get("/api/overview", (req, res) => this.getOverview(req, res));
         app.get("/api/simulations", (req, res) => this.getSimulations(req, res));
+        app.get("/api/currencies", (req, res) => this.getCurrencies(req, res));
+        app.get("/api/simulations/:id/bands", (req, res) => this.getSimulationBands(req, res));
+        app.post("/api/simulations/cancel", (req, res) => this.cancelSimulation(req, res));
         app.get("/api/simulations/:ids", (req, res) => this.getSimulationsByIds(req, res));
         app.get("/api/prediction-performance", (req, res) => this.getPredictionPerformance(req, res));
+        app.get("/api/prices/history", (req, res) => this.getPriceHistory(req, res));
+        app.get("/api/prices/latest", (req, res) => this.getLatestPrice(req, res));
+        app.get("/api/dataset", (req, res) => this.getDatasetReport(req, res));
+        app.get("/api/probability", (req, res) => this.getProbability(req, res));
+        app.get("/api/options/price", (req, res) => this.getOptionPrices(req, res));
+        app.post("/api/strategies", (req, res) => this.simulateStrategies(req, res));
+        app.get("/api/progress", (req, res) => this.getProgress(req, res));
         app.get("/api", (req, res) => this.getApiIndex(req, res));
 
         // Error handling
@@ -0,0 +1,159 @@
+const StatsAccumulator = require("./statsAccumulator");
+
+const Backtester = {
+    /**
+     * Milliseconds in a day, used to find the date a forecast is compared on.
+     */
+    dayMs: 24 * 60 * 60 * 1000,
+
+    /**
+     * Levels of the central intervals whose coverage is measured, in percent.
+     */
+    coverageLevels: [50, 80, 95],
+
+    /**
+     * Number of bins of the PIT histogram. A calibrated model gives the same share of forecasts in every bin.
+     */
+    pitBins: 10,
+
+    /**
+     * Chooses the origin dates of a walk-forward backtest: every `stepDays` rows of the history, once `warmupDays`
+     * rows are known, as long as the realized price `horizonDays` later is in the history.
+     *
+     * @param {Object[]} history - The daily close prices ({ date, close }), from oldest to newest.
+     * @param {Object} settings - The settings of the backtest.
+     * @param {number} settings.horizonDays - The number of days between an origin and its realized price.
+     * @param {number} settings.stepDays - The number of days between two origins.
+     * @param {number} settings.warmupDays - The number of days of history required before the first origin.
+     * @param {string|null} [settings.startDate=null] - The first possible origin date (YYYY-MM-DD).
+     * @param {string|null} [settings.endDate=null] - The last possible origin date (YYYY-MM-DD).
+     * @returns {Object[]} The origins ({ index, date, close, realizedDate, realizedPrice }).
+     * @throws Will throw an error if the settings are not valid.
+     */
+    origins(history, { horizonDays, stepDays, warmupDays, startDate = null, endDate = null }) {
+        if (!Number.isInteger(horizonDays) || horizonDays < 1) throw new Error("The backtest horizon must be a whole number of days");
+        if (!Number.isInteger(stepDays) || stepDays < 1) throw new Error("The backtest step must be a whole number of days");
+        if (!Number.isInteger(warmupDays) || warmupDays < 31) throw new Error("The backtest warm-up must be at least 31 days");
+
+        const closes = new Map(history.map(({ date, close }) => [date, close]));
+        const origins = [];
+        for (let index = warmupDays; index < history.length; index += stepDays) {
+            const { date, close } = history[index];
+            if ((startDate && date < startDate) || (endDate && date > endDate)) continue;
+
+            const realizedDate = new Date(Date.parse(date) + horizonDays * this.dayMs).toISOString().slice(0, 10);
+            if (closes.has(realizedDate)) {
+                origins.push({ index: index, date: date, close: close, realizedDate: realizedDate, realizedPrice: closes.get(realizedDate) });
+            }
+        }
+        return origins;
+    },
+
+    /**
+     * Calculates the continuous ranked probability score of a forecast: the integral over prices of the squared
+     * difference between its distribution function and the step of the realized price. It is in USD, lower is
+     * better, and rewards both a forecast centered on the outcome and a narrow one.
+     * The distribution function is taken as constant in each bin of the sketch.
+     *
+     * @param {Object} accumulator - The accumulator of the forecast.
+     * @param {number} price - The realized price.
+     * @param {number} currentPrice - The current price used as reference by the sketch.
+     * @returns {number} The CRPS.
+     */
+    crps(accumulator, price, currentPrice) {
+        const { minLogChange, binWidth, binCount } = StatsAccumulator.sketchGrid;
+        const sketch = accumulator.sketch;
+        const edge = position => currentPrice * Math.exp(minLogChange + position * binWidth);
+        let first = 0;
+        let last = binCount - 1;
+        while (first < last && sketch[first] === 0) first++;
+        while (last > first && sketch[last] === 0) last--;
+
+        // Outside the simulated prices the distribution function is 0 or 1, so only the gap to the outcome counts
+        let total = Math.max(edge(first) - price, 0) + Math.max(price - edge(last + 1), 0);
+        let cumulative = 0;
+        for (let bin = first; bin <= last; bin++) {
+            const share = (cumulative + sketch[bin] / 2) / accumulator.count;
+            const lower = edge(bin);
+            const upper = edge(bin + 1);
+            const split = Math.min(Math.max(price, lower), upper);
+            total += (split - lower) * share * share + (upper - split) * (1 - share) * (1 - share);
+            cumulative += sketch[bin];
+        }
+        return total;
+    },
+
+    /**
+     * Scores a forecast distribution against the realized price.
+     *
+     * @param {Object} accumulator - The accumulator of the forecast (see `MonteCarloEngine.executeFullSimulation`).
+     * @param {number} currentPrice - The price at the origin, the reference of the sketch.
+     * @param {number} realizedPrice - The realized price.
+     * @returns {Object} The probability integral transform (the share of paths below the realized price), whether
+     * the central intervals covered it (by level), the CRPS in USD and as a percentage of the realized price,
+     * and the log score (log density of the log price at the realized price, higher is better).
+     */
+    scoreForecast(accumulator, currentPrice, realizedPrice) {
+        const covered = {};
+        this.coverageLevels.forEach(level => {
+            const tail = (1 - level / 100) / 2;
+            covered[level] = realizedPrice >= StatsAccumulator.quantile(accumulator, tail, currentPrice)
+                && realizedPrice <= StatsAccumulator.quantile(accumulator, 1 - tail, currentPrice);
+        });
+        const crps = this.crps(accumulator, realizedPrice, currentPrice);
+
+        return {
+            pit: StatsAccumulator.cdf(accumulator, realizedPrice, currentPrice),
+            covered: covered,
+            crps: crps,
+            crpsPercentage: crps / realizedPrice * 100,
+            logScore: StatsAccumulator.logDensity(accumulator, realizedPrice, currentPrice)
+        };
+    },
+
+    /**
+     * Aggregates the scores of every forecast of a backtest.
+     *
+     * @param {Object[]} forecasts - The scored forecasts (see `scoreForecast`).
+     * @returns {Object} The number of forecasts, the PIT histogram with its chi-square statistic against a uniform
+     * histogram (pitBins - 1 degrees of freedom), the observed coverage of each central interval, and the mean CRPS
+     * and log score ({ forecasts, pit, coverage, crps, logScore }).
+     */
+    summarize(forecasts) {
+        const count = forecasts.length;
+        const round = (value, decimals) => Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+        const mean = values => count === 0 ? null : values.reduce((sum, value) => sum + value, 0) / count;
+
+        const bins = Array.from({ length: this.pitBins }, (_, index) => ({
+            lower: index / this.pitBins,
+            upper: (index + 1) / this.pitBins,
+            count: 0
+        }));
+        forecasts.forEach(({ pit }) => bins[Math.min(Math.floor(pit * this.pitBins), this.pitBins - 1)].count++);
+        const expected = count / this.pitBins;
+        const chiSquare = count === 0 ? null : bins.reduce((sum, bin) => sum + Math.pow(bin.count - expected, 2) / expected, 0);
+
+        const crps = mean(forecasts.map(forecast => forecast.crps));
+        const crpsPercentage = mean(forecasts.map(forecast => forecast.crpsPercentage));
+        const logScore = mean(forecasts.map(forecast => forecast.logScore));
+
+        return {
+            forecasts: count,
+            pit: {
+                bins: bins.map(bin => ({ ...bin, share: count === 0 ? null : round(bin.count / count, 4) })),
+                chiSquare: chiSquare === null ? null : round(chiSquare, 2)
+            },
+            coverage: this.coverageLevels.map(level => {
+                const hits = forecasts.filter(forecast => forecast.covered[level]).length;
+                return { level: level, hits: hits, observed: count === 0 ? null : round(hits / count * 100, 2) };
+            }),
+            crps: {
+                mean: crps === null ? null : round(crps, 2),
+                meanPercentage: crpsPercentage === null ? null : round(crpsPercentage, 4)
+            },
+            logScore: logScore === null ? null : round(logScore, 4)
+        };
+    }
+};
+
+module.exports = Backtester;
\ No newline at end of file
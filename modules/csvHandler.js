@@ -1,5 +1,4 @@
 const fs = require("fs");
-const path = require("path");
 
 const CSVHandler = {
     /**
@@ -24,6 +23,96 @@ const CSVHandler = {
         fs.writeFileSync(filePath, data, { flag: "a" }); // Append the data to the file
     },
 
+    /**
+     * Reads the header row of a CSV file without loading the whole file.
+     * 
+     * @param {string} filePath - The path to the CSV file.
+     * @returns {string[]|null} The column names, or null if the file does not exist or is empty.
+     */
+    readHeader(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+
+        const fd = fs.openSync(filePath, "r");
+        const buffer = Buffer.alloc(4096);
+        let header = "";
+        let bytesRead = 0;
+        let position = 0;
+
+        // Read chunks until the first line break is found
+        while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, position)) > 0) {
+            header += buffer.toString("utf8", 0, bytesRead);
+            position += bytesRead;
+            if (header.includes("\n")) break;
+        }
+        fs.closeSync(fd);
+
+        const line = header.split("\n")[0].trim();
+        return line ? line.split(",") : null;
+    },
+
+    /**
+     * Reads the last non-empty line of a CSV file without loading the whole file, reading chunks from its end.
+     * 
+     * @param {string} filePath - The path to the CSV file.
+     * @returns {string|null} The last line, or null if the file does not exist or is empty.
+     */
+    readLastLine(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+
+        const fd = fs.openSync(filePath, "r");
+        const buffer = Buffer.alloc(4096);
+        let chunks = Buffer.alloc(0);
+        let position = fs.fstatSync(fd).size;
+
+        // Read chunks backwards until a line break precedes the last line
+        while (position > 0) {
+            const length = Math.min(buffer.length, position);
+            position -= length;
+            fs.readSync(fd, buffer, 0, length, position);
+            chunks = Buffer.concat([buffer.subarray(0, length), chunks]);
+            if (chunks.toString("utf8").trimEnd().includes("\n")) break;
+        }
+        fs.closeSync(fd);
+
+        const line = chunks.toString("utf8").trimEnd().split("\n").pop().trim();
+        return line || null;
+    },
+
+    /**
+     * Appends a record to the core simulation log, creating the file with its header if needed.
+     * When the record introduces new columns, the header of an existing log is extended so that
+     * older rows keep their values and the new columns are appended at the end.
+     * 
+     * @param {string} filePath - The path to the core CSV file.
+     * @param {Object} record - The values of the row, keyed by column name.
+     */
+    appendCoreLog(filePath, record) {
+        const existingColumns = this.readHeader(filePath);
+
+        if (!existingColumns) {
+            const columns = Object.keys(record);
+            this.writeCSV(filePath, `${columns.join(",")}\n`, `${columns.map(column => this.formatValue(record[column])).join(",")}\n`);
+            return;
+        }
+
+        const newColumns = Object.keys(record).filter(column => !existingColumns.includes(column));
+        const columns = existingColumns.concat(newColumns);
+
+        // Rewrite the header line when the log gains new columns
+        if (newColumns.length > 0) {
+            const data = fs.readFileSync(filePath, "utf8");
+            const body = data.slice(data.indexOf("\n") + 1);
+            this.writeCSV(filePath, `${columns.join(",")}\n`, body);
+        }
+
+        const entry = columns.map(column => this.formatValue(record[column])).join(",");
+        this.appendCSV(filePath, `${entry}\n`);
+    },
+
     /**
      * Reads data from a CSV file.
      * 
@@ -49,48 +138,132 @@ const CSVHandler = {
     },
 
     /**
-     * Reads and parses the core simulation data from a CSV file.
+     * Formats a value as a CSV field. Values containing a comma or a double quote are quoted,
+     * with their double quotes doubled.
+     * 
+     * @param {*} value - The value, null and undefined are written as an empty field.
+     * @returns {string} The CSV field.
+     */
+    formatValue(value) {
+        if (value === null || value === undefined) {
+            return "";
+        }
+        const text = String(value);
+        return /[",]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * Splits a CSV line into its values, unquoting the quoted fields (see `formatValue`).
      * 
-     * @param {string} coreFilePath - The path to the directory containing the core CSV file.
-     * @param {string} coreFileName - The name of the core CSV file.
-     * @returns {Object} An object containing the parsed simulation records.
-     * @throws Will throw an error if the core CSV file does not exist.
+     * @param {string} line - The CSV line.
+     * @returns {string[]} The values of the line.
      */
-    readCoreSimulations(coreFilePath, coreFileName) {
-        const coreLogFile = path.join(coreFilePath, coreFileName);
-        if (!fs.existsSync(coreLogFile)) {
-            throw new Error("Core log file does not exist.");
+    parseLine(line) {
+        // Most lines have no quoted field
+        if (!line.includes("\"")) {
+            return line.split(",");
+        }
+
+        const values = [];
+        let value = "";
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted && char === "\"") {
+                if (line[i + 1] === "\"") {
+                    value += char;
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else if (!quoted && char === "\"") {
+                quoted = true;
+            } else if (!quoted && char === ",") {
+                values.push(value);
+                value = "";
+            } else {
+                value += char;
+            }
         }
+        values.push(value);
+        return values;
+    },
 
-        const data = fs.readFileSync(coreLogFile, "utf8");
+    /**
+     * Parses the content of a CSV file into records keyed by the header columns.
+     * 
+     * @param {string} data - The content of the CSV file.
+     * @returns {Object[]} An array of records, with the values as strings.
+     */
+    parseCSV(data) {
         const lines = data.trim().split("\n");
-        const headers = lines[0].split(",");
-        const records = lines.slice(1).map(line => {
-            const values = line.split(",");
+        const headers = this.parseLine(lines[0]);
+        return lines.slice(1).map(line => {
+            const values = this.parseLine(line);
             return headers.reduce((obj, header, index) => {
                 obj[header] = values[index];
                 return obj;
             }, {});
         });
+    },
+
+    /**
+     * Parses the percentile fan bands saved for a simulation.
+     * 
+     * @param {string|null} data - The content of the bands CSV file.
+     * @returns {Object[]|null} One record per day with numeric values, or null without content.
+     */
+    parseBands(data) {
+        if (data === null) {
+            return null;
+        }
+
+        return this.parseCSV(data).map(record => {
+            return Object.keys(record).reduce((obj, key) => {
+                obj[key] = Number(record[key]);
+                return obj;
+            }, {});
+        });
+    },
 
-        return { simulations: records };
+    /**
+     * Parses the histogram of the terminal prices saved for a simulation.
+     * 
+     * @param {string|null} data - The content of the histogram CSV file.
+     * @returns {Object[]|null} The bins ({ lower, upper, count }), or null without content.
+     */
+    parseHistogram(data) {
+        if (data === null) {
+            return null;
+        }
+
+        return this.parseCSV(data).map(({ lower, upper, count }) => ({
+            lower: Number(lower),
+            upper: Number(upper),
+            count: Number(count)
+        }));
     },
 
     /**
-     * Calculates the total number of simulated data entries across multiple CSV files.
+     * Parses the per-day histograms saved for a simulation (price, running high and running low).
      * 
-     * @param {string} directory - The directory containing the CSV files.
-     * @param {string} prefix - The prefix that the CSV files should start with.
-     * @returns {number} The total number of simulated data entries.
+     * @param {string|null} data - The content of the distributions CSV file.
+     * @returns {Object|null} For each measure, one sparse histogram per day ({ offset, counts }),
+     * or null without content.
      */
-    calculateSimulatedData(directory, prefix) {
-        const csvFiles = this.getCSVFiles(directory, prefix);
-        return csvFiles.reduce((acc, file) => {
-            const filePath = path.join(directory, file);
-            const data = this.readCSV(filePath);
-            const lines = data.split("\n").slice(1); // Exclude the header line
-            return acc + lines.length - 1; // Subtract 1 to account for the header line
-        }, 0);
+    parseDistributions(data) {
+        if (data === null) {
+            return null;
+        }
+
+        return this.parseCSV(data).reduce((distributions, record) => {
+            const days = distributions[record.measure] || (distributions[record.measure] = []);
+            days[Number(record.day) - 1] = {
+                offset: Number(record.offset),
+                counts: record.counts.split(" ").map(Number)
+            };
+            return distributions;
+        }, {});
     }
 };
 
@@ -0,0 +1,241 @@
+const fs = require("fs");
+const path = require("path");
+const { StringDecoder } = require("string_decoder");
+const CSVHandler = require("./csvHandler");
+const Utils = require("./utils");
+
+/**
+ * Storage of the runs in CSV files (see modules/storage.js): one core log per kind of run (core.csv and
+ * multi_core.csv), and in the data directory one source file per run, with its bands, distributions and histogram
+ * files next to it.
+ *
+ * @param {Object} settings - The settings.
+ * @param {string} settings.dataDir - The directory of the source and artifact files.
+ * @param {Object} settings.coreFiles - The path to the core log of each kind of run ({ simulation, multiAsset }).
+ * @param {Object} settings.prefixes - The file name prefix of the sources of each kind of run and of each artifact
+ * ({ simulation, multiAsset, bands, distributions, histogram }).
+ */
+const CSVStorage = ({ dataDir, coreFiles, prefixes }) => ({
+    name: "csv",
+
+    /**
+     * Returns the path to the file of an artifact of a run.
+     *
+     * @param {string} source - The name of the source of the run.
+     * @param {string} type - The artifact ("bands", "distributions" or "histogram").
+     * @returns {string|null} The path to the file, or null for a source without artifacts (multi-asset runs).
+     */
+    artifactFile(source, type) {
+        return source.startsWith(prefixes.simulation) ? path.join(dataDir, source.replace(prefixes.simulation, prefixes[type])) : null;
+    },
+
+    /**
+     * Counts the simulation runs and their simulated paths, from the core log rather than the source files.
+     *
+     * @returns {Object} The number of runs and of simulated paths ({ simulations, simulatedData }).
+     */
+    summary() {
+        const runs = this.listRuns("simulation");
+        return {
+            simulations: runs.length,
+            simulatedData: runs.reduce((sum, run) => sum + (Number(run.simulated_data) || 0), 0)
+        };
+    },
+
+    /**
+     * Creates the source of a new run, where its paths are appended batch by batch.
+     *
+     * @param {string} kind - The kind of run ("simulation" or "multiAsset").
+     * @param {string[]} columns - The columns of the paths, the first one is the path number.
+     * @param {string} [name] - The name of the source, by default the next free one.
+     * @returns {Object} The source ({ name, index, append(rows), remove() }).
+     */
+    createSource(kind, columns, name) {
+        Utils.ensureDirectoryExists(dataDir);
+        const index = name ? parseInt(name.match(/_(\d+)\.csv$/)[1], 10) : Utils.determineNextFileIndex(dataDir, prefixes[kind]);
+        const sourceName = name || `${prefixes[kind]}_${index}.csv`;
+        const file = path.join(dataDir, sourceName);
+        CSVHandler.writeCSV(file, `${columns.join(",")}\n`, "");
+
+        return {
+            name: sourceName,
+            index: index,
+            append: rows => CSVHandler.appendCSV(file, rows.map(row => `${row.join(",")}\n`).join("")),
+            remove: () => fs.unlinkSync(file)
+        };
+    },
+
+    /**
+     * Reads the paths of a run batch by batch, without loading the whole source.
+     *
+     * @param {string} name - The name of the source.
+     * @param {Function} onBatch - Called with each batch of rows (arrays of values, as strings) and the columns.
+     * @param {number} [batchSize=10000] - The number of rows of a batch.
+     * @returns {string[]|null} The columns of the source, or null if it does not exist.
+     */
+    readSource(name, onBatch, batchSize = 10000) {
+        const file = path.join(dataDir, name);
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+
+        const fd = fs.openSync(file, "r");
+        const buffer = Buffer.alloc(1024 * 1024);
+        const decoder = new StringDecoder("utf8");
+        let columns = null;
+        let rest = "";
+        let batch = [];
+        const addLine = line => {
+            if (line.trim() === "") return;
+            if (!columns) {
+                columns = line.trim().split(",");
+                return;
+            }
+            batch.push(line.trim().split(","));
+            if (batch.length >= batchSize) {
+                onBatch(batch, columns);
+                batch = [];
+            }
+        };
+
+        let bytesRead;
+        while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+            const lines = (rest + decoder.write(buffer.subarray(0, bytesRead))).split("\n");
+            rest = lines.pop();
+            lines.forEach(addLine);
+        }
+        fs.closeSync(fd);
+        addLine(rest + decoder.end());
+        if (batch.length > 0) {
+            onBatch(batch, columns);
+        }
+        return columns;
+    },
+
+    /**
+     * Saves an artifact of a run.
+     *
+     * @param {string} source - The name of the source of the run.
+     * @param {string} type - The artifact ("bands", "distributions" or "histogram").
+     * @param {string} content - The CSV content, header included.
+     */
+    writeArtifact(source, type, content) {
+        fs.writeFileSync(this.artifactFile(source, type), content);
+    },
+
+    /**
+     * Reads an artifact of a run.
+     *
+     * @param {string} source - The name of the source of the run.
+     * @param {string} type - The artifact ("bands", "distributions" or "histogram").
+     * @returns {string|null} The CSV content, or null if it was not saved.
+     */
+    readArtifact(source, type) {
+        const file = this.artifactFile(source, type);
+        return file ? CSVHandler.readCSV(file) : null;
+    },
+
+    /**
+     * Reads the bands, histogram or distributions of a run (see `CSVHandler.parseBands`, `parseHistogram` and `parseDistributions`).
+     *
+     * @param {string} source - The name of the source of the run.
+     * @returns {Object[]|Object|null} The parsed artifact, or null if it was not saved.
+     */
+    readBands(source) {
+        return CSVHandler.parseBands(this.readArtifact(source, "bands"));
+    },
+
+    readHistogram(source) {
+        return CSVHandler.parseHistogram(this.readArtifact(source, "histogram"));
+    },
+
+    readDistributions(source) {
+        return CSVHandler.parseDistributions(this.readArtifact(source, "distributions"));
+    },
+
+    /**
+     * Logs a run in the core log of its kind.
+     *
+     * @param {string} kind - The kind of run ("simulation" or "multiAsset").
+     * @param {Object} record - The values of the run, keyed by column name.
+     */
+    appendRun(kind, record) {
+        fs.mkdirSync(path.dirname(coreFiles[kind]), { recursive: true });
+        CSVHandler.appendCoreLog(coreFiles[kind], record);
+    },
+
+    /**
+     * Lists the runs of a kind, in the order they were logged.
+     *
+     * @param {string} kind - The kind of run ("simulation" or "multiAsset").
+     * @returns {Object[]} The runs, with the values as strings. Empty if none was logged.
+     */
+    listRuns(kind) {
+        const data = CSVHandler.readCSV(coreFiles[kind]);
+        return data === null || data.trim() === "" ? [] : CSVHandler.parseCSV(data);
+    },
+
+    /**
+     * Finds a run by its simulation_id.
+     *
+     * @param {string} kind - The kind of run ("simulation" or "multiAsset").
+     * @param {number} id - The simulation_id of the run.
+     * @returns {Object|null} The run, or null if it was not logged.
+     */
+    getRun(kind, id) {
+        const data = CSVHandler.readCSV(coreFiles[kind]);
+        if (data === null || data.trim() === "") {
+            return null;
+        }
+
+        // Only the lines up to the run are parsed, from the most recent one
+        const lines = data.trim().split("\n");
+        const columns = CSVHandler.parseLine(lines[0]);
+        const idIndex = columns.indexOf("simulation_id");
+        for (let index = lines.length - 1; index > 0; index--) {
+            const values = CSVHandler.parseLine(lines[index]);
+            if (Number(values[idIndex]) === id) {
+                return Object.fromEntries(columns.map((column, columnIndex) => [column, values[columnIndex]]));
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Returns the last logged run of a kind, from the end of the core log only.
+     *
+     * @param {string} kind - The kind of run ("simulation" or "multiAsset").
+     * @returns {Object|null} The run, with the values as strings, or null if none was logged.
+     */
+    latestRun(kind) {
+        const columns = CSVHandler.readHeader(coreFiles[kind]);
+        const line = columns ? CSVHandler.readLastLine(coreFiles[kind]) : null;
+        return line && line !== columns.join(",") ? CSVHandler.parseCSV(`${columns.join(",")}\n${line}`)[0] : null;
+    },
+
+    /**
+     * Counts the runs of a kind.
+     *
+     * @param {string} kind - The kind of run ("simulation" or "multiAsset").
+     * @returns {number} The number of runs.
+     */
+    countRuns(kind) {
+        return this.listRuns(kind).length;
+    },
+
+    /**
+     * Returns the size of the stored data, in bytes.
+     *
+     * @returns {number} The total size of the files of the data directory.
+     */
+    dataSize() {
+        return Utils.calculateDataSize(dataDir);
+    },
+
+    /**
+     * Releases the storage, nothing to do for files.
+     */
+    close() {}
+});
+
+module.exports = CSVStorage;
\ No newline at end of file
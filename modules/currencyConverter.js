@@ -0,0 +1,256 @@
+const fs = require("fs");
+const path = require("path");
+const PriceFetcher = require("./priceFetcher");
+
+const CurrencyConverter = {
+    /**
+     * Symbols, locales and decimals used to display the quote currencies. Other ISO 4217 codes are displayed
+     * with their code as symbol.
+     */
+    formats: {
+        USD: { symbol: "$", locale: "en-US", decimals: 2 },
+        EUR: { symbol: "€", locale: "de-DE", decimals: 2 },
+        GBP: { symbol: "£", locale: "en-GB", decimals: 2 },
+        JPY: { symbol: "¥", locale: "ja-JP", decimals: 0 }
+    },
+
+    /**
+     * Core log columns holding USD amounts: the prices of a run, its percentiles, VaR and CVaR, and the estimates,
+     * standard errors and confidence bounds of its diagnostics.
+     */
+    amountColumns: /^(current|highest|target|average|lowest)_price(_exact)?$|^standard_error$|^percentile_\d+$|^c?var_\d+$|_(estimate|standard_error|ci_lower|ci_upper)$/,
+
+    /**
+     * Exchange rates fetched last ({ source, timestamp, rates }), reused for `maxAgeMinutes`.
+     */
+    cache: null,
+
+    /**
+     * After a failed fetch, the local rates are used until this time (in milliseconds) before fetching again,
+     * so a dashboard polling the API does not wait for the provider on every request.
+     */
+    retryAt: 0,
+
+    /**
+     * Delay before fetching again after a failed fetch, in milliseconds.
+     */
+    retryDelayMs: 60 * 1000,
+
+    /**
+     * Describes how a currency is displayed.
+     *
+     * @param {string} code - The ISO 4217 code of the currency (e.g. "EUR").
+     * @returns {Object} The code, symbol, locale and number of decimals ({ code, symbol, locale, decimals }).
+     */
+    describe(code) {
+        return { code: code, ...(this.formats[code] || { symbol: code, locale: "en-US", decimals: 2 }) };
+    },
+
+    /**
+     * Reads a local exchange rate file, e.g. to run offline:
+     * { "base": "USD", "timestamp": "2024-06-01T00:00:00.000Z", "rates": { "EUR": 0.92, "JPY": 156.9 } },
+     * where each rate is the amount of the currency worth one USD.
+     *
+     * @param {string} filePath - The path to the JSON file.
+     * @returns {Object|null} The rates ({ source, timestamp, rates }), or null if the file does not exist.
+     * @throws Will throw an error if the file is not valid or its base is not USD.
+     */
+    readRates(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+
+        const { base = "USD", timestamp = null, source = "file", rates } = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        if (base !== "USD") {
+            throw new Error(`The exchange rates of ${filePath} must be based on USD`);
+        }
+        if (!rates || Object.values(rates).some(rate => !(rate > 0))) {
+            throw new Error(`The exchange rates of ${filePath} must be positive numbers by currency code`);
+        }
+        return { source: source, timestamp: timestamp, rates: rates };
+    },
+
+    /**
+     * Writes exchange rates to a local file, so they remain available offline.
+     *
+     * @param {string} filePath - The path to the JSON file.
+     * @param {Object} rates - The rates ({ source, timestamp, rates }).
+     */
+    writeRates(filePath, { source, timestamp, rates }) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify({ base: "USD", source: source, timestamp: timestamp, rates: rates }, null, 4));
+    },
+
+    /**
+     * Derives exchange rates from the BTC pairs of CoinGecko: the rate of a currency is the BTC price in that
+     * currency divided by the BTC price in USD.
+     *
+     * @param {string[]} currencies - The currencies other than USD.
+     * @param {string} [baseUrl] - The base URL of the CoinGecko API, e.g. a local stub.
+     * @returns {Promise<Object>} The rates ({ source, timestamp, rates }), without the currencies that have no pair.
+     * @throws Will throw an error if the request fails or the USD pair is missing.
+     */
+    async fetchRates(currencies, baseUrl) {
+        const quotes = await PriceFetcher.fetchCoinGeckoQuotes(["USD", ...currencies], baseUrl);
+        if (!quotes.USD) {
+            throw new Error("Failed to fetch the BTC-USD price from CoinGecko.");
+        }
+        const rates = {};
+        currencies.filter(code => quotes[code]).forEach(code => rates[code] = quotes[code] / quotes.USD);
+        return { source: "coingecko", timestamp: new Date().toISOString(), rates: rates };
+    },
+
+    /**
+     * Returns the exchange rates of the quote currencies. In "live" mode they are fetched from the provider pairs
+     * at most every `maxAgeMinutes` and saved to the local file; if the fetch fails, or in the offline modes
+     * ("fixed" and "replay"), the rates of the local file are used.
+     *
+     * @param {Object} settings - The settings.
+     * @param {string[]} [settings.quote=["USD"]] - The quote currencies.
+     * @param {string} [settings.ratesFile] - The path to the local exchange rate file.
+     * @param {number} [settings.maxAgeMinutes=60] - How long fetched rates are reused.
+     * @param {string} [settings.mode="live"] - The price source mode.
+     * @param {string} [settings.baseUrl] - The base URL of the CoinGecko API.
+     * @returns {Promise<Object>} The rates of the quote currencies that are known, USD included
+     * ({ source, timestamp, rates }). The source is null when no rate is known.
+     */
+    async getRates({ quote = ["USD"], ratesFile, maxAgeMinutes = 60, mode = "live", baseUrl }) {
+        const currencies = quote.filter(code => code !== "USD");
+        const select = ({ source, timestamp, rates }) => {
+            const known = currencies.filter(code => rates[code] > 0);
+            return { source: source, timestamp: timestamp, rates: { USD: 1, ...Object.fromEntries(known.map(code => [code, rates[code]])) } };
+        };
+        if (currencies.length === 0) {
+            return { source: null, timestamp: null, rates: { USD: 1 } };
+        }
+
+        if (mode === "live" && Date.now() >= this.retryAt) {
+            if (this.cache && Date.now() - Date.parse(this.cache.timestamp) < maxAgeMinutes * 60 * 1000) {
+                return select(this.cache);
+            }
+            try {
+                this.cache = await this.fetchRates(currencies, baseUrl);
+                if (ratesFile) {
+                    this.writeRates(ratesFile, this.cache);
+                }
+                return select(this.cache);
+            } catch (error) {
+                this.retryAt = Date.now() + this.retryDelayMs;
+                console.warn(`\x1b[0m- \x1b[31mWARNING\x1b[0m | \x1b[37mFailed to fetch exchange rates, the local ones are used.\x1b[0m`);
+            }
+        }
+
+        const known = (ratesFile && this.readRates(ratesFile)) || this.cache;
+        return known ? select(known) : { source: null, timestamp: null, rates: { USD: 1 } };
+    },
+
+    /**
+     * Describes exchange rates in a single CSV field, e.g. "EUR=0.921500;JPY=156.900000". USD is left out.
+     *
+     * @param {Object} rates - The rates by currency code.
+     * @returns {string} The described rates.
+     */
+    describeRates(rates) {
+        return Object.entries(rates).filter(([code]) => code !== "USD").map(([code, rate]) => `${code}=${rate.toFixed(6)}`).join(";");
+    },
+
+    /**
+     * Parses the exchange rates written by `describeRates`.
+     *
+     * @param {string} [description=""] - The described rates.
+     * @returns {Object} The rates by currency code, USD included.
+     */
+    parseRates(description = "") {
+        const rates = { USD: 1 };
+        description.split(";").filter(rate => rate !== "").forEach(rate => {
+            const [code, value] = rate.split("=");
+            rates[code] = parseFloat(value);
+        });
+        return rates;
+    },
+
+    /**
+     * Converts the USD amounts of a simulation output (see `synthBTC.generateSimulations`): the overview prices,
+     * the histogram and percentiles, VaR and CVaR, the diagnostics, the strategy values and the multi-asset prices.
+     * Percentages, counts and the quotes of the price sources are left as they are.
+     *
+     * @param {Object} output - The simulation output.
+     * @param {number} rate - The amount of the currency worth one USD.
+     * @returns {Object} A converted copy of the output.
+     */
+    convertOutput(output, rate) {
+        const price = value => Math.round(value * rate);
+        const amount = value => value === null || value === undefined ? value : Math.round(value * rate * 100) / 100;
+        const mapValues = (object, convert) => Object.fromEntries(Object.entries(object).map(([key, value]) => [key, convert(value)]));
+        const { overview, distribution, risk, details, strategies, multiAsset } = output;
+
+        return {
+            ...output,
+            overview: mapValues(overview, entry => ({ ...entry, price: price(entry.price) })),
+            distribution: distribution && {
+                ...distribution,
+                histogram: distribution.histogram.map(bin => ({ ...bin, lower: price(bin.lower), upper: price(bin.upper) })),
+                percentiles: mapValues(distribution.percentiles, price)
+            },
+            risk: risk && {
+                ...risk,
+                levels: risk.levels.map(level => ({
+                    ...level,
+                    valueAtRisk: { ...level.valueAtRisk, amount: amount(level.valueAtRisk.amount) },
+                    expectedShortfall: { ...level.expectedShortfall, amount: amount(level.expectedShortfall.amount) }
+                }))
+            },
+            details: details && {
+                ...details,
+                standardError: amount(details.standardError),
+                diagnostics: details.diagnostics && mapValues(details.diagnostics, statistic => {
+                    if (typeof statistic !== "object" || statistic === null) return statistic;
+                    return {
+                        ...statistic,
+                        estimate: amount(statistic.estimate),
+                        standardError: amount(statistic.standardError),
+                        confidenceInterval: statistic.confidenceInterval && {
+                            ...statistic.confidenceInterval,
+                            lower: amount(statistic.confidenceInterval.lower),
+                            upper: amount(statistic.confidenceInterval.upper)
+                        }
+                    };
+                })
+            },
+            strategies: strategies && {
+                ...strategies,
+                strategies: strategies.strategies.map(strategy => ({
+                    ...strategy,
+                    initialAmount: amount(strategy.initialAmount),
+                    contributionAmount: amount(strategy.contributionAmount),
+                    flows: strategy.flows && strategy.flows.map(flow => ({ ...flow, amount: amount(flow.amount) })),
+                    totalInvested: amount(strategy.totalInvested),
+                    finalValue: mapValues(strategy.finalValue, amount)
+                }))
+            },
+            multiAsset: multiAsset && {
+                ...multiAsset,
+                assets: multiAsset.assets.map(({ symbol, ...prices }) => ({ symbol: symbol, ...mapValues(prices, amount) }))
+            }
+        };
+    },
+
+    /**
+     * Converts the USD amounts of a core log row (see `amountColumns`). Empty values are left empty.
+     *
+     * @param {Object} row - The row, with the values as strings.
+     * @param {number} rate - The amount of the currency worth one USD.
+     * @returns {Object} A converted copy of the row.
+     */
+    convertCoreRow(row, rate) {
+        const converted = { ...row };
+        Object.keys(row).filter(column => this.amountColumns.test(column) && row[column] !== "" && row[column] !== undefined).forEach(column => {
+            const value = Number(row[column]) * rate;
+            // Prices and percentiles are logged as whole numbers, the other amounts with cents
+            converted[column] = /_price$|^percentile_/.test(column) ? String(Math.round(value)) : value.toFixed(2);
+        });
+        return converted;
+    }
+};
+
+module.exports = CurrencyConverter;
\ No newline at end of file
@@ -0,0 +1,455 @@
+const fs = require("fs");
+const axios = require("axios");
+const PriceHistory = require("./priceHistory");
+const PriceReplay = require("./priceReplay");
+
+const DatasetManager = {
+    /**
+     * Columns of the dataset, in the Yahoo Finance format of the original BTC-USD.csv.
+     */
+    header: ["Date", "Open", "High", "Low", "Close", "Adj Close", "Volume"],
+
+    /**
+     * Milliseconds in a day.
+     */
+    dayMs: 24 * 60 * 60 * 1000,
+
+    /**
+     * Sources of daily candles used to append the missing days. Each one fetches the candles between two dates
+     * (YYYY-MM-DD, both included) and returns them as rows ({ date, open, high, low, close, volume }, the volume
+     * in USD). Other sources can be added to this registry and named in the `sources` of `update`.
+     */
+    sources: {
+        coinbase: {
+            async fetch(from, to) {
+                const rows = [];
+                const last = Date.parse(to);
+                // At most 300 candles per request
+                for (let start = Date.parse(from); start <= last; start += 300 * DatasetManager.dayMs) {
+                    const end = Math.min(start + 299 * DatasetManager.dayMs, last);
+                    const url = `https://api.exchange.coinbase.com/products/BTC-USD/candles?granularity=86400&start=${new Date(start).toISOString()}&end=${new Date(end).toISOString()}`;
+                    const response = await axios.get(url, { timeout: 10000 });
+                    response.data.forEach(([time, low, high, open, close, volume]) => {
+                        rows.push({ date: DatasetManager.toDate(time * 1000), open, high, low, close, volume: volume * close });
+                    });
+                }
+                return rows;
+            }
+        },
+        kraken: {
+            // Kraken only returns the last 720 daily candles
+            async fetch(from) {
+                const since = Date.parse(from) / 1000 - 1;
+                const response = await axios.get(`https://api.kraken.com/0/public/OHLC?pair=XBTUSD&interval=1440&since=${since}`, { timeout: 10000 });
+                if (response.data.error && response.data.error.length > 0) {
+                    throw new Error(response.data.error.join(", "));
+                }
+                const candles = Object.entries(response.data.result).find(([name]) => name !== "last")[1];
+                return candles.map(([time, open, high, low, close, vwap, volume]) => ({
+                    date: DatasetManager.toDate(time * 1000),
+                    open: parseFloat(open),
+                    high: parseFloat(high),
+                    low: parseFloat(low),
+                    close: parseFloat(close),
+                    volume: parseFloat(volume) * parseFloat(vwap)
+                }));
+            }
+        },
+        recorded: {
+            // The daily candles of the recorded price history, without volume
+            async fetch(from, to, { recordedFile }) {
+                const quotes = PriceHistory.read(recordedFile, { from: Date.parse(from), to: Date.parse(to) + DatasetManager.dayMs - 1 });
+                return PriceHistory.downsample(quotes, DatasetManager.dayMs).map(({ timestamp, open, high, low, close }) => ({
+                    date: DatasetManager.toDate(timestamp), open, high, low, close, volume: 0
+                }));
+            }
+        }
+    },
+
+    /**
+     * Formats a time as a UTC date.
+     *
+     * @param {number} timestamp - The time, in milliseconds.
+     * @returns {string} The date (YYYY-MM-DD).
+     */
+    toDate(timestamp) {
+        return new Date(timestamp).toISOString().slice(0, 10);
+    },
+
+    /**
+     * Checks a row: a real date, positive prices and a volume that is not negative.
+     *
+     * @param {Object} row - The row ({ date, open, high, low, close, volume }).
+     * @returns {string|null} Why the row is not valid, or null if it is.
+     */
+    checkRow({ date, open, high, low, close, volume }) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || this.toDate(Date.parse(date)) !== date) return "invalid date";
+        if (![open, high, low, close].every(price => Number.isFinite(price) && price > 0)) return "missing or non-positive price";
+        if (!(Number.isFinite(volume) && volume >= 0)) return "missing or negative volume";
+        return null;
+    },
+
+    /**
+     * Reads the dataset. Rows that are not valid (see `checkRow`), such as the "null" rows of Yahoo Finance
+     * exports, are left out and reported.
+     *
+     * @param {string} filePath - The path to the dataset.
+     * @returns {Object} The valid rows in the order of the file, and the rows left out with their line number
+     * and the reason ({ rows, invalid: [{ line, date, reason }] }). Both are empty if the file does not exist.
+     * In a file with the columns of `header`, each row keeps its original text (`text`), written back as is.
+     * @throws Will throw an error if the file has no Date, Open, High, Low and Close columns.
+     */
+    read(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return { rows: [], invalid: [] };
+        }
+
+        const lines = fs.readFileSync(filePath, "utf8").trim().split("\n");
+        const headers = lines[0].trim().split(",");
+        const index = name => headers.indexOf(name);
+        const sameColumns = headers.join(",") === this.header.join(",");
+        if (["Date", "Open", "High", "Low", "Close"].some(name => index(name) === -1)) {
+            throw new Error(`Dataset ${filePath} must contain Date, Open, High, Low and Close columns.`);
+        }
+
+        const rows = [];
+        const invalid = [];
+        lines.slice(1).forEach((line, position) => {
+            if (line.trim() === "") return;
+            const values = line.trim().split(",");
+            const number = name => index(name) === -1 ? undefined : parseFloat(values[index(name)]);
+            const row = {
+                date: values[index("Date")],
+                open: number("Open"),
+                high: number("High"),
+                low: number("Low"),
+                close: number("Close"),
+                adjClose: number("Adj Close"),
+                volume: index("Volume") === -1 ? 0 : number("Volume"),
+                text: sameColumns ? line.trim() : undefined
+            };
+            const reason = this.checkRow(row);
+            if (reason) {
+                invalid.push({ line: position + 2, date: row.date, reason: reason });
+            } else {
+                rows.push(row);
+            }
+        });
+        return { rows: rows, invalid: invalid };
+    },
+
+    /**
+     * Sorts rows by date and removes the duplicated dates, keeping the last row of each date (the most recent data).
+     *
+     * @param {Object[]} rows - The rows.
+     * @returns {Object} The sorted rows and the duplicated dates ({ rows, duplicates }).
+     */
+    deduplicate(rows) {
+        const byDate = new Map();
+        const duplicates = [];
+        rows.forEach(row => {
+            if (byDate.has(row.date)) duplicates.push(row.date);
+            byDate.set(row.date, row);
+        });
+        return { rows: [...byDate.values()].sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0), duplicates: duplicates };
+    },
+
+    /**
+     * Writes the dataset in the Yahoo Finance format (prices with 6 decimals, volume in USD). The adjusted close
+     * is the close for the rows that do not have one. The rows read from the dataset keep their original text,
+     * and the file keeps its final newline (or the lack of one), so only the added or replaced rows change.
+     *
+     * @param {string} filePath - The path to the dataset.
+     * @param {Object[]} rows - The rows, sorted by date.
+     */
+    write(filePath, rows) {
+        const price = value => Number(value).toFixed(6);
+        const content = rows.map(({ date, open, high, low, close, adjClose, volume, text }) => {
+            if (text !== undefined) {
+                return text;
+            }
+            return [date, price(open), price(high), price(low), price(close), price(adjClose === undefined || Number.isNaN(adjClose) ? close : adjClose), Math.round(volume)].join(",");
+        });
+        const ending = fs.existsSync(filePath) && fs.readFileSync(filePath, "utf8").endsWith("\n") ? "\n" : "";
+        fs.writeFileSync(filePath, [this.header.join(","), ...content].join("\n") + ending);
+    },
+
+    /**
+     * Lists the dates missing from the rows, between the first date (or `startDate` without any row) and `until`.
+     *
+     * @param {Object[]} rows - The rows, sorted by date.
+     * @param {string} until - The last date expected (YYYY-MM-DD).
+     * @param {string} startDate - The first date expected when there is no row.
+     * @returns {string[]} The missing dates, from oldest to newest.
+     */
+    missingDates(rows, until, startDate) {
+        const known = new Set(rows.map(row => row.date));
+        const missing = [];
+        for (let time = Date.parse(rows.length > 0 ? rows[0].date : startDate); time <= Date.parse(until); time += this.dayMs) {
+            const date = this.toDate(time);
+            if (!known.has(date)) missing.push(date);
+        }
+        return missing;
+    },
+
+    /**
+     * Validates the dataset: removes the rows that are not valid and the duplicated dates when `fix` is set.
+     *
+     * @param {string} filePath - The path to the dataset.
+     * @param {Object} [options={}] - The options.
+     * @param {boolean} [options.fix=false] - Whether to write the cleaned dataset back.
+     * @returns {Object} The number of valid rows, the rows left out and the duplicated dates, and whether the file
+     * was rewritten ({ rows, invalid, duplicates, fixed }).
+     */
+    validate(filePath, { fix = false } = {}) {
+        const { rows, invalid } = this.read(filePath);
+        const { rows: unique, duplicates } = this.deduplicate(rows);
+        const fixed = fix && (invalid.length > 0 || duplicates.length > 0);
+        if (fixed) {
+            this.write(filePath, unique);
+        }
+        return { rows: unique.length, invalid: invalid, duplicates: duplicates, fixed: fixed };
+    },
+
+    /**
+     * Reports the gaps and anomalies of the series:
+     * - gap: days missing between two rows,
+     * - jump: a close that changed by more than `maxDailyChangePercentage` from the close of the previous day,
+     * - ohlc: a high below the open, close or low, or a low above the open or close,
+     * - flat: a candle without any range (open = high = low = close), typical of a filled gap,
+     * - zeroVolume: a day without volume.
+     *
+     * @param {Object[]} rows - The rows, sorted by date without duplicates.
+     * @param {Object} [options={}] - The options.
+     * @param {number} [options.maxDailyChangePercentage=30] - The largest daily change that is not an anomaly.
+     * @returns {Object} The number of rows, the first and last dates, the gaps ({ after, before, missingDays }) and
+     * the anomalies ({ date, type, detail }).
+     */
+    report(rows, { maxDailyChangePercentage = 30 } = {}) {
+        const gaps = [];
+        const anomalies = [];
+        rows.forEach((row, index) => {
+            const { date, open, high, low, close, volume } = row;
+            const previous = rows[index - 1];
+            if (previous) {
+                const missingDays = Math.round((Date.parse(date) - Date.parse(previous.date)) / this.dayMs) - 1;
+                if (missingDays > 0) {
+                    gaps.push({ after: previous.date, before: date, missingDays: missingDays });
+                } else {
+                    const changePercentage = (close / previous.close - 1) * 100;
+                    if (Math.abs(changePercentage) > maxDailyChangePercentage) {
+                        anomalies.push({ date: date, type: "jump", detail: `Close changed by ${changePercentage.toFixed(2)}% from ${previous.date}` });
+                    }
+                }
+            }
+            if (high < Math.max(open, close, low) || low > Math.min(open, close)) {
+                anomalies.push({ date: date, type: "ohlc", detail: `Inconsistent prices (open ${open}, high ${high}, low ${low}, close ${close})` });
+            }
+            if (open === high && high === low && low === close) {
+                anomalies.push({ date: date, type: "flat", detail: "Open, high, low and close are equal" });
+            }
+            if (volume === 0) {
+                anomalies.push({ date: date, type: "zeroVolume", detail: "No volume" });
+            }
+        });
+
+        return {
+            rows: rows.length,
+            firstDate: rows.length > 0 ? rows[0].date : null,
+            lastDate: rows.length > 0 ? rows[rows.length - 1].date : null,
+            missingDays: gaps.reduce((sum, gap) => sum + gap.missingDays, 0),
+            gaps: gaps,
+            anomalies: anomalies
+        };
+    },
+
+    /**
+     * Appends the missing days to the dataset, up to the last complete day (yesterday, UTC). The sources are tried
+     * in order, each one for the days the previous ones did not return, and only the missing days are added: the
+     * existing rows are never changed. The rows that are not valid and the duplicated dates are removed.
+     *
+     * @param {string} filePath - The path to the dataset, created if it does not exist.
+     * @param {Object} [settings={}] - The settings.
+     * @param {string[]} [settings.sources=["coinbase", "kraken"]] - The names of the sources (see `sources`).
+     * @param {string} [settings.recordedFile] - The recorded price history, for the "recorded" source.
+     * @param {string} [settings.startDate="2014-09-17"] - The first date of a new dataset.
+     * @param {number} [settings.now=Date.now()] - The current time, in milliseconds.
+     * @returns {Promise<Object>} The number of days added by each source (with its error if it failed), the rows
+     * removed, the days still missing and the last date ({ added, sources, invalidRemoved, duplicatesRemoved,
+     * stillMissing, lastDate }).
+     * @throws Will throw an error if a source is unknown.
+     */
+    async update(filePath, { sources = ["coinbase", "kraken"], recordedFile, startDate = "2014-09-17", now = Date.now() } = {}) {
+        const unknown = sources.filter(name => !this.sources[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown dataset source: ${unknown.join(", ")}. Available sources: ${Object.keys(this.sources).join(", ")}`);
+        }
+
+        const { rows: existing, invalid } = this.read(filePath);
+        const { rows, duplicates } = this.deduplicate(existing);
+        let missing = this.missingDates(rows, this.toDate(now - this.dayMs), startDate);
+
+        const results = [];
+        for (const name of sources) {
+            if (missing.length === 0) break;
+            try {
+                const wanted = new Set(missing);
+                const fetched = this.deduplicate(await this.sources[name].fetch(missing[0], missing[missing.length - 1], { recordedFile }))
+                    .rows.filter(row => wanted.has(row.date) && this.checkRow(row) === null);
+                rows.push(...fetched);
+                const added = new Set(fetched.map(row => row.date));
+                missing = missing.filter(date => !added.has(date));
+                results.push({ name: name, added: fetched.length });
+            } catch (error) {
+                console.warn(`\x1b[0m- \x1b[31mWARNING\x1b[0m | \x1b[37mFailed to fetch the missing days from ${name}: ${error.message}\x1b[0m`);
+                results.push({ name: name, added: 0, error: error.message });
+            }
+        }
+
+        const added = results.reduce((sum, result) => sum + result.added, 0);
+        const sorted = this.deduplicate(rows).rows;
+        if (added > 0 || invalid.length > 0 || duplicates.length > 0) {
+            this.write(filePath, sorted);
+        }
+
+        return {
+            added: added,
+            sources: results,
+            invalidRemoved: invalid.length,
+            duplicatesRemoved: duplicates.length,
+            stillMissing: missing.length,
+            lastDate: sorted.length > 0 ? sorted[sorted.length - 1].date : null
+        };
+    },
+
+    /**
+     * Parses an exchange CSV export into daily rows. The format is detected:
+     * - with a header (Yahoo Finance, Coinbase, CryptoDataDownload/Bitstamp, Binance with header, ...): a time
+     *   column (date, time, timestamp, unix, open time or datetime) and open, high, low and close columns; the
+     *   volume is read from a USD volume column (volume usd, quote volume, ...) or else from the volume column,
+     *   multiplied by the close. Lines before the header (e.g. the URL line of CryptoDataDownload) are skipped.
+     * - without a header: Binance klines (open time in milliseconds, open, high, low, close, volume, close time,
+     *   quote volume, ...) or Kraken OHLCVT (time in seconds, open, high, low, close, volume, trades).
+     * Intraday candles are aggregated into UTC days (first open, highest high, lowest low, last close, total volume).
+     *
+     * @param {string} content - The content of the export.
+     * @returns {Object} The detected format and the daily rows, sorted by date ({ format, rows }).
+     * @throws Will throw an error if the format is not recognized.
+     */
+    parseExport(content) {
+        const lines = content.trim().split("\n").map(line => line.trim()).filter(line => line !== "");
+        const split = line => line.split(",").map(value => value.trim().replace(/^"|"$/g, ""));
+        const start = lines.findIndex(line => split(line).length >= 5);
+        if (start === -1) {
+            throw new Error("The export does not contain any candle.");
+        }
+
+        let format;
+        let candles;
+        const first = split(lines[start]);
+        if (first[0] !== "" && !isNaN(first[0])) {
+            const binance = Number(first[0]) > 1e11;
+            format = binance ? "binance" : "kraken";
+            candles = lines.slice(start).map(split).map(values => {
+                const [time, open, high, low, close, volume] = values.map(parseFloat);
+                return {
+                    timestamp: PriceReplay.parseTimestamp(values[0]),
+                    open, high, low, close,
+                    volume: binance && values.length > 7 ? parseFloat(values[7]) : volume * close
+                };
+            });
+        } else {
+            const headers = first.map(header => header.toLowerCase());
+            const find = names => headers.findIndex(header => names.includes(header));
+            const timeIndex = find(["date", "time", "timestamp", "unix", "open time", "open_time", "datetime"]);
+            const [openIndex, highIndex, lowIndex, closeIndex] = ["open", "high", "low", "close"].map(name => find([name]));
+            const usdVolumeIndex = find(["volume usd", "volume_usd", "volume (usd)", "volume usdt", "quote volume", "quote_volume", "quote asset volume", "quote_asset_volume"]);
+            const volumeIndex = find(["volume", "volume btc", "volume_btc", "volume (btc)", "vol"]);
+            if ([timeIndex, openIndex, highIndex, lowIndex, closeIndex].includes(-1)) {
+                throw new Error("The export must contain a time column and open, high, low and close columns.");
+            }
+
+            format = headers.includes("adj close") ? "yahoo" : headers.includes("unix") ? "cryptodatadownload" : "generic";
+            candles = lines.slice(start + 1).map(split).map(values => {
+                const time = values[timeIndex];
+                const close = parseFloat(values[closeIndex]);
+                return {
+                    // Dates are read as UTC, numbers as seconds or milliseconds since the epoch
+                    timestamp: /^\d{4}-\d{2}-\d{2}/.test(time) ? Date.parse(`${time.slice(0, 10)}T${time.slice(11, 19) || "00:00:00"}Z`) : PriceReplay.parseTimestamp(time),
+                    open: parseFloat(values[openIndex]),
+                    high: parseFloat(values[highIndex]),
+                    low: parseFloat(values[lowIndex]),
+                    close: close,
+                    volume: usdVolumeIndex !== -1 ? parseFloat(values[usdVolumeIndex]) : volumeIndex !== -1 ? parseFloat(values[volumeIndex]) * close : 0
+                };
+            });
+        }
+
+        const days = new Map();
+        candles.filter(candle => Number.isFinite(candle.timestamp)).sort((a, b) => a.timestamp - b.timestamp).forEach(candle => {
+            const date = this.toDate(candle.timestamp);
+            const day = days.get(date);
+            if (day) {
+                day.high = Math.max(day.high, candle.high);
+                day.low = Math.min(day.low, candle.low);
+                day.close = candle.close;
+                day.volume += candle.volume;
+            } else {
+                days.set(date, { date: date, open: candle.open, high: candle.high, low: candle.low, close: candle.close, volume: candle.volume });
+            }
+        });
+        return { format: format, rows: [...days.values()] };
+    },
+
+    /**
+     * Imports an exchange CSV export into the dataset (see `parseExport`). Only the days missing from the dataset
+     * are added, unless `overwrite` is set. The current day (UTC) is left out, as its candle is not complete.
+     *
+     * @param {string} filePath - The path to the dataset, created if it does not exist.
+     * @param {string} exportFile - The path to the export.
+     * @param {Object} [options={}] - The options.
+     * @param {boolean} [options.overwrite=false] - Whether the imported days replace the existing ones.
+     * @param {number} [options.now=Date.now()] - The current time, in milliseconds.
+     * @returns {Object} The detected format, the number of days in the export, added, replaced and skipped
+     * (already known, or not valid) ({ format, days, added, replaced, skipped, invalid }).
+     * @throws Will throw an error if the export does not exist or its format is not recognized.
+     */
+    importExport(filePath, exportFile, { overwrite = false, now = Date.now() } = {}) {
+        if (!fs.existsSync(exportFile)) {
+            throw new Error(`Export ${exportFile} does not exist.`);
+        }
+
+        const { format, rows: imported } = this.parseExport(fs.readFileSync(exportFile, "utf8"));
+        const today = this.toDate(now);
+        const valid = imported.filter(row => row.date < today && this.checkRow(row) === null);
+        const { rows } = this.deduplicate(this.read(filePath).rows);
+        const byDate = new Map(rows.map(row => [row.date, row]));
+
+        let added = 0;
+        let replaced = 0;
+        valid.forEach(row => {
+            if (!byDate.has(row.date)) {
+                added++;
+            } else if (overwrite) {
+                replaced++;
+            } else {
+                return;
+            }
+            byDate.set(row.date, row);
+        });
+
+        if (added + replaced > 0) {
+            this.write(filePath, this.deduplicate([...byDate.values()]).rows);
+        }
+        return {
+            format: format,
+            days: imported.length,
+            added: added,
+            replaced: replaced,
+            skipped: valid.length - added - replaced,
+            invalid: imported.length - valid.length
+        };
+    }
+};
+
+module.exports = DatasetManager;
\ No newline at end of file
@@ -0,0 +1,317 @@
+const fs = require("fs");
+
+const HistoricalData = {
+    cache: {},
+
+    /**
+     * Reads a daily OHLCV CSV file (Yahoo Finance layout) and returns its close prices.
+     * Rows with missing or invalid close prices are skipped.
+     *
+     * @param {string} filePath - The path to the CSV file.
+     * @returns {Object[]} An array of { date, close } objects, sorted from oldest to newest.
+     * @throws Will throw an error if the file does not exist or has no Date/Close columns.
+     */
+    readPriceHistory(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Historical dataset ${filePath} does not exist.`);
+        }
+
+        const lines = fs.readFileSync(filePath, "utf8").trim().split("\n");
+        const headers = lines[0].trim().split(",");
+        const dateIndex = headers.indexOf("Date");
+        const closeIndex = headers.indexOf("Close");
+
+        if (dateIndex === -1 || closeIndex === -1) {
+            throw new Error(`Historical dataset ${filePath} must contain Date and Close columns.`);
+        }
+
+        return lines.slice(1)
+            .map(line => {
+                const values = line.trim().split(",");
+                return { date: values[dateIndex], close: parseFloat(values[closeIndex]) };
+            })
+            .filter(row => row.date && Number.isFinite(row.close) && row.close > 0)
+            .sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+    },
+
+    /**
+     * Calculates the daily log returns of a series of close prices.
+     *
+     * @param {number[]} closes - The close prices, from oldest to newest.
+     * @returns {number[]} The log returns, one less than the number of prices.
+     */
+    calculateLogReturns(closes) {
+        return closes.slice(1).map((close, i) => Math.log(close / closes[i]));
+    },
+
+    /**
+     * Loads the most recent daily log returns of a historical dataset.
+     * The result is cached until the file is modified, so scheduled runs do not re-read the CSV.
+     *
+     * @param {string} filePath - The path to the CSV file.
+     * @param {number} [windowDays=0] - The number of most recent returns to keep (0 keeps the full history).
+     * @returns {number[]} The daily log returns, from oldest to newest.
+     */
+    loadLogReturns(filePath, windowDays = 0) {
+        const modifiedTime = fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : null;
+        const cacheKey = `${filePath}:${windowDays}`;
+        const cached = this.cache[cacheKey];
+
+        if (cached && cached.modifiedTime === modifiedTime) {
+            return cached.returns;
+        }
+
+        const closes = this.readPriceHistory(filePath).map(row => row.close);
+        const allReturns = this.calculateLogReturns(closes);
+        const returns = windowDays > 0 ? allReturns.slice(-windowDays) : allReturns;
+
+        if (returns.length === 0) {
+            throw new Error(`Historical dataset ${filePath} does not contain enough prices to calculate returns.`);
+        }
+
+        this.cache[cacheKey] = { modifiedTime, returns };
+        return returns;
+    },
+
+    /**
+     * Calculates the realized daily volatility, the sample standard deviation of the returns.
+     *
+     * @param {number[]} returns - The daily log returns.
+     * @returns {number} The daily volatility, as a decimal.
+     */
+    realizedVolatility(returns) {
+        const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+        const squares = returns.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0);
+        return Math.sqrt(squares / Math.max(returns.length - 1, 1));
+    },
+
+    /**
+     * Calculates the EWMA (RiskMetrics) daily volatility, which gives more weight to recent returns.
+     * The variance starts from the realized variance and the mean return is assumed to be zero.
+     *
+     * @param {number[]} returns - The daily log returns, from oldest to newest.
+     * @param {number} [lambda=0.94] - The decay factor, between 0 and 1.
+     * @returns {number} The daily volatility forecast for the next day, as a decimal.
+     */
+    ewmaVolatility(returns, lambda = 0.94) {
+        let variance = Math.pow(this.realizedVolatility(returns), 2);
+        returns.forEach(value => {
+            variance = lambda * variance + (1 - lambda) * value * value;
+        });
+        return Math.sqrt(variance);
+    },
+
+    /**
+     * Fits a GARCH(1,1) to the returns and forecasts the average daily volatility over a horizon.
+     * The long-run variance is targeted to the sample variance, and alpha/beta are found by maximizing
+     * the Gaussian likelihood over a grid, which is robust enough for a few years of daily data.
+     *
+     * @param {number[]} returns - The daily log returns, from oldest to newest.
+     * @param {number} horizonDays - The number of days of the forecast.
+     * @returns {Object} The daily volatility over the horizon and the fitted parameters ({ volatility, alpha, beta }).
+     */
+    garchVolatility(returns, horizonDays) {
+        const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+        const residuals = returns.map(value => value - mean);
+        const longRunVariance = residuals.reduce((sum, value) => sum + value * value, 0) / residuals.length;
+
+        let best = { logLikelihood: -Infinity, alpha: 0, beta: 0, variance: longRunVariance };
+        for (let alpha = 0.01; alpha <= 0.3; alpha += 0.01) {
+            for (let beta = 0.5; alpha + beta < 0.999; beta += 0.01) {
+                const omega = longRunVariance * (1 - alpha - beta);
+                let variance = longRunVariance;
+                let logLikelihood = 0;
+                residuals.forEach(value => {
+                    logLikelihood -= Math.log(variance) + value * value / variance;
+                    variance = omega + alpha * value * value + beta * variance;
+                });
+                if (logLikelihood > best.logLikelihood) {
+                    best = { logLikelihood, alpha, beta, variance };
+                }
+            }
+        }
+
+        // The forecast variance reverts to the long-run variance at rate alpha + beta
+        const persistence = best.alpha + best.beta;
+        let totalVariance = 0;
+        for (let day = 0; day < horizonDays; day++) {
+            totalVariance += longRunVariance + Math.pow(persistence, day) * (best.variance - longRunVariance);
+        }
+
+        return {
+            volatility: Math.sqrt(totalVariance / horizonDays),
+            alpha: Math.round(best.alpha * 100) / 100,
+            beta: Math.round(best.beta * 100) / 100
+        };
+    },
+
+    /**
+     * Estimates the daily volatility of a historical dataset.
+     *
+     * @param {string} filePath - The path to the CSV file.
+     * @param {Object} estimator - The estimator options.
+     * @param {string} [estimator.method="ewma"] - The estimator: realized, ewma or garch.
+     * @param {number} [estimator.windowDays=365] - The number of most recent returns used (0 uses the full history).
+     * @param {number} [estimator.ewmaLambda=0.94] - The decay factor of the EWMA estimator.
+     * @param {number} horizonDays - The number of days simulated, used by the GARCH forecast.
+     * @returns {number} The daily volatility, as a decimal.
+     * @throws Will throw an error if the method is unknown or the window is too short.
+     */
+    estimateVolatility(filePath, estimator = {}, horizonDays) {
+        return this.estimateReturnsVolatility(this.loadLogReturns(filePath), estimator, horizonDays);
+    },
+
+    /**
+     * Estimates the daily volatility of a series of returns, e.g. the returns known at a past date.
+     *
+     * @param {number[]} returns - The daily log returns, from oldest to newest.
+     * @param {Object} estimator - The estimator options (see `estimateVolatility`).
+     * @param {number} horizonDays - The number of days simulated, used by the GARCH forecast.
+     * @returns {number} The daily volatility, as a decimal.
+     * @throws Will throw an error if the method is unknown or the window is too short.
+     */
+    estimateReturnsVolatility(returns, { method = "ewma", windowDays = 365, ewmaLambda = 0.94 } = {}, horizonDays) {
+        const window = windowDays > 0 ? returns.slice(-windowDays) : returns;
+
+        if (window.length < 30) {
+            throw new Error("At least 30 returns are required to estimate the volatility.");
+        }
+
+        switch (method) {
+            case "realized":
+                return this.realizedVolatility(window);
+            case "ewma":
+                if (!(ewmaLambda > 0 && ewmaLambda < 1)) {
+                    throw new Error("The EWMA lambda must be between 0 and 1");
+                }
+                return this.ewmaVolatility(window, ewmaLambda);
+            case "garch":
+                return this.garchVolatility(window, horizonDays).volatility;
+            default:
+                throw new Error(`Unknown volatility estimator: ${method}. Available estimators: realized, ewma, garch`);
+        }
+    },
+
+    /**
+     * Fits a hidden Markov model with Gaussian emissions to the returns (Baum-Welch, with scaled
+     * forward-backward passes). Each hidden state is a market regime with its own mean and volatility.
+     * States are sorted by mean return, so with 2 or 3 states they are named bear, (sideways,) bull.
+     *
+     * @param {number[]} returns - The daily log returns, from oldest to newest.
+     * @param {number} [regimeCount=3] - The number of regimes.
+     * @param {number} [maxIterations=200] - The maximum number of EM iterations.
+     * @returns {Object} The regimes ({ name, mean, volatility } daily), the daily transition matrix,
+     * the probabilities of each regime on the last day and the log likelihood of the fit.
+     * @throws Will throw an error if there are not enough returns for the number of regimes.
+     */
+    fitRegimes(returns, regimeCount = 3, maxIterations = 200) {
+        const size = returns.length;
+        if (!Number.isInteger(regimeCount) || regimeCount < 1) {
+            throw new Error("The number of regimes must be an integer greater than 0");
+        }
+        if (size < regimeCount * 30) {
+            throw new Error(`At least ${regimeCount * 30} returns are required to fit ${regimeCount} regimes`);
+        }
+
+        // Start from the quantile groups of the returns, with sticky transitions
+        const sorted = [...returns].sort((a, b) => a - b);
+        let means = [];
+        let variances = [];
+        for (let k = 0; k < regimeCount; k++) {
+            const group = sorted.slice(Math.floor(k * size / regimeCount), Math.floor((k + 1) * size / regimeCount));
+            means.push(group.reduce((sum, value) => sum + value, 0) / group.length);
+            variances.push(Math.pow(this.realizedVolatility(returns), 2));
+        }
+        let transitions = means.map((_, i) => means.map((_, j) => regimeCount === 1 ? 1 : (i === j ? 0.95 : 0.05 / (regimeCount - 1))));
+        let initial = means.map(() => 1 / regimeCount);
+        const minVariance = variances[0] * 1e-4;
+
+        const density = (value, k) => Math.exp(-0.5 * Math.pow(value - means[k], 2) / variances[k]) / Math.sqrt(2 * Math.PI * variances[k]);
+
+        let forward = [];
+        let logLikelihood = -Infinity;
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            // Forward pass, normalized at every step; the log of the scales adds up to the log likelihood
+            forward = [];
+            const scales = [];
+            for (let t = 0; t < size; t++) {
+                const row = means.map((_, j) => {
+                    const prior = t === 0 ? initial[j] : forward[t - 1].reduce((sum, probability, i) => sum + probability * transitions[i][j], 0);
+                    return prior * density(returns[t], j);
+                });
+                const scale = row.reduce((sum, value) => sum + value, 0) || Number.MIN_VALUE;
+                forward.push(row.map(value => value / scale));
+                scales.push(scale);
+            }
+
+            // Backward pass with the same scales
+            const backward = new Array(size);
+            backward[size - 1] = means.map(() => 1);
+            for (let t = size - 2; t >= 0; t--) {
+                backward[t] = means.map((_, i) => means.reduce((sum, _, j) => sum + transitions[i][j] * density(returns[t + 1], j) * backward[t + 1][j], 0) / scales[t + 1]);
+            }
+
+            // Expected regime of each day and expected transitions between consecutive days
+            const posterior = forward.map((row, t) => row.map((probability, k) => probability * backward[t][k]));
+            const expectedTransitions = means.map(() => means.map(() => 0));
+            for (let t = 0; t < size - 1; t++) {
+                means.forEach((_, i) => means.forEach((_, j) => {
+                    expectedTransitions[i][j] += forward[t][i] * transitions[i][j] * density(returns[t + 1], j) * backward[t + 1][j] / scales[t + 1];
+                }));
+            }
+
+            // Maximization step
+            initial = posterior[0];
+            transitions = expectedTransitions.map(row => {
+                const total = row.reduce((sum, value) => sum + value, 0);
+                return total > 0 ? row.map(value => value / total) : row.map(() => 1 / regimeCount);
+            });
+            means = means.map((_, k) => {
+                const weight = posterior.reduce((sum, row) => sum + row[k], 0);
+                return posterior.reduce((sum, row, t) => sum + row[k] * returns[t], 0) / weight;
+            });
+            variances = means.map((mean, k) => {
+                const weight = posterior.reduce((sum, row) => sum + row[k], 0);
+                return Math.max(posterior.reduce((sum, row, t) => sum + row[k] * Math.pow(returns[t] - mean, 2), 0) / weight, minVariance);
+            });
+
+            const previousLogLikelihood = logLikelihood;
+            logLikelihood = scales.reduce((sum, scale) => sum + Math.log(scale), 0);
+            if (Math.abs(logLikelihood - previousLogLikelihood) < 1e-6) break;
+        }
+
+        const order = means.map((_, k) => k).sort((a, b) => means[a] - means[b]);
+        const names = regimeCount === 2 ? ["bear", "bull"] : regimeCount === 3 ? ["bear", "sideways", "bull"] : order.map((_, k) => `regime${k + 1}`);
+
+        return {
+            regimes: order.map((k, index) => ({ name: names[index], mean: means[k], volatility: Math.sqrt(variances[k]) })),
+            transitions: order.map(i => order.map(j => transitions[i][j])),
+            probabilities: order.map(k => forward[size - 1][k]),
+            logLikelihood: logLikelihood
+        };
+    },
+
+    /**
+     * Fits the regimes of a historical dataset, cached until the file is modified.
+     *
+     * @param {string} filePath - The path to the CSV file.
+     * @param {number} [regimeCount=3] - The number of regimes.
+     * @param {number} [windowDays=0] - The number of most recent returns used (0 uses the full history).
+     * @returns {Object} The fitted regimes (see `fitRegimes`).
+     */
+    loadRegimes(filePath, regimeCount = 3, windowDays = 0) {
+        const modifiedTime = fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : null;
+        const cacheKey = `regimes:${filePath}:${regimeCount}:${windowDays}`;
+        const cached = this.cache[cacheKey];
+
+        if (cached && cached.modifiedTime === modifiedTime) {
+            return cached.fit;
+        }
+
+        const fit = this.fitRegimes(this.loadLogReturns(filePath, windowDays), regimeCount);
+        this.cache[cacheKey] = { modifiedTime, fit };
+        return fit;
+    }
+};
+
+module.exports = HistoricalData;
\ No newline at end of file
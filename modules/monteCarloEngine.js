@@ -3,15 +3,418 @@ const Turbit = require("turbit");
 // Create a Turbit instance for parallel processing
 const turbit = Turbit();
 
+const StatsAccumulator = require("./statsAccumulator");
+const ThreadRunner = require("./threadRunner");
+
 const MonteCarloEngine = {
     /**
      * Validates the input parameters for the simulation.
      */
-    validateInputs({ currentPrice, totalSimulations, decimalVolatility, simulationDays }) {
+    validateInputs({ currentPrice, totalSimulations, decimalVolatility, simulationDays, seed }) {
         if (currentPrice <= 0) throw new Error("Current price must be greater than 0");
         if (totalSimulations <= 0) throw new Error("Simulations must be greater than 0");
         if (decimalVolatility <= 0) throw new Error("Volatility must be greater than 0");
         if (simulationDays <= 0) throw new Error("Days must be greater than 0");
+        if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) throw new Error("Seed must be an integer between 0 and 4294967295");
+    },
+
+    /**
+     * Creates a random seed for runs that do not define one, so every run can still be regenerated.
+     * 
+     * @returns {number} An unsigned 32-bit integer.
+     */
+    createSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    },
+
+    /**
+     * Parallel backends able to run the simulation workers. Both split the paths in chunks by `power`
+     * (a percentage of the CPU cores) and run the same self-contained worker functions.
+     * - turbit: child processes, the original backend.
+     * - threads: Node worker threads, which can be stopped in the middle of a batch when a run is cancelled.
+     */
+    backends: {
+        turbit: turbit,
+        threads: ThreadRunner
+    },
+
+    /**
+     * Returns the runner of a parallel backend.
+     * 
+     * @param {string} [backend="turbit"] - The name of the backend.
+     * @returns {Object} The runner, with a Turbit-compatible `run` method.
+     * @throws Will throw an error if the backend is unknown.
+     */
+    getBackend(backend = "turbit") {
+        if (!this.backends[backend]) {
+            throw new Error(`Unknown simulation backend "${backend}". Available backends: ${Object.keys(this.backends).join(", ")}`);
+        }
+        return this.backends[backend];
+    },
+
+    /**
+     * Creates a deterministic uniform random generator (sfc32) for a single path.
+     * The 128-bit state is built from the seed of the run and the global index of the path,
+     * so each path has its own independent stream. The salt separates streams used for other purposes.
+     * The worker functions cannot reach it: they compile its source, passed in their args (`randomSource`), so
+     * every task draws the same numbers for the same seed and path.
+     *
+     * @param {number} seed - The seed of the run (unsigned 32-bit integer).
+     * @param {number} pathIndex - The global index of the path (or of the stream).
+     * @param {number} [salt=0x9E3779B9] - The salt of the stream.
+     * @returns {Function} The generator, returning numbers in [0, 1).
+     */
+    createRandom: function (seed, pathIndex, salt = 0x9E3779B9) {
+        let a = seed >>> 0, b = pathIndex >>> 0, c = salt, d = 1;
+        const next = function () {
+            const t = (((a + b) | 0) + d) | 0;
+            d = (d + 1) | 0;
+            a = b ^ (b >>> 9);
+            b = (c + (c << 3)) | 0;
+            c = ((c << 21) | (c >>> 11)) + t | 0;
+            return (t >>> 0) / 4294967296;
+        };
+        // Discard the first outputs so that similar seeds do not produce similar streams
+        for (let i = 0; i < 15; i++) next();
+        return next;
+    },
+
+    /**
+     * Tail of the queue of backend tasks. Both backends match each chunk with the next message of its worker,
+     * so tasks of different callers (e.g. a simulation and an option pricing) must not run at the same time.
+     */
+    taskQueue: Promise.resolve(),
+
+    /**
+     * Runs a task on a parallel backend once the tasks already queued are done.
+     * 
+     * @param {string} backend - The name of the backend.
+     * @param {Function} func - The self-contained worker function.
+     * @param {Object} options - The options of the backend run (type, data, args, power, signal).
+     * @returns {Promise<Object>} A promise that resolves to the output of each chunk ({ data }).
+     */
+    runTask(backend, func, options) {
+        const runner = this.getBackend(backend);
+        const task = this.taskQueue.then(() => runner.run(func, options));
+        // A failed task must not block the next ones
+        this.taskQueue = task.catch(() => {});
+        return task;
+    },
+
+    /**
+     * Throws the reason of an aborted signal, so a cancelled run stops between two batches with any backend.
+     * 
+     * @param {AbortSignal} [signal] - The signal of the run.
+     * @throws Will throw the abort reason if the signal is aborted.
+     */
+    throwIfCancelled(signal) {
+        if (signal && signal.aborted) {
+            throw signal.reason;
+        }
+    },
+
+    /**
+     * Stochastic models supported by the engine and the `modelParams` each one reads.
+     * "lognormal" is the original driftless step and remains the default.
+     */
+    models: {
+        lognormal: [],
+        gbm: ["driftPercentage"],
+        merton: ["driftPercentage", "jumpIntensity", "jumpMeanPercentage", "jumpVolatilityPercentage"],
+        garch: ["driftPercentage", "garchAlpha", "garchBeta"],
+        bootstrap: ["bootstrapBlockSize", "bootstrapWindowDays"],
+        regime: ["regimeSource", "regimes", "regimeTransitions", "regimeInitialProbabilities"]
+    },
+
+    /**
+     * Default values for the model parameters that are not present in `modelParams`.
+     */
+    defaultModelParams: {
+        driftPercentage: 0,
+        jumpIntensity: 3,
+        jumpMeanPercentage: -5,
+        jumpVolatilityPercentage: 10,
+        garchAlpha: 0.1,
+        garchBeta: 0.85,
+        bootstrapBlockSize: 20,
+        bootstrapWindowDays: 1460,
+        regimeSource: "config",
+        regimeCount: 3,
+        regimeWindowDays: 1460,
+        regimes: [
+            { name: "bear", driftPercentage: -60, volatilityPercentage: 80 },
+            { name: "sideways", driftPercentage: 0, volatilityPercentage: 40 },
+            { name: "bull", driftPercentage: 80, volatilityPercentage: 60 }
+        ],
+        regimeTransitions: [
+            [0.98, 0.015, 0.005],
+            [0.01, 0.98, 0.01],
+            [0.005, 0.015, 0.98]
+        ],
+        regimeInitialProbabilities: null
+    },
+
+    /**
+     * Grid of the per-day histograms used to build the fan bands.
+     * Bins cover the log change of the price from the current price (-5 to +5, 0.5% wide),
+     * so the memory used does not depend on the number of simulated paths.
+     */
+    bandGrid: {
+        minLogChange: -5,
+        binWidth: 0.005,
+        binCount: 2000
+    },
+
+    /**
+     * Percentiles reported for each simulated day.
+     */
+    bandPercentiles: [5, 25, 50, 75, 95],
+
+    /**
+     * Histogram of the maximum drawdown of the paths (the largest fall from a previous high, 0 to 100%),
+     * in bins of 0.1%.
+     */
+    drawdownGrid: {
+        binWidth: 0.001,
+        binCount: 1000
+    },
+
+    /**
+     * Percentiles reported for the maximum drawdown.
+     */
+    drawdownPercentiles: [50, 75, 90, 95, 99],
+
+    /**
+     * Number of paths simulated per batch. Each batch is also an independent replicate
+     * used to measure the standard error of the run.
+     */
+    batchSize: 5000,
+
+    /**
+     * Primitive polynomials (degree, coefficients) and initial direction numbers of the Sobol sequence
+     * for dimensions 2 to 21 (Joe and Kuo). Dimension 1 is the van der Corput sequence.
+     * Only the first steps of the Brownian bridge use Sobol points, those carry most of the variance.
+     */
+    sobolTable: [
+        [1, 0, [1]],
+        [2, 1, [1, 3]],
+        [3, 1, [1, 3, 1]],
+        [3, 2, [1, 1, 1]],
+        [4, 1, [1, 1, 3, 3]],
+        [4, 4, [1, 3, 5, 13]],
+        [5, 2, [1, 1, 5, 5, 17]],
+        [5, 4, [1, 1, 5, 5, 5]],
+        [5, 7, [1, 1, 7, 11, 19]],
+        [5, 11, [1, 1, 5, 1, 1]],
+        [5, 13, [1, 1, 1, 3, 11]],
+        [5, 14, [1, 3, 5, 5, 31]],
+        [6, 1, [1, 3, 3, 9, 7, 49]],
+        [6, 13, [1, 1, 1, 15, 21, 21]],
+        [6, 16, [1, 3, 1, 13, 27, 49]],
+        [6, 19, [1, 1, 1, 15, 7, 5]],
+        [6, 22, [1, 3, 1, 15, 13, 25]],
+        [6, 25, [1, 1, 5, 5, 19, 61]],
+        [7, 1, [1, 3, 7, 11, 23, 15, 103]],
+        [7, 4, [1, 3, 7, 13, 13, 15, 69]]
+    ],
+
+    /**
+     * Validates the variance reduction options and resolves them for the Turbit worker.
+     * 
+     * @param {Object} [varianceReduction={}] - The variance reduction options.
+     * @param {boolean} [varianceReduction.antithetic=false] - Simulate paths in pairs with mirrored random draws.
+     * @param {boolean} [varianceReduction.controlVariate=false] - Correct the mean with a GBM control of known (lognormal) mean.
+     * @param {boolean} [varianceReduction.sobol=false] - Drive the diffusion with scrambled Sobol points and a Brownian bridge.
+     * @param {Object} model - The resolved stochastic model.
+     * @returns {Object} The resolved options.
+     * @throws Will throw an error if an option is not available for the model.
+     */
+    resolveSampling(varianceReduction = {}, model) {
+        const { antithetic = false, controlVariate = false, sobol = false } = varianceReduction;
+
+        // The bootstrap model has no Gaussian diffusion, so there is no control or Brownian path to build
+        if (model.name === "bootstrap" && (controlVariate || sobol)) {
+            throw new Error("Control variates and Sobol sampling are not available for the bootstrap model");
+        }
+
+        return { antithetic, controlVariate, sobol, batchSize: this.batchSize };
+    },
+
+    /**
+     * Describes the variance reduction techniques enabled, safe to be stored in a CSV column.
+     * 
+     * @param {Object} [varianceReduction={}] - The variance reduction options.
+     * @returns {string} The enabled techniques separated by ";", or "none".
+     */
+    describeSampling(varianceReduction = {}) {
+        const enabled = ["antithetic", "controlVariate", "sobol"].filter(technique => varianceReduction[technique]);
+        return enabled.length > 0 ? enabled.join(";") : "none";
+    },
+
+    /**
+     * Creates the 32 direction numbers of each Sobol dimension.
+     * 
+     * @param {number} dimensions - The number of dimensions (up to sobolTable.length + 1).
+     * @returns {number[][]} The direction numbers of each dimension, as unsigned 32-bit integers.
+     */
+    createSobolDirections(dimensions) {
+        const directions = [Array.from({ length: 32 }, (_, bit) => (1 << (31 - bit)) >>> 0)];
+
+        this.sobolTable.slice(0, dimensions - 1).forEach(([degree, coefficients, initial]) => {
+            const values = [];
+            for (let bit = 0; bit < 32; bit++) {
+                if (bit < degree) {
+                    values.push((initial[bit] << (31 - bit)) >>> 0);
+                } else {
+                    let value = values[bit - degree] ^ (values[bit - degree] >>> degree);
+                    for (let k = 1; k < degree; k++) {
+                        if ((coefficients >>> (degree - 1 - k)) & 1) value ^= values[bit - k];
+                    }
+                    values.push(value >>> 0);
+                }
+            }
+            directions.push(values);
+        });
+
+        return directions;
+    },
+
+    /**
+     * Creates the construction order of a Brownian bridge over the given number of steps.
+     * The first node sets the end of the path, each next node fills the middle of an interval
+     * that is already known, so the first random numbers decide the overall shape of the path.
+     * 
+     * @param {number} steps - The number of steps of the path.
+     * @returns {Object[]} The nodes in construction order ({ index, left, right, leftWeight, rightWeight, stdDev }).
+     */
+    createBrownianBridge(steps) {
+        const nodes = [{ index: steps, left: 0, right: 0, leftWeight: 0, rightWeight: 0, stdDev: Math.sqrt(steps) }];
+        const intervals = [[0, steps]];
+
+        for (let i = 0; i < intervals.length; i++) {
+            const [left, right] = intervals[i];
+            if (right - left < 2) continue;
+
+            const index = Math.floor((left + right) / 2);
+            nodes.push({
+                index: index,
+                left: left,
+                right: right,
+                leftWeight: (right - index) / (right - left),
+                rightWeight: (index - left) / (right - left),
+                stdDev: Math.sqrt((index - left) * (right - index) / (right - left))
+            });
+            intervals.push([left, index], [index, right]);
+        }
+
+        return nodes;
+    },
+
+    /**
+     * Resolves the model name and parameters into the decimal values used by the Turbit worker.
+     * Drift, volatility and jump intensity are all expressed over the full simulation horizon,
+     * the same way `volatilityPercentage` has always been applied.
+     * 
+     * @param {string} [model="lognormal"] - The name of the stochastic model.
+     * @param {Object} [modelParams={}] - The parameters of the model (see `defaultModelParams`).
+     * @returns {Object} The resolved model, ready to be passed to the worker.
+     * @throws Will throw an error if the model is unknown or its parameters are out of range.
+     */
+    resolveModel(model = "lognormal", modelParams = {}) {
+        if (!this.models[model]) {
+            throw new Error(`Unknown simulation model "${model}". Available models: ${Object.keys(this.models).join(", ")}`);
+        }
+
+        const params = { ...this.defaultModelParams, ...modelParams };
+
+        if (params.jumpIntensity < 0) throw new Error("Jump intensity must be 0 or greater");
+        if (params.jumpVolatilityPercentage < 0) throw new Error("Jump volatility must be 0 or greater");
+        if (params.garchAlpha < 0 || params.garchBeta < 0) throw new Error("GARCH parameters must be 0 or greater");
+        if (params.garchAlpha + params.garchBeta >= 1) throw new Error("GARCH alpha + beta must be lower than 1");
+        if (params.bootstrapBlockSize < 1) throw new Error("Bootstrap block size must be 1 or greater");
+        if (params.bootstrapWindowDays < 0) throw new Error("Bootstrap window must be 0 or greater");
+        if (model === "regime") this.validateRegimes(params);
+
+        return {
+            name: model,
+            drift: params.driftPercentage / 100,
+            jumpIntensity: params.jumpIntensity,
+            jumpMean: params.jumpMeanPercentage / 100,
+            jumpVolatility: params.jumpVolatilityPercentage / 100,
+            garchAlpha: params.garchAlpha,
+            garchBeta: params.garchBeta,
+            blockSize: params.bootstrapBlockSize,
+            windowDays: params.bootstrapWindowDays,
+            regimes: model === "regime" ? params.regimes.map(regime => ({
+                name: regime.name,
+                drift: regime.driftPercentage / 100,
+                volatility: regime.volatilityPercentage / 100
+            })) : [],
+            transitions: model === "regime" ? params.regimeTransitions : [],
+            initialProbabilities: model === "regime" ? (params.regimeInitialProbabilities || this.stationaryDistribution(params.regimeTransitions)) : []
+        };
+    },
+
+    /**
+     * Validates the regimes, the daily transition matrix and the initial probabilities of the regime model.
+     * 
+     * @param {Object} params - The model parameters.
+     * @throws Will throw an error if a parameter is not valid.
+     */
+    validateRegimes({ regimes, regimeTransitions, regimeInitialProbabilities }) {
+        if (!Array.isArray(regimes) || regimes.length === 0) throw new Error("The regime model requires at least one regime");
+        regimes.forEach(({ name, driftPercentage, volatilityPercentage }) => {
+            if (!name) throw new Error("Every regime must have a name");
+            if (!Number.isFinite(driftPercentage)) throw new Error(`Drift of regime ${name} must be a number`);
+            if (!(volatilityPercentage > 0)) throw new Error(`Volatility of regime ${name} must be greater than 0`);
+        });
+
+        const isDistribution = row => Array.isArray(row) && row.length === regimes.length
+            && row.every(probability => probability >= 0) && Math.abs(row.reduce((sum, probability) => sum + probability, 0) - 1) < 1e-6;
+
+        if (!Array.isArray(regimeTransitions) || regimeTransitions.length !== regimes.length || !regimeTransitions.every(isDistribution)) {
+            throw new Error(`Regime transitions must be a ${regimes.length}x${regimes.length} matrix whose rows are probabilities adding up to 1`);
+        }
+        if (regimeInitialProbabilities && !isDistribution(regimeInitialProbabilities)) {
+            throw new Error(`Regime initial probabilities must contain ${regimes.length} probabilities adding up to 1`);
+        }
+    },
+
+    /**
+     * Calculates the stationary distribution of a transition matrix (the long-run share of time in each regime).
+     * 
+     * @param {number[][]} transitions - The transition matrix, each row adds up to 1.
+     * @returns {number[]} The stationary probabilities.
+     */
+    stationaryDistribution(transitions) {
+        let probabilities = transitions.map(() => 1 / transitions.length);
+        for (let iteration = 0; iteration < 10000; iteration++) {
+            const next = probabilities.map((_, j) => probabilities.reduce((sum, probability, i) => sum + probability * transitions[i][j], 0));
+            const change = next.reduce((sum, probability, i) => sum + Math.abs(probability - probabilities[i]), 0);
+            probabilities = next;
+            if (change < 1e-12) break;
+        }
+        return probabilities;
+    },
+
+    /**
+     * Describes the parameters used by a model as a compact "key=value;key=value" string,
+     * safe to be stored in a CSV column.
+     * 
+     * @param {string} [model="lognormal"] - The name of the stochastic model.
+     * @param {Object} [modelParams={}] - The parameters of the model.
+     * @returns {string} The description of the parameters, or an empty string if the model has none.
+     */
+    describeModelParams(model = "lognormal", modelParams = {}) {
+        const params = { ...this.defaultModelParams, ...modelParams };
+        // Lists are written without commas: rows are separated by "|", numbers by spaces and object fields by "/"
+        const format = value => {
+            if (Array.isArray(value) && value.every(item => typeof item === "number")) return value.join(" ");
+            if (Array.isArray(value)) return value.map(format).join("|");
+            if (value !== null && typeof value === "object") return Object.values(value).join("/");
+            return value;
+        };
+        return (this.models[model] || []).map(key => `${key}=${format(params[key])}`).join(";");
     },
 
     /**
@@ -20,61 +423,579 @@ const MonteCarloEngine = {
      * to run the simulation in parallel, which significantly speeds up the computation.
      * 
      * The simulation generates random price changes for a given number of days, based on the provided
-     * volatility and current price. It uses a Gaussian distribution to model the random changes.
+     * volatility, current price and stochastic model. Every model is defined inside the worker function,
+     * because Turbit serializes it and runs it in a separate process.
      * 
-     * @param {number} currentPrice - The current price of the asset.
-     * @param {number} totalSimulations - The total number of simulations to run.
-     * @param {number} decimalVolatility - The volatility of the asset as a decimal.
-     * @param {number} simulationDays - The number of days to simulate.
-     * @param {number} turbitPower - The power setting for Turbit parallel processing.
-     * @returns {Promise<number[]>} A promise that resolves to an array of simulated prices.
+     * Random numbers come from a seeded generator with one stream per path, derived from the seed and the
+     * global index of the path, so a run is reproducible no matter how Turbit splits the paths.
+     * 
+     * Variance reduction:
+     * - Antithetic: paths are simulated in pairs that share a stream, the second path mirrors every draw.
+     * - Control variate: each path also prices a driftless GBM built from the same Gaussian draws, whose
+     *   mean is known analytically (the current price), and the worker returns the sums needed to correct the mean.
+     * - Sobol: the diffusion of each path is a Brownian bridge whose first nodes come from a Sobol point,
+     *   scrambled with a random digital shift per batch, so every batch is an independent replicate.
+     * 
+     * @param {Object} params - The input parameters.
+     * @param {number} params.currentPrice - The current price of the asset.
+     * @param {number} params.totalSimulations - The total number of simulations to run.
+     * @param {number} params.decimalVolatility - The volatility of the asset as a decimal.
+     * @param {number} params.simulationDays - The number of days to simulate.
+     * @param {number} params.turbitPower - The power setting for Turbit parallel processing.
+     * @param {Object} params.model - The resolved stochastic model (see `resolveModel`).
+     * @param {number} params.seed - The seed of the run (unsigned 32-bit integer).
+     * @param {number} [params.firstPath=0] - The global index of the first path of this batch.
+     * @param {number[]} [params.returnsPool=[]] - Historical daily log returns sampled by the bootstrap model.
+     * @param {Object} [params.sampling] - The resolved variance reduction options (see `resolveSampling`).
+     * @param {string} [params.backend="turbit"] - The parallel backend (see `backends`).
+     * @param {AbortSignal} [params.signal] - Stops the batch when aborted (threads backend only, Turbit finishes the batch).
+     * @param {Object[]} [params.strategies=[]] - Investment strategies replayed on every path (see `StrategySimulator.normalizeStrategies`).
+     * @returns {Promise<Object>} A promise that resolves to the simulated terminal prices, and the per-day
+     * band histograms (of the price and of its running high and low), partial aggregates, regime occupancy,
+     * maximum drawdowns and strategy results of each Turbit chunk ({ prices, bands, highs, lows, stats, regimes, drawdowns, strategies }).
      */
-    async simulatePrices(currentPrice, totalSimulations, decimalVolatility, simulationDays, turbitPower) {
+    async simulatePrices({ currentPrice, totalSimulations, decimalVolatility, simulationDays, turbitPower, model, seed, firstPath = 0, returnsPool = [], sampling = this.resolveSampling({}, model), backend = "turbit", signal, strategies = [] }) {
         // Validate the input parameters to ensure they are within acceptable ranges
-        this.validateInputs({ currentPrice, totalSimulations, decimalVolatility, simulationDays });
+        this.validateInputs({ currentPrice, totalSimulations, decimalVolatility, simulationDays, seed });
 
-        // Using Turbit for parallel processing
+        // Sobol directions and the Brownian bridge only depend on the run, they are built once here
+        const bridge = sampling.sobol ? this.createBrownianBridge(simulationDays) : [];
+        const directions = sampling.sobol ? this.createSobolDirections(Math.min(simulationDays, this.sobolTable.length + 1)) : [];
+
+        // Using Turbit (or worker threads) for parallel processing
         // Turbit allows us to run the simulation in parallel, distributing the workload across multiple processes
-        const result = await turbit.run(function ({ data, args }) {
+        const result = await this.runTask(backend, function ({ data, args }) {
+            // The generator of the engine, compiled from its source (see `createRandom`)
+            const createRandom = new Function("return " + args.randomSource)();
+
+            // Uniform generator of the path being simulated, replaced at the start of every path
+            let random = Math.random;
+            // Regime of the path being simulated (regime model), and the occupancy of the regimes in this chunk
+            let currentRegime = -1;
+            // -1 for the mirrored path of an antithetic pair
+            let antitheticSign = 1;
+
             /**
              * Generates a random number following a Gaussian distribution.
              * This function uses the Box-Muller transform to generate a normally distributed random number.
              */
             const gaussianRandom = function () {
                 let u = 0, v = 0;
-                while (u === 0) u = Math.random();
-                while (v === 0) v = Math.random();
+                while (u === 0) u = random();
+                while (v === 0) v = random();
                 return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
             }
 
-            const { currentPrice, decimalVolatility, simulationDays } = args;
+            /**
+             * Uniform and Gaussian draws used by the models, mirrored for the second path of an antithetic pair.
+             */
+            const uniformRandom = function () {
+                return antitheticSign === 1 ? random() : 1 - random();
+            }
+            const normalRandom = function () {
+                return antitheticSign * gaussianRandom();
+            }
+
+            /**
+             * Generates a random number following a Poisson distribution (Knuth's method).
+             * The expected values used here are small (jumps per day), so the loop stays short.
+             */
+            const poissonRandom = function (lambda) {
+                const limit = Math.exp(-lambda);
+                let count = 0;
+                let product = uniformRandom();
+                while (product > limit) {
+                    count++;
+                    product *= uniformRandom();
+                }
+                return count;
+            }
+
+            /**
+             * Inverse of the standard normal cumulative distribution (Acklam's rational approximation).
+             */
+            const inverseNormal = function (p) {
+                const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+                const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+                const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+                const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+                if (p < 0.02425) {
+                    const q = Math.sqrt(-2 * Math.log(p));
+                    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+                }
+                if (p > 1 - 0.02425) {
+                    const q = Math.sqrt(-2 * Math.log(1 - p));
+                    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+                }
+                const q = p - 0.5;
+                const r = q * q;
+                return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+            }
+
+            const { currentPrice, decimalVolatility, simulationDays, model, seed, returnsPool, bandGrid, sketchGrid, drawdownGrid, sampling, bridge, directions, strategies } = args;
+
+            // Random digital shift of the Sobol points, one per batch, so batches are independent replicates
+            const batchIndex = Math.floor(data[0] / sampling.batchSize);
+            const shiftRandom = createRandom(seed, batchIndex, 0x7F4A7C15);
+            const shifts = directions.map(() => Math.floor(shiftRandom() * 4294967296));
+
+            /**
+             * Builds the Gaussian increments of a path with a Brownian bridge.
+             * The first nodes of the bridge use the coordinates of the Sobol point, the rest use the path stream.
+             */
+            const createBridgeNormals = function (pointIndex) {
+                const gray = pointIndex ^ (pointIndex >>> 1);
+                const path = new Float64Array(simulationDays + 1);
+                bridge.forEach((node, k) => {
+                    let z;
+                    if (k < directions.length) {
+                        let value = shifts[k];
+                        for (let bit = 0; (gray >>> bit) > 0; bit++) {
+                            if ((gray >>> bit) & 1) value ^= directions[k][bit];
+                        }
+                        z = inverseNormal(((value >>> 0) + 0.5) / 4294967296);
+                    } else {
+                        z = gaussianRandom();
+                    }
+                    path[node.index] = node.leftWeight * path[node.left] + node.rightWeight * path[node.right] + node.stdDev * z;
+                });
+                return Array.from({ length: simulationDays }, (_, i) => path[i + 1] - path[i]);
+            }
+
+            // Gaussian draw of the diffusion of the current path, replaced at the start of every path
+            // The draws are added up to build the control variate of the path
+            let diffusionNormal = normalRandom;
+            let diffusionSum = 0;
+            const nextDiffusion = function () {
+                const z = diffusionNormal();
+                diffusionSum += z;
+                return z;
+            }
+
+            // The whole horizon is one unit of time, so each day is a step of 1 / simulationDays
+            const dt = 1 / simulationDays;
+            const stepVolatility = decimalVolatility * Math.sqrt(dt);
+            const stepVariance = stepVolatility * stepVolatility;
+
+            const regimeOccupancy = {
+                days: model.regimes.map(() => 0),
+                entries: model.regimes.map(() => 0),
+                terminal: model.regimes.map(() => 0),
+                switches: 0
+            };
+
+            // Each model creates a step function for a single path, returning the log return of the next day
+            // Models with state (GARCH variance) keep it in the closure, so every path starts fresh
+            const stepModels = {
+                // Driftless lognormal step, the original synthBTC model
+                lognormal: () => () => stepVolatility * nextDiffusion(),
+
+                // Geometric Brownian motion with drift (Ito corrected)
+                gbm: () => {
+                    const stepDrift = (model.drift - 0.5 * decimalVolatility * decimalVolatility) * dt;
+                    return () => stepDrift + stepVolatility * nextDiffusion();
+                },
+
+                // Merton jump-diffusion: GBM plus Poisson jumps with lognormal sizes
+                // The drift is compensated so the expected return still matches the configured drift
+                merton: () => {
+                    const jumpCompensation = model.jumpIntensity * (Math.exp(model.jumpMean + 0.5 * model.jumpVolatility * model.jumpVolatility) - 1);
+                    const stepDrift = (model.drift - jumpCompensation - 0.5 * decimalVolatility * decimalVolatility) * dt;
+                    const stepIntensity = model.jumpIntensity * dt;
+                    return () => {
+                        let logReturn = stepDrift + stepVolatility * nextDiffusion();
+                        const jumps = poissonRandom(stepIntensity);
+                        for (let j = 0; j < jumps; j++) {
+                            logReturn += model.jumpMean + model.jumpVolatility * normalRandom();
+                        }
+                        return logReturn;
+                    };
+                },
+
+                // GARCH(1,1): the variance of each step depends on the previous shock and variance
+                // Omega is chosen so the long-run variance matches the configured volatility
+                garch: () => {
+                    const omega = stepVariance * (1 - model.garchAlpha - model.garchBeta);
+                    const stepDrift = model.drift * dt;
+                    let variance = stepVariance;
+                    return () => {
+                        const shock = Math.sqrt(variance) * nextDiffusion();
+                        const logReturn = stepDrift - 0.5 * variance + shock;
+                        variance = omega + model.garchAlpha * shock * shock + model.garchBeta * variance;
+                        return logReturn;
+                    };
+                },
+
+                // Stationary block bootstrap of real daily log returns
+                // A new block starts at a random day with probability 1 / blockSize, otherwise the next day
+                // of the current block is used, which keeps autocorrelation and crash clustering intact
+                bootstrap: () => {
+                    const restartProbability = 1 / model.blockSize;
+                    let index = -1;
+                    return () => {
+                        if (index === -1 || uniformRandom() < restartProbability) {
+                            index = Math.min(Math.floor(uniformRandom() * returnsPool.length), returnsPool.length - 1);
+                        } else {
+                            index = (index + 1) % returnsPool.length;
+                        }
+                        return returnsPool[index];
+                    };
+                },
+
+                // Markov regime switching: each regime is a GBM with its own drift and volatility,
+                // and the regime of the next day is drawn from the row of the current regime in the transition matrix
+                regime: () => {
+                    const drawRegime = function (probabilities) {
+                        let u = uniformRandom();
+                        let regime = 0;
+                        while (regime < probabilities.length - 1 && u >= probabilities[regime]) {
+                            u -= probabilities[regime];
+                            regime++;
+                        }
+                        return regime;
+                    }
+                    const steps = model.regimes.map(({ drift, volatility }) => ({
+                        drift: (drift - 0.5 * volatility * volatility) * dt,
+                        volatility: volatility * Math.sqrt(dt)
+                    }));
+                    return () => {
+                        const previousRegime = currentRegime;
+                        currentRegime = previousRegime === -1 ? drawRegime(model.initialProbabilities) : drawRegime(model.transitions[previousRegime]);
+                        if (previousRegime !== currentRegime) {
+                            regimeOccupancy.entries[currentRegime]++;
+                            if (previousRegime !== -1) regimeOccupancy.switches++;
+                        }
+                        regimeOccupancy.days[currentRegime]++;
+                        return steps[currentRegime].drift + steps[currentRegime].volatility * nextDiffusion();
+                    };
+                }
+            };
+
+            /**
+             * Returns the non-empty range of bins of a histogram, to keep the message between processes small.
+             */
+            const toSparse = function (counts) {
+                let first = 0;
+                let last = counts.length - 1;
+                while (first < last && counts[first] === 0) first++;
+                while (last > first && counts[last] === 0) last--;
+                return { offset: first, counts: Array.from(counts.subarray(first, last + 1)) };
+            }
+
+            /**
+             * Online aggregates of a series of values, with the quantile sketch of their log change from a reference.
+             */
+            const createStats = function () {
+                return { count: 0, mean: 0, m2: 0, min: Infinity, max: -Infinity, sketchCounts: new Uint32Array(sketchGrid.binCount) };
+            }
+            const addValue = function (stats, value, logChange) {
+                const delta = value - stats.mean;
+                stats.count++;
+                stats.mean += delta / stats.count;
+                stats.m2 += delta * (value - stats.mean);
+                stats.min = Math.min(stats.min, value);
+                stats.max = Math.max(stats.max, value);
+                const sketchBin = Math.min(Math.max(Math.floor((logChange - sketchGrid.minLogChange) / sketchGrid.binWidth), 0), sketchGrid.binCount - 1);
+                stats.sketchCounts[sketchBin]++;
+            }
+            const toPartial = function ({ sketchCounts, ...stats }) {
+                return { ...stats, sketch: toSparse(sketchCounts) };
+            }
+
+            /**
+             * Adds money to a strategy: it is split between BTC and cash by the target weight, or kept in cash
+             * once the strategy has exited. Units are issued at the current value per unit, so contributions
+             * do not hide the drawdown of the strategy.
+             */
+            const contribute = function (strategy, state, amount, price) {
+                const value = state.cash + state.btc * price;
+                state.units += state.units > 0 && value > 0 ? amount * state.units / value : amount;
+                state.invested += amount;
+                const btcAmount = state.exited ? 0 : amount * strategy.btcWeight;
+                state.btc += btcAmount / price;
+                state.cash += amount - btcAmount;
+            }
+
+            /**
+             * Applies the rules of a strategy on a day: contributions and rebalancing (not on the last day),
+             * then the take-profit and stop-loss on the value relative to the money invested.
+             */
+            const replayDay = function (strategy, state, day, price) {
+                if (day < simulationDays) {
+                    if (day === 0 && strategy.initialAmount > 0) contribute(strategy, state, strategy.initialAmount, price);
+                    if (strategy.contributionIntervalDays > 0 && day % strategy.contributionIntervalDays === 0) contribute(strategy, state, strategy.contributionAmount, price);
+                    if (!state.exited && strategy.rebalanceIntervalDays > 0 && day > 0 && day % strategy.rebalanceIntervalDays === 0) {
+                        const value = state.cash + state.btc * price;
+                        state.btc = value * strategy.btcWeight / price;
+                        state.cash = value - value * strategy.btcWeight;
+                    }
+                }
+
+                const value = state.cash + state.btc * price;
+                if (!state.exited && state.invested > 0) {
+                    const change = (value / state.invested - 1) * 100;
+                    if ((strategy.takeProfitPercentage !== null && change >= strategy.takeProfitPercentage) || (strategy.stopLossPercentage !== null && change <= -strategy.stopLossPercentage)) {
+                        state.cash = value;
+                        state.btc = 0;
+                        state.exited = true;
+                    }
+                }
+                if (state.units > 0) {
+                    const unitValue = value / state.units;
+                    state.highestUnitValue = Math.max(state.highestUnitValue, unitValue);
+                    state.maxDrawdown = Math.max(state.maxDrawdown, 1 - unitValue / state.highestUnitValue);
+                }
+            }
+
+            /**
+             * Solves the annual growth factor (1 + IRR) of a strategy: the continuous rate at which its contributions,
+             * compounded to the end of the horizon, are worth the final value (Newton's method).
+             */
+            const annualGrowth = function (strategy, finalValue) {
+                if (finalValue <= 0) return 0;
+                const { flows, years, totalInvested } = strategy;
+                const averageYears = flows.reduce((sum, flow) => sum + flow.amount * (years - flow.years), 0) / totalInvested;
+                let rate = Math.log(finalValue / totalInvested) / averageYears;
+                for (let i = 0; i < 50; i++) {
+                    let compounded = 0;
+                    let derivative = 0;
+                    flows.forEach(flow => {
+                        const value = flow.amount * Math.exp(rate * (years - flow.years));
+                        compounded += value;
+                        derivative += value * (years - flow.years);
+                    });
+                    const step = (compounded - finalValue) / derivative;
+                    rate -= step;
+                    if (Math.abs(step) < 1e-12) break;
+                }
+                return Math.exp(rate);
+            }
+
+            // Final value, annual growth and maximum drawdown of the strategies replayed on the paths of this chunk
+            const strategyResults = strategies.map(() => ({ value: createStats(), growth: createStats(), drawdowns: { sum: 0, max: 0, counts: new Uint32Array(drawdownGrid.binCount) } }));
+
+            // Per-day histograms of the log change of the price, one row of bins per day
+            const { minLogChange, binWidth, binCount } = bandGrid;
+            const bandCounts = new Uint32Array(simulationDays * binCount);
+            // Same histograms for the highest and lowest log change reached so far, to answer touch probabilities
+            const highCounts = new Uint32Array(simulationDays * binCount);
+            const lowCounts = new Uint32Array(simulationDays * binCount);
+
+            // Partial aggregates of the terminal prices: online mean/variance (Welford), min/max and quantile sketch
+            const stats = { count: 0, mean: 0, m2: 0, min: Infinity, max: -Infinity };
+            const sketchCounts = new Uint32Array(sketchGrid.binCount);
+            // Sums of the control variate, centered on its known mean (the current price)
+            const control = { sum: 0, sumSquares: 0, sumProducts: 0 };
+            // Maximum drawdown of each path, as a fraction of the highest price reached before it
+            const drawdowns = { sum: 0, max: 0, counts: new Uint32Array(drawdownGrid.binCount) };
 
             // Simulate the price changes over the given number of days
-            // For each simulation, we start with the current price and apply daily changes
-            // The daily change is calculated using the exponential of the product of volatility and a Gaussian random number
-            return Array.from({ length: data.length }, () => {
-                let price = currentPrice;
+            // For each simulation, we start with the current price and accumulate the daily log returns of the model,
+            // counting the position of the path on every day so the bands never need the full paths
+            // Each item of data is the global index of a path, which selects its random stream
+            const prices = data.map(pathIndex => {
+                // Both paths of an antithetic pair share the stream (and Sobol point) of the pair
+                const streamIndex = sampling.antithetic ? Math.floor(pathIndex / 2) : pathIndex;
+                antitheticSign = sampling.antithetic && pathIndex % 2 === 1 ? -1 : 1;
+                random = createRandom(seed, streamIndex);
+                diffusionSum = 0;
+                currentRegime = -1;
+
+                if (sampling.sobol) {
+                    const pointIndex = Math.floor((pathIndex - batchIndex * sampling.batchSize) / (sampling.antithetic ? 2 : 1));
+                    const bridgeNormals = createBridgeNormals(pointIndex);
+                    let step = 0;
+                    diffusionNormal = () => antitheticSign * bridgeNormals[step++];
+                }
+
+                const nextLogReturn = stepModels[model.name]();
+                const strategyStates = strategies.map(() => ({ cash: 0, btc: 0, invested: 0, units: 0, highestUnitValue: 0, maxDrawdown: 0, exited: false }));
+                strategies.forEach((strategy, index) => replayDay(strategy, strategyStates[index], 0, currentPrice));
+                let logChange = 0;
+                let highestLogChange = 0;
+                let lowestLogChange = 0;
+                let maxLogDrawdown = 0;
+                const toBin = value => Math.min(Math.max(Math.floor((value - minLogChange) / binWidth), 0), binCount - 1);
                 for (let i = 0; i < simulationDays; i++) {
-                    const dailyChange = Math.exp(decimalVolatility * gaussianRandom() / Math.sqrt(simulationDays));
-                    price *= dailyChange;
+                    logChange += nextLogReturn();
+                    highestLogChange = Math.max(highestLogChange, logChange);
+                    lowestLogChange = Math.min(lowestLogChange, logChange);
+                    bandCounts[i * binCount + toBin(logChange)]++;
+                    highCounts[i * binCount + toBin(highestLogChange)]++;
+                    lowCounts[i * binCount + toBin(lowestLogChange)]++;
+                    maxLogDrawdown = Math.max(maxLogDrawdown, highestLogChange - logChange);
+                    if (strategies.length > 0) {
+                        const dayPrice = currentPrice * Math.exp(logChange);
+                        strategies.forEach((strategy, index) => replayDay(strategy, strategyStates[index], i + 1, dayPrice));
+                    }
+                }
+
+                strategies.forEach((strategy, index) => {
+                    const state = strategyStates[index];
+                    const finalValue = state.cash + state.btc * currentPrice * Math.exp(logChange);
+                    const growth = annualGrowth(strategy, finalValue);
+                    const result = strategyResults[index];
+                    addValue(result.value, finalValue, Math.log(finalValue / strategy.totalInvested));
+                    addValue(result.growth, growth, Math.log(growth));
+                    result.drawdowns.sum += state.maxDrawdown;
+                    result.drawdowns.max = Math.max(result.drawdowns.max, state.maxDrawdown);
+                    result.drawdowns.counts[Math.min(Math.floor(state.maxDrawdown / drawdownGrid.binWidth), drawdownGrid.binCount - 1)]++;
+                });
+
+                const maxDrawdown = 1 - Math.exp(-maxLogDrawdown);
+                drawdowns.sum += maxDrawdown;
+                drawdowns.max = Math.max(drawdowns.max, maxDrawdown);
+                drawdowns.counts[Math.min(Math.floor(maxDrawdown / drawdownGrid.binWidth), drawdownGrid.binCount - 1)]++;
+
+                if (currentRegime !== -1) regimeOccupancy.terminal[currentRegime]++;
+
+                const price = currentPrice * Math.exp(logChange);
+                const delta = price - stats.mean;
+                stats.count++;
+                stats.mean += delta / stats.count;
+                stats.m2 += delta * (price - stats.mean);
+                stats.min = Math.min(stats.min, price);
+                stats.max = Math.max(stats.max, price);
+                const sketchBin = Math.min(Math.max(Math.floor((logChange - sketchGrid.minLogChange) / sketchGrid.binWidth), 0), sketchGrid.binCount - 1);
+                sketchCounts[sketchBin]++;
+
+                if (sampling.controlVariate) {
+                    // Driftless GBM over the same draws: E[controlPrice] = currentPrice
+                    const controlPrice = currentPrice * Math.exp(stepVolatility * diffusionSum - 0.5 * decimalVolatility * decimalVolatility);
+                    const controlDelta = controlPrice - currentPrice;
+                    control.sum += controlDelta;
+                    control.sumSquares += controlDelta * controlDelta;
+                    control.sumProducts += price * controlDelta;
                 }
+
                 return price;
             });
+
+            const toSparseDays = counts => Array.from({ length: simulationDays }, (_, day) => toSparse(counts.subarray(day * binCount, (day + 1) * binCount)));
+            const bands = toSparseDays(bandCounts);
+            stats.sketch = toSparse(sketchCounts);
+            stats.control = sampling.controlVariate ? control : null;
+
+            return { prices, bands, highs: toSparseDays(highCounts), lows: toSparseDays(lowCounts), stats, regimes: regimeOccupancy, drawdowns: { sum: drawdowns.sum, max: drawdowns.max, counts: toSparse(drawdowns.counts) },
+                strategies: strategyResults.map(({ value, growth, drawdowns }) => ({ value: toPartial(value), growth: toPartial(growth), drawdowns: { sum: drawdowns.sum, max: drawdowns.max, counts: toSparse(drawdowns.counts) } })) };
         }, {
             type: "extended", // Specifies the type of processing to be used by Turbit
-            data: Array(totalSimulations), // An array representing the number of simulations to run
-            args: { currentPrice, decimalVolatility, simulationDays }, // Arguments to be passed to the simulation function
-            power: turbitPower // The power setting for Turbit, controlling the level of parallelism
+            data: Array.from({ length: totalSimulations }, (_, i) => firstPath + i), // The global indices of the paths to simulate
+            args: { currentPrice, decimalVolatility, simulationDays, model, seed, randomSource: this.createRandom.toString(), returnsPool, bandGrid: this.bandGrid, sketchGrid: StatsAccumulator.sketchGrid, drawdownGrid: this.drawdownGrid, sampling, bridge, directions, strategies }, // Arguments to be passed to the simulation function
+            power: turbitPower, // The power setting for Turbit, controlling the level of parallelism
+            signal: signal // Only used by the threads backend
         });
 
-        // Return the array of simulated prices
-        return result.data;
+        // Return the simulated prices of all chunks, their band histograms and partial aggregates
+        return {
+            prices: result.data.flatMap(chunk => chunk.prices),
+            bands: result.data.map(chunk => chunk.bands),
+            highs: result.data.map(chunk => chunk.highs),
+            lows: result.data.map(chunk => chunk.lows),
+            stats: result.data.map(chunk => chunk.stats),
+            regimes: result.data.map(chunk => chunk.regimes),
+            drawdowns: result.data.map(chunk => chunk.drawdowns),
+            strategies: result.data.map(chunk => chunk.strategies)
+        };
+    },
+
+    /**
+     * Adds the sparse per-day band histograms returned by a worker to the histogram of the whole run.
+     * 
+     * @param {Float64Array} histogram - The histogram of the run (simulationDays x binCount).
+     * @param {Object[]} bands - The per-day { offset, counts } histograms of a worker.
+     */
+    mergeBandCounts(histogram, bands) {
+        const { binCount } = this.bandGrid;
+        bands.forEach(({ offset, counts }, day) => {
+            const start = day * binCount + offset;
+            for (let i = 0; i < counts.length; i++) {
+                histogram[start + i] += counts[i];
+            }
+        });
+    },
+
+    /**
+     * Calculates the percentile fan bands of each simulated day from the histogram of the run.
+     * The percentiles are interpolated linearly inside the bin where they fall.
+     * 
+     * @param {Float64Array} histogram - The histogram of the run (simulationDays x binCount).
+     * @param {number} currentPrice - The current price of the asset.
+     * @param {number} simulationDays - The number of simulated days.
+     * @returns {Object[]} One { day, p5, p25, p50, p75, p95 } object per day.
+     */
+    calculateBands(histogram, currentPrice, simulationDays) {
+        const { minLogChange, binWidth, binCount } = this.bandGrid;
+
+        return Array.from({ length: simulationDays }, (_, day) => {
+            const dayCounts = histogram.subarray(day * binCount, (day + 1) * binCount);
+            const total = dayCounts.reduce((acc, count) => acc + count, 0);
+            const band = { day: day + 1 };
+
+            let bin = 0;
+            let cumulative = 0;
+            this.bandPercentiles.forEach(percentile => {
+                const rank = (percentile / 100) * total;
+                // Move forward until the bin that contains the requested rank
+                while (bin < binCount - 1 && cumulative + dayCounts[bin] < rank) {
+                    cumulative += dayCounts[bin];
+                    bin++;
+                }
+                const fraction = dayCounts[bin] > 0 ? (rank - cumulative) / dayCounts[bin] : 0;
+                band[`p${percentile}`] = currentPrice * Math.exp(minLogChange + (bin + fraction) * binWidth);
+            });
+
+            return band;
+        });
     },
     
+    /**
+     * Returns the non-empty range of bins of one day of a band histogram.
+     * 
+     * @param {Float64Array} histogram - A histogram of the run (simulationDays x binCount).
+     * @param {number} day - The simulated day, from 1.
+     * @returns {Object} The first non-empty bin and the counts from it ({ offset, counts }).
+     */
+    sparseDay(histogram, day) {
+        const { binCount } = this.bandGrid;
+        const dayCounts = histogram.subarray((day - 1) * binCount, day * binCount);
+        let first = 0;
+        let last = binCount - 1;
+        while (first < last && dayCounts[first] === 0) first++;
+        while (last > first && dayCounts[last] === 0) last--;
+        return { offset: first, counts: Array.from(dayCounts.subarray(first, last + 1)) };
+    },
+
+    /**
+     * Calculates the share of paths above or below a price threshold from one day of a band histogram.
+     * The paths of the bin containing the threshold are split in proportion to its position in the bin.
+     * 
+     * @param {Object} dayCounts - The sparse histogram of the day ({ offset, counts }).
+     * @param {number} currentPrice - The current price the log changes are measured from.
+     * @param {number} threshold - The price threshold.
+     * @param {string} direction - "above" or "below".
+     * @returns {Object} The number of paths beyond the threshold and the total number of paths ({ count, total }).
+     */
+    thresholdCount({ offset, counts }, currentPrice, threshold, direction) {
+        const { minLogChange, binWidth } = this.bandGrid;
+        const position = (Math.log(threshold / currentPrice) - minLogChange) / binWidth - offset;
+
+        let total = 0;
+        let below = 0;
+        counts.forEach((count, index) => {
+            total += count;
+            below += count * Math.min(Math.max(position - index, 0), 1);
+        });
+
+        return { count: direction === "below" ? below : total - below, total: total };
+    },
+
     /**
      * Executes the full simulation in batches.
      * This function divides the total number of simulations into smaller batches to manage memory usage
-     * and improve performance. It calls the simulatePrices function for each batch and combines the results.
+     * and improve performance. It calls the simulatePrices function for each batch, hands the prices of the
+     * batch to `onBatch` (e.g. to stream them to a CSV file) and only keeps the merged aggregates, so the
+     * full array of prices is never held in memory.
      * 
      * @param {Object} params - The input parameters.
      * @param {number} params.currentPrice - The current price of the asset.
@@ -82,23 +1003,409 @@ const MonteCarloEngine = {
      * @param {number} params.decimalVolatility - The volatility of the asset as a decimal.
      * @param {number} params.simulationDays - The number of days to simulate.
      * @param {number} params.turbitPower - The power setting for Turbit parallel processing.
-     * @returns {Promise<number[]>} A promise that resolves to an array of all simulated prices.
+     * @param {string} [params.model="lognormal"] - The name of the stochastic model to use.
+     * @param {Object} [params.modelParams={}] - The parameters of the stochastic model.
+     * @param {number[]} [params.returnsPool=[]] - Historical daily log returns, required by the bootstrap model.
+     * @param {number} [params.seed] - The seed of the run, the same seed always produces the same prices.
+     * A random seed is created when it is not defined.
+     * @param {Object} [params.varianceReduction={}] - The variance reduction options (see `resolveSampling`).
+     * @param {Function} [params.onBatch] - Called with the prices of each batch and the global index of its first path.
+     * @param {Function} [params.stopWhen] - Called with the accumulator after each batch, the run stops early when it returns true.
+     * `totalSimulations` is then only a cap.
+     * @param {string} [params.backend="turbit"] - The parallel backend (see `backends`).
+     * @param {AbortSignal} [params.signal] - Cancels the run; the promise is rejected with the abort reason.
+     * @param {Function} [params.onProgress] - Called after each batch with the progress of the run
+     * ({ completedPaths, totalPaths, completedBatches, totalBatches, elapsedMs, throughput, etaMs }).
+     * @param {Object[]} [params.strategies=[]] - Investment strategies replayed on every path (see `StrategySimulator.normalizeStrategies`).
+     * @param {Object} [params.batchMeasures={}] - Statistics measured on each batch to estimate their standard error
+     * (see `StatsAccumulator.addBatchEstimate`).
+     * @returns {Promise<Object>} A promise that resolves to the accumulator of the terminal prices (see StatsAccumulator),
+     * the per-day percentile bands, the per-day histograms of the price and of its running high and low
+     * ({ close, high, low }, see `bandGrid`), the regime occupancy (regime model only, null otherwise), the distribution of the
+     * maximum drawdown of the paths, the results of each strategy (accumulators of the final value and of the annual
+     * growth factor, distribution of the maximum drawdown), whether the run stopped before the cap and the seed used
+     * ({ stats, bands, histograms, regimes, drawdowns, strategies, stoppedEarly, seed }).
      */
-    async executeFullSimulation({ currentPrice, totalSimulations, decimalVolatility, simulationDays, turbitPower }) {
-        const desiredBatchSize = 5000; 
+    async executeFullSimulation({ currentPrice, totalSimulations, decimalVolatility, simulationDays, turbitPower, model, modelParams, returnsPool = [], seed = this.createSeed(), varianceReduction = {}, onBatch = () => {}, stopWhen = () => false, backend = "turbit", signal, onProgress = () => {}, strategies = [], batchMeasures = {} }) {
+        // Validate before the first batch, so nothing is handed to onBatch for an invalid run
+        this.validateInputs({ currentPrice, totalSimulations, decimalVolatility, simulationDays, seed });
+        this.getBackend(backend);
+        const resolvedModel = this.resolveModel(model, modelParams);
+        if (resolvedModel.name === "bootstrap" && returnsPool.length === 0) {
+            throw new Error("The bootstrap model requires a pool of historical returns");
+        }
+        const sampling = this.resolveSampling(varianceReduction, resolvedModel);
+        const desiredBatchSize = this.batchSize;
         const batchCount = Math.ceil(totalSimulations / desiredBatchSize);
 
-        let allPrices = [];
+        // Without independent batches, Sobol points and antithetic pairs give no way to measure the standard error
+        // from the paths, which are not independent
+        const stats = StatsAccumulator.create({ pathStandardError: !sampling.sobol && !sampling.antithetic });
+        const bandHistogram = new Float64Array(simulationDays * this.bandGrid.binCount);
+        const highHistogram = new Float64Array(simulationDays * this.bandGrid.binCount);
+        const lowHistogram = new Float64Array(simulationDays * this.bandGrid.binCount);
+        const regimeOccupancy = { days: resolvedModel.regimes.map(() => 0), entries: resolvedModel.regimes.map(() => 0), terminal: resolvedModel.regimes.map(() => 0), switches: 0 };
+        const drawdowns = { sum: 0, max: 0, histogram: new Float64Array(this.drawdownGrid.binCount) };
+        const strategyResults = strategies.map(() => ({
+            value: StatsAccumulator.create(),
+            growth: StatsAccumulator.create(),
+            drawdowns: { sum: 0, max: 0, histogram: new Float64Array(this.drawdownGrid.binCount) }
+        }));
+        let stoppedEarly = false;
+        const startTime = Date.now();
         for (let i = 0; i < batchCount; i++) {
+            this.throwIfCancelled(signal);
             // Determine the size of the current batch
             const batchSize = i === batchCount - 1 ? totalSimulations - (i * desiredBatchSize) : desiredBatchSize;
             // Run the simulation for the current batch
-            const batchPrices = await this.simulatePrices(currentPrice, batchSize, decimalVolatility, simulationDays, turbitPower);
-            // Combine the results of the current batch with the previous results
-            allPrices = allPrices.concat(batchPrices);
+            const batch = await this.simulatePrices({ currentPrice, totalSimulations: batchSize, decimalVolatility, simulationDays, turbitPower, model: resolvedModel, seed, firstPath: i * desiredBatchSize, returnsPool, sampling, backend, signal, strategies });
+            // Turbit cannot be interrupted, so a cancellation during the batch is applied once it is done
+            this.throwIfCancelled(signal);
+            // Stream the prices of the batch and merge its aggregates with the previous results
+            await onBatch(batch.prices, i * desiredBatchSize);
+            const batchStats = StatsAccumulator.create();
+            batch.stats.forEach(partial => {
+                StatsAccumulator.merge(stats, partial);
+                StatsAccumulator.merge(batchStats, partial);
+            });
+            // Keep the statistics of the batch as an independent replicate, to measure the sampling error
+            StatsAccumulator.addBatchEstimate(stats, batchStats, currentPrice, batchMeasures);
+            batch.bands.forEach(bands => this.mergeBandCounts(bandHistogram, bands));
+            batch.highs.forEach(highs => this.mergeBandCounts(highHistogram, highs));
+            batch.lows.forEach(lows => this.mergeBandCounts(lowHistogram, lows));
+            batch.regimes.forEach(occupancy => {
+                occupancy.days.forEach((days, index) => regimeOccupancy.days[index] += days);
+                occupancy.entries.forEach((entries, index) => regimeOccupancy.entries[index] += entries);
+                occupancy.terminal.forEach((paths, index) => regimeOccupancy.terminal[index] += paths);
+                regimeOccupancy.switches += occupancy.switches;
+            });
+            const mergeDrawdowns = (merged, { sum, max, counts }) => {
+                merged.sum += sum;
+                merged.max = Math.max(merged.max, max);
+                counts.counts.forEach((count, index) => merged.histogram[counts.offset + index] += count);
+            };
+            batch.drawdowns.forEach(partial => mergeDrawdowns(drawdowns, partial));
+            batch.strategies.forEach(chunk => chunk.forEach((partial, index) => {
+                StatsAccumulator.merge(strategyResults[index].value, partial.value);
+                StatsAccumulator.merge(strategyResults[index].growth, partial.growth);
+                mergeDrawdowns(strategyResults[index].drawdowns, partial.drawdowns);
+            }));
+
+            const elapsedMs = Date.now() - startTime;
+            const throughput = stats.count / Math.max(elapsedMs, 1) * 1000;
+            onProgress({
+                completedPaths: stats.count,
+                totalPaths: totalSimulations,
+                completedBatches: i + 1,
+                totalBatches: batchCount,
+                elapsedMs: elapsedMs,
+                throughput: throughput,
+                etaMs: (totalSimulations - stats.count) / throughput * 1000
+            });
+
+            if (i < batchCount - 1 && stopWhen(stats)) {
+                stoppedEarly = true;
+                break;
+            }
         }
         // Return the combined results of all batches
-        return allPrices;
+        return {
+            stats: stats,
+            bands: this.calculateBands(bandHistogram, currentPrice, simulationDays),
+            histograms: { close: bandHistogram, high: highHistogram, low: lowHistogram },
+            regimes: resolvedModel.name === "regime" ? this.summarizeRegimes(resolvedModel, regimeOccupancy, stats.count) : null,
+            drawdowns: this.summarizeDrawdowns(drawdowns, stats.count),
+            strategies: strategyResults.map(result => ({ ...result, drawdowns: this.summarizeDrawdowns(result.drawdowns, stats.count) })),
+            stoppedEarly: stoppedEarly,
+            seed: seed
+        };
+    },
+
+    /**
+     * Summarizes the distribution of the maximum drawdown of the paths.
+     * 
+     * @param {Object} drawdowns - The merged drawdowns ({ sum, max, histogram }).
+     * @param {number} totalSimulations - The number of simulated paths.
+     * @returns {Object} The mean, the highest and the percentiles of the maximum drawdown, as fractions
+     * ({ mean, max, p50, p75, p90, p95, p99 }).
+     */
+    summarizeDrawdowns({ sum, max, histogram }, totalSimulations) {
+        const summary = { mean: sum / totalSimulations, max: max };
+        const { binWidth, binCount } = this.drawdownGrid;
+
+        this.drawdownPercentiles.forEach(percentile => {
+            const rank = percentile / 100 * totalSimulations;
+            let cumulative = 0;
+            let bin = 0;
+            while (bin < binCount - 1 && cumulative + histogram[bin] < rank) {
+                cumulative += histogram[bin];
+                bin++;
+            }
+            const fraction = histogram[bin] > 0 ? (rank - cumulative) / histogram[bin] : 0;
+            summary[`p${percentile}`] = Math.min((bin + fraction) * binWidth, max);
+        });
+
+        return summary;
+    },
+
+    /**
+     * Summarizes the occupancy of the regimes over all simulated paths.
+     * 
+     * @param {Object} model - The resolved regime model.
+     * @param {Object} occupancy - The merged occupancy ({ days, entries, terminal, switches }).
+     * @param {number} totalSimulations - The number of simulated paths.
+     * @returns {Object} The share of days spent in each regime, the share of paths ending in it,
+     * the average duration of a stay (in days, stays cut by the end of the horizon included)
+     * and the average number of switches per path.
+     */
+    summarizeRegimes(model, occupancy, totalSimulations) {
+        const totalDays = occupancy.days.reduce((sum, days) => sum + days, 0);
+
+        return {
+            regimes: model.regimes.map((regime, index) => ({
+                name: regime.name,
+                driftPercentage: regime.drift * 100,
+                volatilityPercentage: regime.volatility * 100,
+                occupancy: occupancy.days[index] / totalDays,
+                terminal: occupancy.terminal[index] / totalSimulations,
+                averageDuration: occupancy.entries[index] > 0 ? occupancy.days[index] / occupancy.entries[index] : 0
+            })),
+            averageSwitches: occupancy.switches / totalSimulations
+        };
+    },
+
+    /**
+     * Calculates the Cholesky decomposition of a correlation matrix (matrix = L * Lᵀ).
+     * 
+     * @param {number[][]} matrix - The symmetric correlation matrix.
+     * @returns {number[][]} The lower triangular matrix L.
+     * @throws Will throw an error if the matrix is not positive definite.
+     */
+    choleskyDecomposition(matrix) {
+        const size = matrix.length;
+        const lower = Array.from({ length: size }, () => new Array(size).fill(0));
+
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = matrix[i][j];
+                for (let k = 0; k < j; k++) {
+                    sum -= lower[i][k] * lower[j][k];
+                }
+                if (i === j) {
+                    if (sum <= 0) throw new Error("Correlation matrix must be positive definite");
+                    lower[i][i] = Math.sqrt(sum);
+                } else {
+                    lower[i][j] = sum / lower[j][j];
+                }
+            }
+        }
+
+        return lower;
+    },
+
+    /**
+     * Validates the assets, correlation matrix and portfolio weights of a multi-asset simulation.
+     * 
+     * @param {Object[]} assets - The assets ({ symbol, currentPrice, decimalVolatility, drift }).
+     * @param {number[][]} correlation - The correlation matrix, one row and column per asset.
+     * @param {number[]} weights - The portfolio weights, one per asset.
+     * @throws Will throw an error if an input is not valid.
+     */
+    validateAssets(assets, correlation, weights) {
+        if (!Array.isArray(assets) || assets.length === 0) throw new Error("At least one asset is required");
+
+        assets.forEach(({ symbol, currentPrice, decimalVolatility, drift }) => {
+            if (!symbol) throw new Error("Every asset must have a symbol");
+            if (!(currentPrice > 0)) throw new Error(`Current price of ${symbol} must be greater than 0`);
+            if (!(decimalVolatility > 0)) throw new Error(`Volatility of ${symbol} must be greater than 0`);
+            if (!Number.isFinite(drift)) throw new Error(`Drift of ${symbol} must be a number`);
+        });
+
+        const size = assets.length;
+        if (!Array.isArray(correlation) || correlation.length !== size || correlation.some(row => !Array.isArray(row) || row.length !== size)) {
+            throw new Error(`Correlation matrix must be ${size}x${size}`);
+        }
+        correlation.forEach((row, i) => row.forEach((value, j) => {
+            if (i === j && value !== 1) throw new Error("Correlation matrix must have 1 on its diagonal");
+            if (!(value >= -1 && value <= 1)) throw new Error("Correlations must be between -1 and 1");
+            if (value !== correlation[j][i]) throw new Error("Correlation matrix must be symmetric");
+        }));
+
+        if (!Array.isArray(weights) || weights.length !== size || weights.some(weight => !Number.isFinite(weight))) {
+            throw new Error(`Portfolio weights must contain ${size} numbers`);
+        }
+    },
+
+    /**
+     * Simulates the joint terminal prices of several correlated assets using Turbit.
+     * 
+     * Each asset follows a GBM with its own drift and volatility (over the full horizon). Under a GBM the
+     * terminal price only depends on the sum of the daily shocks, so it is drawn exactly in one step.
+     * Independent Gaussian draws are correlated through the Cholesky factor of the correlation matrix.
+     * The portfolio is the value of 1 unit of capital split between the assets by the weights.
+     * 
+     * @param {Object} params - The input parameters.
+     * @param {Object[]} params.assets - The assets ({ symbol, currentPrice, decimalVolatility, drift }).
+     * @param {number[][]} params.cholesky - The Cholesky factor of the correlation matrix.
+     * @param {number[]} params.weights - The portfolio weights, one per asset.
+     * @param {number} params.totalSimulations - The number of simulations of this batch.
+     * @param {number} params.turbitPower - The power setting for Turbit parallel processing.
+     * @param {number} params.seed - The seed of the run (unsigned 32-bit integer).
+     * @param {number} [params.firstPath=0] - The global index of the first path of this batch.
+     * @param {string} [params.backend="turbit"] - The parallel backend (see `backends`).
+     * @param {AbortSignal} [params.signal] - Stops the batch when aborted (threads backend only).
+     * @returns {Promise<Object>} A promise that resolves to the terminal prices of each path (one per asset),
+     * and the partial aggregates of each Turbit chunk ({ prices, chunks }).
+     */
+    async simulateAssets({ assets, cholesky, weights, totalSimulations, turbitPower, seed, firstPath = 0, backend = "turbit", signal }) {
+        const result = await this.runTask(backend, function ({ data, args }) {
+            // The generator of the engine, compiled from its source (see `createRandom`)
+            const createRandom = new Function("return " + args.randomSource)();
+
+            const toSparse = function (counts) {
+                let first = 0;
+                let last = counts.length - 1;
+                while (first < last && counts[first] === 0) first++;
+                while (last > first && counts[last] === 0) last--;
+                return { offset: first, counts: Array.from(counts.subarray(first, last + 1)) };
+            }
+
+            /**
+             * Online aggregates of a series of values, with the quantile sketch of their log change.
+             */
+            const createStats = function () {
+                return { count: 0, mean: 0, m2: 0, min: Infinity, max: -Infinity, sketchCounts: new Uint32Array(sketchGrid.binCount) };
+            }
+            const addValue = function (stats, value, logChange) {
+                const delta = value - stats.mean;
+                stats.count++;
+                stats.mean += delta / stats.count;
+                stats.m2 += delta * (value - stats.mean);
+                stats.min = Math.min(stats.min, value);
+                stats.max = Math.max(stats.max, value);
+                const sketchBin = Math.min(Math.max(Math.floor((logChange - sketchGrid.minLogChange) / sketchGrid.binWidth), 0), sketchGrid.binCount - 1);
+                stats.sketchCounts[sketchBin]++;
+            }
+            const toPartial = function ({ sketchCounts, ...stats }) {
+                return { ...stats, sketch: toSparse(sketchCounts) };
+            }
+
+            const { assets, cholesky, weights, seed, sketchGrid } = args;
+            const size = assets.length;
+
+            const assetStats = assets.map(() => createStats());
+            const portfolioStats = createStats();
+            // Sums of the log changes and of their cross products, to measure the realized correlations
+            const logSums = new Array(size).fill(0);
+            const logProducts = new Array(size * size).fill(0);
+
+            const prices = data.map(pathIndex => {
+                const random = createRandom(seed, pathIndex);
+                const normals = assets.map(() => {
+                    let u = 0, v = 0;
+                    while (u === 0) u = random();
+                    while (v === 0) v = random();
+                    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+                });
+
+                const logChanges = assets.map(({ decimalVolatility, drift }, i) => {
+                    let shock = 0;
+                    for (let k = 0; k <= i; k++) shock += cholesky[i][k] * normals[k];
+                    return drift - 0.5 * decimalVolatility * decimalVolatility + decimalVolatility * shock;
+                });
+
+                let portfolioValue = 0;
+                const pathPrices = logChanges.map((logChange, i) => {
+                    const price = assets[i].currentPrice * Math.exp(logChange);
+                    addValue(assetStats[i], price, logChange);
+                    portfolioValue += weights[i] * Math.exp(logChange);
+                    logSums[i] += logChange;
+                    for (let j = 0; j < size; j++) logProducts[i * size + j] += logChange * logChanges[j];
+                    return price;
+                });
+                addValue(portfolioStats, portfolioValue, Math.log(Math.max(portfolioValue, Number.MIN_VALUE)));
+
+                return pathPrices;
+            });
+
+            return {
+                prices,
+                assets: assetStats.map(toPartial),
+                portfolio: toPartial(portfolioStats),
+                logSums,
+                logProducts
+            };
+        }, {
+            type: "extended",
+            data: Array.from({ length: totalSimulations }, (_, i) => firstPath + i),
+            args: { assets, cholesky, weights, seed, randomSource: this.createRandom.toString(), sketchGrid: StatsAccumulator.sketchGrid },
+            power: turbitPower,
+            signal: signal
+        });
+
+        return {
+            prices: result.data.flatMap(chunk => chunk.prices),
+            chunks: result.data
+        };
+    },
+
+    /**
+     * Executes a correlated multi-asset simulation by splitting it into batches.
+     * 
+     * @param {Object} params - The input parameters.
+     * @param {Object[]} params.assets - The assets ({ symbol, currentPrice, decimalVolatility, drift }).
+     * @param {number[][]} params.correlation - The correlation matrix of the assets.
+     * @param {number[]} [params.weights] - The portfolio weights, equal weights by default.
+     * @param {number} params.totalSimulations - The total number of simulations to run.
+     * @param {number} params.turbitPower - The power setting for Turbit parallel processing.
+     * @param {number} [params.seed] - The seed of the run, a new one is created when missing.
+     * @param {Function} [params.onBatch] - Called with the prices of each batch (one array per path) and the global index of its first path.
+     * @param {string} [params.backend="turbit"] - The parallel backend (see `backends`).
+     * @param {AbortSignal} [params.signal] - Cancels the run; the promise is rejected with the abort reason.
+     * @returns {Promise<Object>} A promise that resolves to the accumulator of each asset and of the portfolio
+     * (see StatsAccumulator), the realized correlation matrix of the log changes and the seed used.
+     */
+    async executeMultiAssetSimulation({ assets, correlation, weights = assets.map(() => 1 / assets.length), totalSimulations, turbitPower, seed = this.createSeed(), onBatch = () => {}, backend = "turbit", signal }) {
+        this.validateAssets(assets, correlation, weights);
+        this.getBackend(backend);
+        if (totalSimulations <= 0) throw new Error("Simulations must be greater than 0");
+        if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) throw new Error("Seed must be an integer between 0 and 4294967295");
+
+        const cholesky = this.choleskyDecomposition(correlation);
+        const size = assets.length;
+        const batchCount = Math.ceil(totalSimulations / this.batchSize);
+
+        const assetStats = assets.map(() => StatsAccumulator.create());
+        const portfolioStats = StatsAccumulator.create();
+        const logSums = new Array(size).fill(0);
+        const logProducts = new Array(size * size).fill(0);
+
+        for (let i = 0; i < batchCount; i++) {
+            const batchSize = i === batchCount - 1 ? totalSimulations - (i * this.batchSize) : this.batchSize;
+            this.throwIfCancelled(signal);
+            const batch = await this.simulateAssets({ assets, cholesky, weights, totalSimulations: batchSize, turbitPower, seed, firstPath: i * this.batchSize, backend, signal });
+            this.throwIfCancelled(signal);
+            await onBatch(batch.prices, i * this.batchSize);
+
+            batch.chunks.forEach(chunk => {
+                chunk.assets.forEach((partial, index) => StatsAccumulator.merge(assetStats[index], partial));
+                StatsAccumulator.merge(portfolioStats, chunk.portfolio);
+                chunk.logSums.forEach((sum, index) => logSums[index] += sum);
+                chunk.logProducts.forEach((sum, index) => logProducts[index] += sum);
+            });
+        }
+
+        // Realized correlations of the terminal log changes, to check the joint scenarios against the input matrix
+        const logMeans = logSums.map(sum => sum / totalSimulations);
+        const covariance = (i, j) => logProducts[i * size + j] / totalSimulations - logMeans[i] * logMeans[j];
+        const realizedCorrelation = logMeans.map((_, i) => logMeans.map((_, j) => covariance(i, j) / Math.sqrt(covariance(i, i) * covariance(j, j))));
+
+        return {
+            assets: assets.map((asset, index) => ({ symbol: asset.symbol, currentPrice: asset.currentPrice, stats: assetStats[index] })),
+            portfolio: portfolioStats,
+            correlation: realizedCorrelation,
+            seed: seed
+        };
     }
 };
 
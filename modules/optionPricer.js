@@ -0,0 +1,250 @@
+const MonteCarloEngine = require("./monteCarloEngine");
+
+const OptionPricer = {
+    /**
+     * Option styles supported by the pricer.
+     * - european: pays on the price at expiry.
+     * - asian: pays on the arithmetic average of the daily prices until expiry.
+     * - barrier: a European option activated (knock-in) or cancelled (knock-out) when a daily price reaches the barrier.
+     */
+    styles: ["european", "asian", "barrier"],
+
+    /**
+     * Barrier types, by the side the barrier is reached from and its effect.
+     */
+    barrierTypes: ["up-and-out", "up-and-in", "down-and-out", "down-and-in"],
+
+    /**
+     * Days per year used to convert expiries and rates (Bitcoin trades every day).
+     */
+    daysPerYear: 365,
+
+    /**
+     * Limits of a pricing request: every option is priced on every path, and each path is simulated up to the
+     * longest expiry.
+     */
+    maxOptions: 50,
+    maxExpiryDays: 3650,
+
+    /**
+     * Validates the options to price.
+     *
+     * @param {Object[]} options - The options ({ style, type, strike, expiryDays, barrier, barrierType }).
+     * @throws Will throw an error if an option is not valid.
+     */
+    validateOptions(options) {
+        if (!Array.isArray(options) || options.length === 0) throw new Error("At least one option is required");
+        if (options.length > this.maxOptions) throw new Error(`At most ${this.maxOptions} options can be priced at once`);
+        options.forEach(({ style, type, strike, expiryDays, barrier, barrierType }) => {
+            if (!this.styles.includes(style)) throw new Error(`Unknown option style "${style}". Available styles: ${this.styles.join(", ")}`);
+            if (type !== "call" && type !== "put") throw new Error("The option type must be 'call' or 'put'");
+            if (!(strike > 0)) throw new Error("Strike must be greater than 0");
+            if (!Number.isInteger(expiryDays) || expiryDays < 1) throw new Error("Expiry must be a whole number of days, at least 1");
+            if (expiryDays > this.maxExpiryDays) throw new Error(`Expiry must be at most ${this.maxExpiryDays} days`);
+            if (style === "barrier") {
+                if (!(barrier > 0)) throw new Error("Barrier must be greater than 0");
+                if (!this.barrierTypes.includes(barrierType)) throw new Error(`Unknown barrier type "${barrierType}". Available types: ${this.barrierTypes.join(", ")}`);
+            }
+        });
+    },
+
+    /**
+     * Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26, error below 1e-7).
+     */
+    normalCdf(x) {
+        const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+        const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x / 2);
+        return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+    },
+
+    /**
+     * Calculates the Black-Scholes price of a European option, to check the Monte Carlo price against.
+     *
+     * @param {Object} params - The input parameters.
+     * @param {string} params.type - "call" or "put".
+     * @param {number} params.currentPrice - The current price of the underlying.
+     * @param {number} params.strike - The strike price.
+     * @param {number} params.years - The time to expiry in years.
+     * @param {number} params.volatility - The annualized volatility as a decimal.
+     * @param {number} params.rate - The annualized risk-free rate as a decimal (continuous compounding).
+     * @returns {number} The price of the option.
+     */
+    blackScholesPrice({ type, currentPrice, strike, years, volatility, rate }) {
+        const deviation = volatility * Math.sqrt(years);
+        const d1 = (Math.log(currentPrice / strike) + (rate + 0.5 * volatility * volatility) * years) / deviation;
+        const d2 = d1 - deviation;
+        const discount = Math.exp(-rate * years);
+        return type === "call"
+            ? currentPrice * this.normalCdf(d1) - strike * discount * this.normalCdf(d2)
+            : strike * discount * this.normalCdf(-d2) - currentPrice * this.normalCdf(-d1);
+    },
+
+    /**
+     * Simulates the discounted payoffs of the options for one batch of paths.
+     * Every path is priced under several scenarios (base, bumped spot and bumped volatility) with the same
+     * random draws, so the Greeks measured by bump-and-revalue are not drowned in sampling noise.
+     *
+     * @param {Object} params - The input parameters.
+     * @param {Object[]} params.scenarios - The scenarios ({ spot, dailyVolatility }), the base scenario first.
+     * @param {number} params.dailyRate - The risk-free rate per day.
+     * @param {Object[]} params.options - The validated options.
+     * @param {number} params.totalSimulations - The number of paths of this batch.
+     * @param {number} params.firstPath - The global index of the first path of this batch.
+     * @param {number} params.seed - The seed of the run (unsigned 32-bit integer).
+     * @param {number} params.turbitPower - The power setting for Turbit parallel processing.
+     * @param {string} params.backend - The parallel backend (see `MonteCarloEngine.backends`).
+     * @param {AbortSignal} [params.signal] - Stops the batch when aborted (threads backend only).
+     * @returns {Promise<Object[]>} The sums of the payoffs of each chunk, per scenario and option, and the sums of
+     * the squared payoffs of the base scenario ({ count, sums, sumSquares }).
+     */
+    async simulatePayoffs({ scenarios, dailyRate, options, totalSimulations, firstPath, seed, turbitPower, backend, signal }) {
+        const result = await MonteCarloEngine.runTask(backend, function ({ data, args }) {
+            // Same generator as the price simulation (see `MonteCarloEngine.createRandom`)
+            const createRandom = new Function("return " + args.randomSource)();
+
+            const { scenarios, dailyRate, options, seed } = args;
+            const maxDays = Math.max(...options.map(option => option.expiryDays));
+            const optionCount = options.length;
+            const sums = new Array(scenarios.length * optionCount).fill(0);
+            const sumSquares = new Array(optionCount).fill(0);
+
+            const payoff = (type, strike, price) => type === "call" ? Math.max(price - strike, 0) : Math.max(strike - price, 0);
+
+            data.forEach(pathIndex => {
+                // Own salt, so the draws are not the ones of the price simulation with the same seed
+                const random = createRandom(seed, pathIndex, 0x85EBCA6B);
+                const normals = new Float64Array(maxDays);
+                for (let i = 0; i < maxDays; i++) {
+                    let u = 0, v = 0;
+                    while (u === 0) u = random();
+                    while (v === 0) v = random();
+                    normals[i] = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+                }
+
+                scenarios.forEach(({ spot, dailyVolatility }, scenario) => {
+                    const step = dailyRate - 0.5 * dailyVolatility * dailyVolatility;
+                    let logChange = 0;
+                    let sum = 0;
+                    let highest = spot;
+                    let lowest = spot;
+                    for (let day = 1; day <= maxDays; day++) {
+                        logChange += step + dailyVolatility * normals[day - 1];
+                        const price = spot * Math.exp(logChange);
+                        sum += price;
+                        highest = Math.max(highest, price);
+                        lowest = Math.min(lowest, price);
+
+                        for (let o = 0; o < optionCount; o++) {
+                            const { style, type, strike, expiryDays, barrier, barrierType } = options[o];
+                            if (expiryDays !== day) continue;
+
+                            let value;
+                            if (style === "asian") {
+                                value = payoff(type, strike, sum / day);
+                            } else if (style === "barrier") {
+                                const reached = barrierType.startsWith("up") ? highest >= barrier : lowest <= barrier;
+                                const active = barrierType.endsWith("in") ? reached : !reached;
+                                value = active ? payoff(type, strike, price) : 0;
+                            } else {
+                                value = payoff(type, strike, price);
+                            }
+
+                            const discounted = value * Math.exp(-dailyRate * expiryDays);
+                            sums[scenario * optionCount + o] += discounted;
+                            if (scenario === 0) sumSquares[o] += discounted * discounted;
+                        }
+                    }
+                });
+            });
+
+            return { count: data.length, sums, sumSquares };
+        }, {
+            type: "extended",
+            data: Array.from({ length: totalSimulations }, (_, i) => firstPath + i),
+            args: { scenarios, dailyRate, options, seed, randomSource: MonteCarloEngine.createRandom.toString() },
+            power: turbitPower,
+            signal: signal
+        });
+
+        return result.data;
+    },
+
+    /**
+     * Prices options on simulated GBM paths under the risk-neutral measure, with daily monitoring of the
+     * barriers and daily fixings of the Asian averages. The Greeks are measured by bump-and-revalue on common
+     * random numbers: delta and gamma from central differences of the spot, vega from central differences
+     * of the volatility (per volatility point).
+     *
+     * @param {Object} params - The input parameters.
+     * @param {number} params.currentPrice - The current price of the underlying.
+     * @param {number} params.volatility - The annualized volatility as a decimal.
+     * @param {number} [params.rate=0] - The annualized risk-free rate as a decimal (continuous compounding).
+     * @param {Object[]} params.options - The options ({ style, type, strike, expiryDays, barrier, barrierType }).
+     * @param {number} params.totalSimulations - The number of paths.
+     * @param {number} params.turbitPower - The power setting for Turbit parallel processing.
+     * @param {number|null} [params.seed=null] - The seed of the random generator, a new one is created when null.
+     * @param {number} [params.spotBump=0.01] - The relative bump of the spot for delta and gamma.
+     * @param {number} [params.volatilityBump=0.01] - The bump of the annualized volatility for vega.
+     * @param {string} [params.backend="turbit"] - The parallel backend (see `MonteCarloEngine.backends`).
+     * @param {AbortSignal} [params.signal] - Stops the pricing between two batches.
+     * @returns {Promise<Object>} The options with their price, standard error, Greeks and, for European options,
+     * the Black-Scholes price, and the seed used ({ options, seed }).
+     * @throws Will throw an error if the inputs are not valid.
+     */
+    async price({ currentPrice, volatility, rate = 0, options, totalSimulations, turbitPower, seed = null, spotBump = 0.01, volatilityBump = 0.01, backend = "turbit", signal }) {
+        if (!(currentPrice > 0)) throw new Error("Current price must be greater than 0");
+        if (!(volatility > 0)) throw new Error("Volatility must be greater than 0");
+        if (!(totalSimulations > 1)) throw new Error("Simulations must be greater than 1");
+        if (!(volatilityBump < volatility)) throw new Error("The volatility bump must be lower than the volatility");
+        this.validateOptions(options);
+
+        const runSeed = seed === null ? MonteCarloEngine.createSeed() : seed;
+        const toDaily = annual => annual / Math.sqrt(this.daysPerYear);
+        const scenarios = [
+            { spot: currentPrice, dailyVolatility: toDaily(volatility) },
+            { spot: currentPrice * (1 + spotBump), dailyVolatility: toDaily(volatility) },
+            { spot: currentPrice * (1 - spotBump), dailyVolatility: toDaily(volatility) },
+            { spot: currentPrice, dailyVolatility: toDaily(volatility + volatilityBump) },
+            { spot: currentPrice, dailyVolatility: toDaily(volatility - volatilityBump) }
+        ];
+        const dailyRate = rate / this.daysPerYear;
+
+        const sums = new Array(scenarios.length * options.length).fill(0);
+        const sumSquares = new Array(options.length).fill(0);
+        let count = 0;
+
+        const batchSize = MonteCarloEngine.batchSize;
+        for (let firstPath = 0; firstPath < totalSimulations; firstPath += batchSize) {
+            MonteCarloEngine.throwIfCancelled(signal);
+            const chunks = await this.simulatePayoffs({ scenarios, dailyRate, options, totalSimulations: Math.min(batchSize, totalSimulations - firstPath), firstPath, seed: runSeed, turbitPower, backend, signal });
+            chunks.forEach(chunk => {
+                count += chunk.count;
+                chunk.sums.forEach((sum, index) => sums[index] += sum);
+                chunk.sumSquares.forEach((sum, index) => sumSquares[index] += sum);
+            });
+        }
+
+        const spotStep = currentPrice * spotBump;
+        return {
+            options: options.map((option, o) => {
+                const [base, spotUp, spotDown, volatilityUp, volatilityDown] = scenarios.map((_, scenario) => sums[scenario * options.length + o] / count);
+                const variance = Math.max(sumSquares[o] / count - base * base, 0) * count / (count - 1);
+                return {
+                    ...option,
+                    price: base,
+                    standardError: Math.sqrt(variance / count),
+                    delta: (spotUp - spotDown) / (2 * spotStep),
+                    gamma: (spotUp - 2 * base + spotDown) / (spotStep * spotStep),
+                    // Per volatility point (1% of annualized volatility)
+                    vega: (volatilityUp - volatilityDown) / (2 * volatilityBump * 100),
+                    blackScholesPrice: option.style === "european"
+                        ? this.blackScholesPrice({ type: option.type, currentPrice, strike: option.strike, years: option.expiryDays / this.daysPerYear, volatility, rate })
+                        : null
+                };
+            }),
+            seed: runSeed
+        };
+    }
+};
+
+module.exports = OptionPricer;
\ No newline at end of file
@@ -0,0 +1,137 @@
+const MonteCarloEngine = require("./monteCarloEngine");
+
+const PredictionPerformance = {
+    /**
+     * Milliseconds in a day, used to find the date a prediction is scored on.
+     */
+    dayMs: 24 * 60 * 60 * 1000,
+
+    /**
+     * Number of bins of the PIT histogram (the percentile ranks of the realized prices).
+     * A calibrated model gives the same share of predictions in every bin.
+     */
+    pitBins: 10,
+
+    /**
+     * Share of realized prices expected inside the simulated p5-p95 range.
+     */
+    expectedHitRate: 0.9,
+
+    /**
+     * Finds the realized price of a prediction: the close of the day its horizon ends, in UTC.
+     *
+     * @param {Map<string, number>} closes - The close prices of the price history, by date (YYYY-MM-DD).
+     * @param {number} timestamp - When the simulation ran, in milliseconds.
+     * @param {number} horizonDays - The number of simulated days.
+     * @returns {Object|null} The date and price ({ date, price }), or null if the history does not have it.
+     */
+    realizedPrice(closes, timestamp, horizonDays) {
+        const date = new Date(timestamp + horizonDays * this.dayMs).toISOString().slice(0, 10);
+        return closes.has(date) ? { date: date, price: closes.get(date) } : null;
+    },
+
+    /**
+     * Calculates the percentile rank of a price in the simulated distribution of the last day, that is the share
+     * of paths that ended below it (see `MonteCarloEngine.thresholdCount`).
+     *
+     * @param {Object} dayCounts - The sparse histogram of the last day ({ offset, counts }).
+     * @param {number} currentPrice - The current price the log changes are measured from.
+     * @param {number} price - The realized price.
+     * @returns {number} The percentile rank, between 0 and 1.
+     */
+    percentileRank(dayCounts, currentPrice, price) {
+        const { count, total } = MonteCarloEngine.thresholdCount(dayCounts, currentPrice, price, "below");
+        return count / total;
+    },
+
+    /**
+     * Scores one prediction against its realized price.
+     *
+     * @param {Object} prediction - The prediction (simulationId, timestamp, horizonDays, currentPrice, targetPrice,
+     * averagePrice, and the p5 and p95 prices and the percentile rank of the realized price when they are known).
+     * @param {Object} realized - The realized price ({ date, price }).
+     * @returns {Object} The prediction with the realized price, the errors of the target and average prices
+     * ({ amount, percentage }), whether the realized price is inside the p5-p95 range and its percentile rank.
+     */
+    score(prediction, realized) {
+        const { p5, p95, percentileRank, ...rest } = prediction;
+        const round = value => Math.round(value * 100) / 100;
+        const error = price => ({
+            amount: round(Math.abs(price - realized.price)),
+            percentage: round(Math.abs(price - realized.price) / realized.price * 100)
+        });
+
+        return {
+            ...rest,
+            realizedDate: realized.date,
+            realizedPrice: realized.price,
+            targetError: error(prediction.targetPrice),
+            averageError: error(prediction.averagePrice),
+            range: p5 === null ? null : { p5: p5, p95: p95 },
+            insideRange: p5 === null ? null : realized.price >= p5 && realized.price <= p95,
+            percentileRank: percentileRank === null ? null : Math.round(percentileRank * 10000) / 10000
+        };
+    },
+
+    /**
+     * Aggregates scored predictions: the hit rate of the p5-p95 range, the mean errors, the PIT histogram
+     * and the mean percentile rank (0.5 for an unbiased model).
+     *
+     * @param {Object[]} scores - The scored predictions (see `score`).
+     * @returns {Object} The aggregated scores ({ predictions, hitRate, expectedHitRate, targetError, averageError,
+     * meanPercentileRank, pit }). Statistics without any measured prediction are null.
+     */
+    aggregate(scores) {
+        const round = (value, decimals) => Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+        const mean = values => values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+        const meanError = name => scores.length === 0 ? null : {
+            amount: round(mean(scores.map(score => score[name].amount)), 2),
+            percentage: round(mean(scores.map(score => score[name].percentage)), 2)
+        };
+
+        const ranged = scores.filter(score => score.insideRange !== null);
+        const ranks = scores.filter(score => score.percentileRank !== null).map(score => score.percentileRank);
+        const hitRate = mean(ranged.map(score => score.insideRange ? 1 : 0));
+        const meanRank = mean(ranks);
+
+        const pit = Array.from({ length: this.pitBins }, (_, index) => ({
+            lower: index / this.pitBins,
+            upper: (index + 1) / this.pitBins,
+            count: 0
+        }));
+        ranks.forEach(rank => pit[Math.min(Math.floor(rank * this.pitBins), this.pitBins - 1)].count++);
+
+        return {
+            predictions: scores.length,
+            hitRate: hitRate === null ? null : round(hitRate, 4),
+            expectedHitRate: this.expectedHitRate,
+            targetError: meanError("targetError"),
+            averageError: meanError("averageError"),
+            meanPercentileRank: meanRank === null ? null : round(meanRank, 4),
+            pit: pit
+        };
+    },
+
+    /**
+     * Aggregates scored predictions by the month their horizon ended, to follow the calibration over time.
+     *
+     * @param {Object[]} scores - The scored predictions (see `score`).
+     * @returns {Object[]} The aggregated scores of each month (see `aggregate`, without the PIT histogram),
+     * from the oldest to the newest ({ period, ... }).
+     */
+    aggregateByMonth(scores) {
+        const months = new Map();
+        scores.forEach(score => {
+            const period = score.realizedDate.slice(0, 7);
+            if (!months.has(period)) months.set(period, []);
+            months.get(period).push(score);
+        });
+
+        return [...months.keys()].sort().map(period => {
+            const { pit, ...aggregated } = this.aggregate(months.get(period));
+            return { period: period, ...aggregated };
+        });
+    }
+};
+
+module.exports = PredictionPerformance;
\ No newline at end of file
@@ -1,71 +1,349 @@
 const axios = require("axios");
 const cheerio = require("cheerio");
+const PriceReplay = require("./priceReplay");
 
 const PriceFetcher = {
     /**
-     * Fetches the current price of Bitcoin (BTC) from the CoinGecko API.
+     * Types of price providers. Each one builds the URL of its BTC-USD quote and reads the price from the response.
+     * A `custom` provider reads any JSON API, from its `url` and the `path` of the price in the response
+     * (e.g. "data.amount" or "result.XXBTZUSD.c.0"). The CoinGecko provider accepts a `baseUrl`, e.g. a local stub.
      */
-    async fetchCoinGeckoPrice() {
-        try {
-            // Make a GET request to the CoinGecko API to fetch the current price of Bitcoin in USD
-            const response = await axios.get("https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd");
-            // Return the price of Bitcoin in USD
-            return response.data.bitcoin.usd;
-        } catch (error) {
-            // Log a warning message if the fetch fails
-            console.warn(`\x1b[0m- \x1b[31mWARNING\x1b[0m | \x1b[37mFailed to fetch BTC price from CoinGecko.\x1b[0m`);
-            return null;
+    providers: {
+        coingecko: {
+            url: ({ baseUrl = "https://api.coingecko.com" }) => `${baseUrl}/api/v3/simple/price?ids=bitcoin&vs_currencies=usd`,
+            extract: data => data.bitcoin.usd
+        },
+        coinbase: {
+            url: () => "https://api.coinbase.com/v2/prices/BTC-USD/spot",
+            extract: data => data.data.amount
+        },
+        kraken: {
+            url: () => "https://api.kraken.com/0/public/Ticker?pair=XBTUSD",
+            // The pair is renamed in the response (XXBTZUSD), so the first result is used
+            extract: data => Object.values(data.result)[0].c[0]
+        },
+        bitstamp: {
+            url: () => "https://www.bitstamp.net/api/v2/ticker/btcusd/",
+            extract: data => data.last
+        },
+        binance: {
+            // Binance has no USD pair, USDT is used as a proxy
+            url: () => "https://api.binance.com/api/v3/ticker/price?symbol=BTCUSDT",
+            extract: data => data.price
+        },
+        etherscan: {
+            // Price of the WBTC token, scraped from its page
+            url: () => "https://etherscan.io/address/0x2260fac5e5542a773aa44fbcfedf7c193bc2c599",
+            extract: data => {
+                const value = cheerio.load(data)("#ContentPlaceHolder1_tr_tokeninfo > div > span").text().trim();
+                return value.match(/[\d,]+\.?\d*/)[0].replace(/[\$,]/g, "");
+            }
+        },
+        custom: {
+            url: ({ url }) => url,
+            extract: (data, { path }) => PriceFetcher.readPath(data, path)
         }
     },
 
     /**
-     * Fetches the current price of Bitcoin (BTC) from the Etherscan website.
+     * Sources used when none are configured.
      */
-    async fetchEtherscanPrice() {
-        try {
-            // Make a GET request to the Etherscan website to fetch the page content
-            const response = await axios.get("https://etherscan.io/address/0x2260fac5e5542a773aa44fbcfedf7c193bc2c599");
-            // Load the HTML content using Cheerio
-            const $ = cheerio.load(response.data);
-            // Extract the price value from the specific HTML element
-            const value = $("#ContentPlaceHolder1_tr_tokeninfo > div > span").text().trim();
-            // Extract the numeric value from the text and remove any commas or dollar signs
-            const matches = value.match(/[\d,]+\.?\d*/)[0].replace(/[\$,]/g, "");
-            // Return the price as an integer
-            return parseInt(matches, 10);
-        } catch (error) {
-            // Log a warning message if the fetch fails
-            console.warn(`\x1b[0m- \x1b[31mWARNING\x1b[0m | \x1b[37mFailed to fetch BTC price from Etherscan.\x1b[0m`);
-            return null;
+    defaultSources: {
+        maxDeviationPercentage: 2,
+        minSources: 1,
+        providers: [
+            { name: "coingecko", type: "coingecko" },
+            { name: "coinbase", type: "coinbase" },
+            { name: "kraken", type: "kraken" },
+            { name: "bitstamp", type: "bitstamp" }
+        ]
+    },
+
+    /**
+     * Default retry and circuit breaker settings of a provider:
+     * - a failed request is retried `retries` times, after `backoffMs`, then twice as long each time,
+     * - after `failureThreshold` consecutive failed fetches the circuit of the provider opens and it is skipped for
+     *   `cooldownSeconds`; the next fetch after the cooldown closes it on success or opens it again on failure.
+     */
+    defaultResilience: {
+        retries: 2,
+        backoffMs: 500,
+        failureThreshold: 3,
+        cooldownSeconds: 300
+    },
+
+    /**
+     * Circuit breaker state of each provider, by name ({ failures, openUntil }).
+     */
+    circuits: {},
+
+    /**
+     * Reads a value from a JSON response with a dotted path, where array indexes are numbers (e.g. "result.0.price").
+     *
+     * @param {Object} data - The response.
+     * @param {string} path - The path of the value.
+     * @returns {*} The value, or undefined if the path does not exist.
+     */
+    readPath(data, path) {
+        return String(path).split(".").reduce((value, key) => value === undefined || value === null ? undefined : value[key], data);
+    },
+
+    /**
+     * Fetches the BTC-USD price of one provider.
+     *
+     * @param {Object} provider - The provider ({ name, type, timeoutMs, and url and path for a custom provider }).
+     * @returns {Promise<number>} The price.
+     * @throws Will throw an error if the type is unknown, the request fails or the response has no valid price.
+     */
+    async fetchProviderPrice(provider) {
+        const type = this.providers[provider.type];
+        if (!type) {
+            throw new Error(`Unknown price provider type "${provider.type}". Available types: ${Object.keys(this.providers).join(", ")}`);
+        }
+
+        const response = await axios.get(type.url(provider), { timeout: provider.timeoutMs || 5000 });
+        const price = parseFloat(type.extract(response.data, provider));
+        if (!(price > 0)) {
+            throw new Error(`Invalid price in the response of ${provider.name}`);
+        }
+        return price;
+    },
+
+    /**
+     * Fetches the price of one provider, retrying failed requests with an exponential backoff.
+     *
+     * @param {Object} provider - The provider (see `fetchProviderPrice`).
+     * @param {Object} settings - The retry settings ({ retries, backoffMs }, see `defaultResilience`).
+     * @returns {Promise<number>} The price.
+     * @throws Will throw the error of the last attempt if every attempt failed.
+     */
+    async fetchWithRetry(provider, { retries, backoffMs }) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.fetchProviderPrice(provider);
+            } catch (error) {
+                if (attempt >= retries) {
+                    throw error;
+                }
+                await new Promise(resolve => setTimeout(resolve, backoffMs * Math.pow(2, attempt)));
+            }
+        }
+    },
+
+    /**
+     * Records the result of a fetch in the circuit breaker of a provider.
+     *
+     * @param {string} name - The name of the provider.
+     * @param {boolean} succeeded - Whether the fetch succeeded.
+     * @param {Object} settings - The circuit breaker settings ({ failureThreshold, cooldownSeconds }).
+     */
+    recordFetch(name, succeeded, { failureThreshold, cooldownSeconds }) {
+        const circuit = this.circuits[name] || { failures: 0, openUntil: 0 };
+        if (succeeded) {
+            circuit.failures = 0;
+            circuit.openUntil = 0;
+        } else if (++circuit.failures >= failureThreshold) {
+            circuit.openUntil = Date.now() + cooldownSeconds * 1000;
+        }
+        this.circuits[name] = circuit;
+    },
+
+    /**
+     * Calculates the weighted median of quotes: the price where half of the total weight is below and half above.
+     *
+     * @param {Object[]} quotes - The quotes ({ price, weight }).
+     * @returns {number} The weighted median.
+     * @throws Will throw an error if there is no quote.
+     */
+    weightedMedian(quotes) {
+        if (quotes.length === 0) {
+            throw new Error("No quotes to calculate a median from");
+        }
+        const sorted = [...quotes].sort((a, b) => a.price - b.price);
+        const half = sorted.reduce((sum, quote) => sum + quote.weight, 0) / 2;
+
+        let cumulative = 0;
+        for (let index = 0; index < sorted.length; index++) {
+            cumulative += sorted[index].weight;
+            // Exactly half the weight on each side: the middle of the two central prices
+            if (Math.abs(cumulative - half) < 1e-9 && index < sorted.length - 1) {
+                return (sorted[index].price + sorted[index + 1].price) / 2;
+            }
+            if (cumulative > half) {
+                return sorted[index].price;
+            }
         }
+        return sorted[sorted.length - 1].price;
     },
 
     /**
-     * Fetches the current price of Bitcoin (BTC) from both CoinGecko and Etherscan,
-     * and returns the average price if both fetches are successful.
+     * Combines the quotes of several providers into a consensus price. The quotes that deviate from the median
+     * of all quotes by more than `maxDeviationPercentage` are rejected as outliers, and the consensus is the
+     * weighted median of the others. When every quote is rejected (e.g. two quotes far apart), the quotes closest
+     * to the median are kept.
+     *
+     * @param {Object[]} quotes - The quotes that were fetched ({ name, price, weight }).
+     * @param {number} [maxDeviationPercentage=2] - The largest deviation from the median kept, in percent.
+     * @returns {Object} The consensus price and each quote with its deviation from the median and whether it was used
+     * ({ price, quotes: [{ name, price, weight, deviationPercentage, status: "used" or "rejected" }] }).
      */
-    async getCurrentPrice() {
-        // Fetch the price from CoinGecko
-        const priceCoinGecko = await this.fetchCoinGeckoPrice();
-        // Fetch the price from Etherscan
-        const priceEtherscan = await this.fetchEtherscanPrice();
-
-        // If both fetches are successful, return the average price
-        if (priceCoinGecko !== null && priceEtherscan !== null) {
-            return (priceCoinGecko + priceEtherscan) / 2;
-        } 
-        // If only the CoinGecko fetch is successful, return the CoinGecko price
-        else if (priceCoinGecko !== null) {
-            return priceCoinGecko;
-        } 
-        // If only the Etherscan fetch is successful, return the Etherscan price
-        else if (priceEtherscan !== null) {
-            return priceEtherscan;
-        } 
-        // If both fetches fail, throw an error
-        else {
-            throw new Error(`\x1b[0m- \x1b[31mWARNING\x1b[0m | \x1b[37mFailed to fetch BTC price from both sources.\x1b[0m`);
+    consensus(quotes, maxDeviationPercentage = 2) {
+        const median = this.weightedMedian(quotes.map(quote => ({ price: quote.price, weight: 1 })));
+        const scored = quotes.map(quote => {
+            const deviationPercentage = Math.abs(quote.price - median) / median * 100;
+            return {
+                ...quote,
+                deviationPercentage: Math.round(deviationPercentage * 10000) / 10000,
+                status: deviationPercentage <= maxDeviationPercentage ? "used" : "rejected"
+            };
+        });
+        if (!scored.some(quote => quote.status === "used")) {
+            const closest = Math.min(...scored.map(quote => quote.deviationPercentage));
+            scored.forEach(quote => {
+                quote.status = quote.deviationPercentage === closest ? "used" : "rejected";
+            });
         }
+
+        return {
+            price: this.weightedMedian(scored.filter(quote => quote.status === "used")),
+            quotes: scored
+        };
+    },
+
+    /**
+     * Fetches the current price of Bitcoin (BTC) from all the enabled providers in parallel and combines them
+     * into a consensus price (see `consensus`). Each request times out after `timeoutMs` and is retried with
+     * a backoff, and the providers whose circuit is open are skipped (see `defaultResilience`).
+     * In the "fixed" and "replay" modes no provider is queried (see `getOfflinePrice`).
+     *
+     * @param {Object} [sources=this.defaultSources] - The price sources.
+     * @param {string} [sources.mode="live"] - "live", "fixed" or "replay".
+     * @param {Object[]} sources.providers - The providers ({ name, type, weight = 1, timeoutMs = 5000, enabled = true,
+     * and url and path for a custom provider}).
+     * @param {number} [sources.maxDeviationPercentage=2] - The largest deviation from the median kept, in percent.
+     * @param {number} [sources.minSources=1] - The number of quotes required for a consensus.
+     * @param {Object} [sources.resilience] - The retry and circuit breaker settings of every provider, which a
+     * provider can override (see `defaultResilience`).
+     * @returns {Promise<Object>} The consensus price and the report of every provider, including the ones that
+     * failed or were skipped ({ price, sources: [{ name, type, weight, status, price, deviationPercentage, error }] }).
+     * @throws Will throw an error if fewer than `minSources` providers returned a price.
+     */
+    async getConsensusPrice(sources = this.defaultSources) {
+        const { mode = "live", providers = [], maxDeviationPercentage = 2, minSources = 1, resilience = {} } = sources;
+        if (mode !== "live") {
+            return this.getOfflinePrice(sources);
+        }
+
+        const enabled = providers.filter(provider => provider.enabled !== false && provider.weight !== 0);
+
+        const results = await Promise.all(enabled.map(async provider => {
+            const weight = provider.weight === undefined ? 1 : provider.weight;
+            const settings = { ...this.defaultResilience, ...resilience, ...provider };
+            const circuit = this.circuits[provider.name];
+            if (circuit && circuit.openUntil > Date.now()) {
+                return { name: provider.name, type: provider.type, weight: weight, price: null, status: "skipped", error: `Circuit open until ${new Date(circuit.openUntil).toISOString()}` };
+            }
+
+            try {
+                const price = await this.fetchWithRetry(provider, settings);
+                this.recordFetch(provider.name, true, settings);
+                return { name: provider.name, type: provider.type, weight: weight, price: price };
+            } catch (error) {
+                this.recordFetch(provider.name, false, settings);
+                // Log a warning message if the fetch fails
+                console.warn(`\x1b[0m- \x1b[31mWARNING\x1b[0m | \x1b[37mFailed to fetch BTC price from ${provider.name}.\x1b[0m`);
+                return { name: provider.name, type: provider.type, weight: weight, price: null, status: "failed", error: error.message };
+            }
+        }));
+
+        const fetched = results.filter(result => result.price !== null);
+        if (fetched.length === 0 || fetched.length < minSources) {
+            throw new Error(`\x1b[0m- \x1b[31mWARNING\x1b[0m | \x1b[37mFailed to fetch BTC price from enough sources (${fetched.length} of ${Math.max(minSources, 1)} required).\x1b[0m`);
+        }
+
+        const { price, quotes } = this.consensus(fetched, maxDeviationPercentage);
+        return {
+            price: price,
+            sources: results.map(result => result.price === null ? result : quotes[fetched.indexOf(result)])
+        };
+    },
+
+    /**
+     * Returns the price of an offline mode, in the same shape as a consensus of live providers:
+     * - fixed: the configured `fixedPrice`,
+     * - replay: the next tick of a local tick file (see `PriceReplay.nextTick`).
+     *
+     * @param {Object} sources - The price sources ({ mode, fixedPrice, replay }).
+     * @returns {Object} The price and its single source ({ price, sources }).
+     * @throws Will throw an error if the mode is unknown or its settings are not valid.
+     */
+    getOfflinePrice({ mode, fixedPrice, replay = {} }) {
+        if (mode === "fixed") {
+            if (!(fixedPrice > 0)) {
+                throw new Error("The fixed price must be greater than 0");
+            }
+            return { price: fixedPrice, sources: [{ name: "fixed", type: "fixed", weight: 1, price: fixedPrice, status: "used" }] };
+        }
+        if (mode === "replay") {
+            const tick = PriceReplay.nextTick(replay);
+            return {
+                price: tick.price,
+                sources: [{ name: "replay", type: "replay", weight: 1, price: tick.price, status: "used", timestamp: new Date(tick.timestamp).toISOString() }]
+            };
+        }
+        throw new Error(`Unknown price source mode: ${mode}. Available modes: live, fixed, replay`);
+    },
+
+    /**
+     * Fetches the consensus price of Bitcoin (BTC) from the configured providers.
+     *
+     * @param {Object} [sources] - The price sources (see `getConsensusPrice`).
+     * @returns {Promise<number>} The consensus price.
+     */
+    async getCurrentPrice(sources) {
+        return (await this.getConsensusPrice(sources)).price;
+    },
+
+    /**
+     * Fetches the current USD prices of several assets from the CoinGecko API in a single request.
+     * 
+     * @param {string[]} coinGeckoIds - The CoinGecko identifiers of the assets (e.g. "ethereum").
+     * @param {string} [baseUrl="https://api.coingecko.com"] - The base URL of the API, e.g. a local stub.
+     * @returns {Promise<Object>} The prices by identifier.
+     * @throws Will throw an error if the request fails or a price is missing.
+     */
+    async fetchCoinGeckoPrices(coinGeckoIds, baseUrl = "https://api.coingecko.com") {
+        const response = await axios.get(`${baseUrl}/api/v3/simple/price?ids=${coinGeckoIds.map(encodeURIComponent).join(",")}&vs_currencies=usd`, { timeout: 5000 });
+
+        return coinGeckoIds.reduce((prices, id) => {
+            const price = response.data[id] && response.data[id].usd;
+            if (!(price > 0)) {
+                throw new Error(`\x1b[0m- \x1b[31mWARNING\x1b[0m | \x1b[37mFailed to fetch ${id} price from CoinGecko.\x1b[0m`);
+            }
+            prices[id] = price;
+            return prices;
+        }, {});
+    },
+
+    /**
+     * Fetches the price of Bitcoin (BTC) in several currencies from the CoinGecko API in a single request,
+     * e.g. to derive exchange rates from its BTC pairs.
+     *
+     * @param {string[]} currencies - The ISO 4217 codes of the currencies (e.g. "EUR").
+     * @param {string} [baseUrl="https://api.coingecko.com"] - The base URL of the API, e.g. a local stub.
+     * @returns {Promise<Object>} The prices by currency code. The currencies without a BTC pair are left out.
+     * @throws Will throw an error if the request fails.
+     */
+    async fetchCoinGeckoQuotes(currencies, baseUrl = "https://api.coingecko.com") {
+        const response = await axios.get(`${baseUrl}/api/v3/simple/price?ids=bitcoin&vs_currencies=${currencies.map(code => code.toLowerCase()).join(",")}`, { timeout: 5000 });
+
+        return currencies.reduce((prices, code) => {
+            const price = response.data.bitcoin && response.data.bitcoin[code.toLowerCase()];
+            if (price > 0) {
+                prices[code] = price;
+            }
+            return prices;
+        }, {});
     }
 };
 
@@ -0,0 +1,207 @@
+const fs = require("fs");
+const path = require("path");
+
+const PriceHistory = {
+    /**
+     * Units of the downsampling intervals, in milliseconds.
+     */
+    intervalUnits: {
+        s: 1000,
+        m: 60 * 1000,
+        h: 60 * 60 * 1000,
+        d: 24 * 60 * 60 * 1000
+    },
+
+    /**
+     * Describes the quotes of every price source in a single CSV field.
+     *
+     * @param {Object[]} sources - The sources ({ name, status, price }, see `PriceFetcher.getConsensusPrice`).
+     * @returns {string} e.g. "coingecko=64123.00;kraken=70210.50(rejected);binance=(failed);bitstamp=(skipped)".
+     */
+    describeSources(sources) {
+        return sources.map(({ name, status, price }) => {
+            if (price === null) return `${name}=(${status})`;
+            return `${name}=${price.toFixed(2)}${status === "rejected" ? "(rejected)" : ""}`;
+        }).join(";");
+    },
+
+    /**
+     * Parses the quotes of the price sources written by `describeSources`.
+     *
+     * @param {string} description - The described sources.
+     * @returns {Object[]} The sources ({ name, price, status }), the price is null for a failed or skipped source.
+     */
+    parseSources(description) {
+        return description.split(";").filter(source => source !== "").map(source => {
+            const [name, value] = source.split("=");
+            if (value === "(failed)" || value === "(skipped)") return { name: name, price: null, status: value.slice(1, -1) };
+            return { name: name, price: parseFloat(value), status: value.endsWith("(rejected)") ? "rejected" : "used" };
+        });
+    },
+
+    /**
+     * Appends a quote to the history file, creating it with its header if needed.
+     *
+     * @param {string} filePath - The path to the history CSV file.
+     * @param {Object} quote - The quote.
+     * @param {number} quote.timestamp - When the price was fetched, in milliseconds.
+     * @param {number} quote.price - The consensus price.
+     * @param {Object[]} quote.sources - The quotes of the price sources.
+     */
+    record(filePath, { timestamp, price, sources }) {
+        if (!fs.existsSync(filePath)) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, "timestamp,price,sources\n");
+        }
+        fs.appendFileSync(filePath, `${timestamp},${price},${this.describeSources(sources)}\n`);
+    },
+
+    /**
+     * The quotes already read, by history file. The file is only appended to, so each read only parses the lines
+     * written since the previous one, and the daily closes are kept until new quotes are read.
+     */
+    cache: new Map(),
+
+    /**
+     * Loads the quotes of the history file into the cache, parsing only the complete lines added since the last load.
+     * A file that was replaced (another file, or a smaller one) is read again.
+     *
+     * @param {string} filePath - The path to the history CSV file.
+     * @returns {Object|null} The cache entry ({ inode, size, quotes, closes }), or null if the file does not exist.
+     */
+    load(filePath) {
+        if (!fs.existsSync(filePath)) {
+            this.cache.delete(filePath);
+            return null;
+        }
+
+        const { ino: inode, size } = fs.statSync(filePath);
+        let entry = this.cache.get(filePath);
+        if (!entry || inode !== entry.inode || size < entry.size) {
+            entry = { inode: inode, size: 0, quotes: [], closes: null };
+            this.cache.set(filePath, entry);
+        }
+        if (size === entry.size) {
+            return entry;
+        }
+
+        const fd = fs.openSync(filePath, "r");
+        const buffer = Buffer.alloc(size - entry.size);
+        fs.readSync(fd, buffer, 0, buffer.length, entry.size);
+        fs.closeSync(fd);
+
+        // A line being written is read once it is complete
+        const complete = buffer.lastIndexOf("\n") + 1;
+        const quotes = buffer.toString("utf8", 0, complete).split("\n")
+            .filter(line => line.trim() !== "" && !line.startsWith("timestamp"))
+            .map(line => {
+                const [timestamp, price, sources = ""] = line.trim().split(",");
+                return { timestamp: Number(timestamp), price: Number(price), sources: this.parseSources(sources) };
+            })
+            .filter(quote => Number.isFinite(quote.timestamp) && quote.price > 0);
+        if (quotes.length > 0) {
+            const last = entry.quotes[entry.quotes.length - 1];
+            entry.quotes.push(...quotes);
+            // The quotes are recorded in time order, they are only sorted when some were not
+            if ((last && quotes[0].timestamp < last.timestamp) || quotes.some((quote, index) => index > 0 && quote.timestamp < quotes[index - 1].timestamp)) {
+                entry.quotes.sort((a, b) => a.timestamp - b.timestamp);
+            }
+            entry.closes = null;
+        }
+        entry.size += complete;
+        return entry;
+    },
+
+    /**
+     * Reads the quotes of the history file between two times.
+     *
+     * @param {string} filePath - The path to the history CSV file.
+     * @param {Object} [range={}] - The time range.
+     * @param {number} [range.from=-Infinity] - The first time included, in milliseconds.
+     * @param {number} [range.to=Infinity] - The last time included, in milliseconds.
+     * @returns {Object[]} The quotes ({ timestamp, price, sources }), from oldest to newest. Empty if the file does not exist.
+     */
+    read(filePath, { from = -Infinity, to = Infinity } = {}) {
+        const entry = this.load(filePath);
+        if (!entry) {
+            return [];
+        }
+
+        // The quotes are sorted, the range is found by binary search
+        const firstIndex = (time, included) => {
+            let low = 0;
+            let high = entry.quotes.length;
+            while (low < high) {
+                const middle = (low + high) >>> 1;
+                if (entry.quotes[middle].timestamp < time || (!included && entry.quotes[middle].timestamp === time)) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
+                }
+            }
+            return low;
+        };
+        return entry.quotes.slice(firstIndex(from, true), firstIndex(to, false));
+    },
+
+    /**
+     * Parses a downsampling interval such as "30s", "5m", "1h" or "1d".
+     *
+     * @param {string} interval - The interval.
+     * @returns {number} The interval in milliseconds.
+     * @throws Will throw an error if the interval is not valid.
+     */
+    parseInterval(interval) {
+        const match = /^(\d+)([smhd])$/.exec(String(interval));
+        if (!match || Number(match[1]) === 0) {
+            throw new Error(`Invalid interval "${interval}". Use a number of seconds, minutes, hours or days, e.g. 30s, 5m, 1h or 1d`);
+        }
+        return Number(match[1]) * this.intervalUnits[match[2]];
+    },
+
+    /**
+     * Downsamples quotes to OHLC candles. Candles start at multiples of the interval since the epoch (UTC),
+     * and intervals without any quote have no candle.
+     *
+     * @param {Object[]} quotes - The quotes ({ timestamp, price }), from oldest to newest.
+     * @param {number} intervalMs - The length of a candle, in milliseconds.
+     * @returns {Object[]} The candles ({ timestamp, open, high, low, close, count }), from oldest to newest.
+     */
+    downsample(quotes, intervalMs) {
+        const candles = [];
+        quotes.forEach(({ timestamp, price }) => {
+            const start = Math.floor(timestamp / intervalMs) * intervalMs;
+            const candle = candles[candles.length - 1];
+            if (candle && candle.timestamp === start) {
+                candle.high = Math.max(candle.high, price);
+                candle.low = Math.min(candle.low, price);
+                candle.close = price;
+                candle.count++;
+            } else {
+                candles.push({ timestamp: start, open: price, high: price, low: price, close: price, count: 1 });
+            }
+        });
+        return candles;
+    },
+
+    /**
+     * Builds the daily close prices of the history: the last quote of each UTC day. They are built again only
+     * when new quotes were recorded.
+     *
+     * @param {string} filePath - The path to the history CSV file.
+     * @returns {Map<string, number>} The close prices by date (YYYY-MM-DD), from oldest to newest.
+     */
+    dailyCloses(filePath) {
+        const entry = this.load(filePath);
+        if (!entry) {
+            return new Map();
+        }
+        if (!entry.closes) {
+            const candles = this.downsample(entry.quotes, this.intervalUnits.d);
+            entry.closes = new Map(candles.map(candle => [new Date(candle.timestamp).toISOString().slice(0, 10), candle.close]));
+        }
+        return entry.closes;
+    }
+};
+
+module.exports = PriceHistory;
\ No newline at end of file
@@ -0,0 +1,128 @@
+const fs = require("fs");
+const path = require("path");
+
+const PriceReplay = {
+    /**
+     * Replay sessions by file: the ticks, when the replay started and the position of the next tick.
+     */
+    sessions: {},
+
+    /**
+     * Parses the time of a tick: a number of milliseconds (or seconds, below 10^11) since the epoch, or a date.
+     *
+     * @param {string|number} value - The time of the tick.
+     * @returns {number} The time in milliseconds, NaN if it is not valid.
+     */
+    parseTimestamp(value) {
+        if (value !== "" && !isNaN(value)) {
+            const number = Number(value);
+            return number < 1e11 ? number * 1000 : number;
+        }
+        return Date.parse(value);
+    },
+
+    /**
+     * Reads a tick file. NDJSON files (.ndjson, .jsonl) have one { "timestamp", "price" } object per line, CSV files
+     * a header with a time column (timestamp, time or Date) and a price column (price or Close), so the local
+     * Yahoo Finance dataset can be replayed as is.
+     *
+     * @param {string} filePath - The path to the tick file.
+     * @returns {Object[]} The ticks ({ timestamp, price }), from oldest to newest.
+     * @throws Will throw an error if the file does not exist, has no time or price column, or no valid tick.
+     */
+    readTicks(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Tick file ${filePath} does not exist.`);
+        }
+
+        const lines = fs.readFileSync(filePath, "utf8").trim().split("\n").filter(line => line.trim() !== "");
+        let rows;
+        if ([".ndjson", ".jsonl"].includes(path.extname(filePath).toLowerCase())) {
+            rows = lines.map(line => JSON.parse(line));
+        } else {
+            const headers = lines[0].trim().split(",");
+            const timeHeader = ["timestamp", "time", "Date"].find(header => headers.includes(header));
+            const priceHeader = ["price", "Close"].find(header => headers.includes(header));
+            if (!timeHeader || !priceHeader) {
+                throw new Error(`Tick file ${filePath} must contain a time (timestamp, time or Date) and a price (price or Close) column.`);
+            }
+            rows = lines.slice(1).map(line => {
+                const values = line.trim().split(",");
+                return { timestamp: values[headers.indexOf(timeHeader)], price: values[headers.indexOf(priceHeader)] };
+            });
+        }
+
+        const ticks = rows
+            .map(row => ({ timestamp: this.parseTimestamp(row.timestamp), price: parseFloat(row.price) }))
+            .filter(tick => Number.isFinite(tick.timestamp) && tick.price > 0)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        if (ticks.length === 0) {
+            throw new Error(`Tick file ${filePath} does not contain any valid tick.`);
+        }
+        return ticks;
+    },
+
+    /**
+     * Returns the next tick of a replay. With the "step" clock, every call moves to the next tick, so a run
+     * always gets the same sequence of prices. With the "realtime" clock, a virtual clock starts at the first tick
+     * when the replay starts and runs `speed` times faster than the real one; the price is the last tick before it.
+     * At the end of the file, the replay starts again from the first tick when `loop` is set, or stays on the last one.
+     *
+     * @param {Object} replay - The replay settings.
+     * @param {string} replay.file - The tick file, relative to the project directory.
+     * @param {string} [replay.clock="step"] - "step" or "realtime".
+     * @param {number} [replay.speed=1] - The speed of the virtual clock ("realtime" clock).
+     * @param {boolean} [replay.loop=true] - Whether to start again at the end of the file.
+     * @returns {Object} The tick ({ timestamp, price }).
+     * @throws Will throw an error if the clock is unknown or the file cannot be read.
+     */
+    nextTick({ file, clock = "step", speed = 1, loop = true }) {
+        if (!["step", "realtime"].includes(clock)) {
+            throw new Error(`Unknown replay clock: ${clock}. Available clocks: step, realtime`);
+        }
+        if (clock === "realtime" && !(speed > 0)) {
+            throw new Error("The replay speed must be greater than 0");
+        }
+
+        const filePath = path.isAbsolute(file) ? file : path.join(__dirname, "..", file);
+        const session = this.sessions[filePath] || (this.sessions[filePath] = { ticks: this.readTicks(filePath), startedAt: Date.now(), position: 0 });
+        const { ticks } = session;
+
+        if (clock === "step") {
+            if (session.position >= ticks.length) {
+                session.position = loop ? 0 : ticks.length - 1;
+            }
+            return ticks[session.position++];
+        }
+
+        const first = ticks[0].timestamp;
+        const span = ticks[ticks.length - 1].timestamp - first;
+        let elapsed = (Date.now() - session.startedAt) * speed;
+        if (elapsed > span) {
+            elapsed = loop && span > 0 ? elapsed % (span + 1) : span;
+        }
+
+        // Last tick at or before the virtual time
+        let low = 0;
+        let high = ticks.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (ticks[middle].timestamp <= first + elapsed) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return ticks[low];
+    },
+
+    /**
+     * Forgets every replay session, so the next tick is read from the start of the file again.
+     */
+    reset() {
+        this.sessions = {};
+    }
+};
+
+module.exports = PriceReplay;
\ No newline at end of file
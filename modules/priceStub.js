@@ -0,0 +1,48 @@
+const express = require("express");
+
+const PriceStub = {
+    /**
+     * Starts a local HTTP server that answers like the CoinGecko simple price endpoint
+     * (/api/v3/simple/price?ids=bitcoin,ethereum&vs_currencies=usd), so the server can run without internet access
+     * by pointing its providers at it (`baseUrl`). Bitcoin is priced by `getPrice`, the other assets by `prices`,
+     * in USD and in the currencies of `rates`.
+     *
+     * @param {Object} settings - The settings of the stub.
+     * @param {number} [settings.port=8787] - The port of the server.
+     * @param {Object} [settings.prices={}] - The USD prices of other assets, by CoinGecko identifier.
+     * @param {Object} [settings.rates={}] - The exchange rates from USD, by currency code (e.g. { "EUR": 0.92 }).
+     * @param {Function} getPrice - Returns (a promise of) the price of Bitcoin on each request.
+     * @returns {Promise<Object>} A promise that resolves to the HTTP server once it listens.
+     */
+    start({ port = 8787, prices = {}, rates = {} } = {}, getPrice) {
+        const app = express();
+
+        app.get("/api/v3/simple/price", async (req, res) => {
+            try {
+                const ids = String(req.query.ids || "").split(",").filter(id => id !== "");
+                const currencies = String(req.query.vs_currencies || "usd").split(",")
+                    .filter(currency => currency === "usd" || rates[currency.toUpperCase()] > 0);
+                if (currencies.length === 0) {
+                    return res.json({});
+                }
+
+                const response = {};
+                for (const id of ids) {
+                    const price = id === "bitcoin" ? await getPrice() : prices[id];
+                    if (price !== undefined) {
+                        response[id] = Object.fromEntries(currencies.map(currency => [currency, currency === "usd" ? price : price * rates[currency.toUpperCase()]]));
+                    }
+                }
+                res.json(response);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        return new Promise(resolve => {
+            const server = app.listen(port, () => resolve(server));
+        });
+    }
+};
+
+module.exports = PriceStub;
\ No newline at end of file
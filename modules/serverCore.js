@@ -5,6 +5,34 @@ const Utils = require("./utils");
 
 const ServerCore = {
     latestOutput: null,
+    currentRun: null,
+
+    /**
+     * Runs a scheduled simulation, unless one is still in progress.
+     * 
+     * @param {Object} synthBTC - The main synthBTC object containing core functionalities.
+     * @param {Object} simulationConfig - The simulation configuration.
+     * @returns {Promise<void>} A promise that resolves when the run is finished.
+     */
+    runSimulation: function(synthBTC, simulationConfig) {
+        if (!this.currentRun) {
+            this.currentRun = synthBTC.getSimulationData(simulationConfig)
+                .then(output => {
+                    this.latestOutput = output;
+                })
+                .catch(error => {
+                    if (synthBTC.simulationStatus === "SKIPPED") {
+                        console.warn(`\x1b[0m- \x1b[33mSKIPPED\x1b[0m | \x1b[37m${error.message}\x1b[0m`);
+                    } else {
+                        console.error(`\x1b[0m- \x1b[31mERROR\x1b[0m | \x1b[37mSimulation failed: ${error.message}\x1b[0m`);
+                    }
+                })
+                .finally(() => {
+                    this.currentRun = null;
+                });
+        }
+        return this.currentRun;
+    },
 
     /**
      * Initializes the server with the given configuration.
@@ -20,6 +48,9 @@ const ServerCore = {
         const app = express();
         let port = webConfig.serverPort;
 
+        // Parse JSON request bodies (e.g. the strategies to simulate)
+        app.use(express.json());
+
         // Serve static files from the clientPublicDir directory
         app.use("/assets", express.static(path.join(__dirname, "..", synthBTC.clientPublicDir)));
 
@@ -33,15 +64,30 @@ const ServerCore = {
         });
 
         // Setup API routes
-        const api = APICore(synthBTC);
+        const api = APICore(synthBTC, this);
         api.setupRoutes(app);
         
         // Schedule simulation generation based on the interval in minutes
         const defineIntervalConfig = simulationConfig.simulationInterval;
         
-        setInterval(async () => {
-            this.latestOutput = await synthBTC.getSimulationData(simulationConfig);
-        }, defineIntervalConfig * 60 * 1000); 
+        setInterval(() => this.runSimulation(synthBTC, simulationConfig), defineIntervalConfig * 60 * 1000);
+
+        // Record the price between simulations too, so the price history is not limited to one quote per run
+        const { enabled: recordPrices = true, recordIntervalSeconds = 60 } = simulationConfig.priceHistory || {};
+        if (recordPrices && recordIntervalSeconds > 0) {
+            setInterval(() => synthBTC.currentPriceBTC(), recordIntervalSeconds * 1000);
+        }
+
+        // Cancel the run in progress on shutdown, so no partial source is left behind, then close the storage.
+        // Ctrl+C also stops the Turbit workers, whose run then never settles: it is not waited for more than 5 seconds
+        const shutdown = async () => {
+            synthBTC.cancelSimulation();
+            await Promise.race([this.currentRun, new Promise(resolve => setTimeout(resolve, 5000))]);
+            synthBTC.storage.close();
+            process.exit(0);
+        };
+        process.once("SIGINT", shutdown);
+        process.once("SIGTERM", shutdown);
 
         /**
          * Starts the server on the given port.
@@ -49,7 +95,7 @@ const ServerCore = {
          * 
          * @param {number} port - The port number to start the server on.
          */
-        function runServer(port) {
+        const runServer = (port) => {
             const server = app.listen(port);
         
             server.on("error", (error) => {
@@ -91,11 +137,11 @@ const ServerCore = {
 
                     // Generate initial simulations if not already generated
                     if (!this.latestOutput) {
-                        this.latestOutput = await synthBTC.getSimulationData(simulationConfig);
+                        await this.runSimulation(synthBTC, simulationConfig);
                     }
                 }, 6000); 
             });
-        }
+        };
         
         // Start the server with the initial port
         runServer(port);
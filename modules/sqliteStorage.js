@@ -0,0 +1,268 @@
+const fs = require("fs");
+const path = require("path");
+const CSVHandler = require("./csvHandler");
+
+/**
+ * Tables of the SQLite storage. The runs keep their full record as JSON, with the columns used for lookups indexed.
+ * The paths of a source are keyed by source and path number, their other values are kept as a CSV line.
+ */
+const schema = `
+    CREATE TABLE IF NOT EXISTS runs (
+        kind TEXT NOT NULL,
+        id INTEGER NOT NULL,
+        timestamp INTEGER,
+        data_source TEXT,
+        simulated_data INTEGER,
+        record TEXT NOT NULL,
+        PRIMARY KEY (kind, id)
+    );
+    CREATE INDEX IF NOT EXISTS runs_timestamp ON runs (kind, timestamp);
+    CREATE INDEX IF NOT EXISTS runs_data_source ON runs (data_source);
+    CREATE TABLE IF NOT EXISTS sources (
+        name TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        columns TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS sources_position ON sources (kind, position);
+    CREATE TABLE IF NOT EXISTS paths (
+        source TEXT NOT NULL,
+        path INTEGER NOT NULL,
+        vals TEXT NOT NULL,
+        PRIMARY KEY (source, path)
+    ) WITHOUT ROWID;
+    CREATE TABLE IF NOT EXISTS artifacts (
+        source TEXT NOT NULL,
+        type TEXT NOT NULL,
+        content TEXT NOT NULL,
+        PRIMARY KEY (source, type)
+    );
+`;
+
+/**
+ * Storage of the runs in an embedded SQLite database (see modules/storage.js), through the better-sqlite3 package.
+ * Sources keep the names of the CSV storage (e.g. source_simulation_12.csv), so the `data_source` of migrated runs
+ * stays the same.
+ *
+ * @param {Object} settings - The settings.
+ * @param {string} settings.file - The path to the database file, created if it does not exist.
+ * @param {Object} settings.prefixes - The name prefix of the sources of each kind of run ({ simulation, multiAsset }).
+ * @throws Will throw an error if better-sqlite3 is not installed.
+ */
+const SQLiteStorage = ({ file, prefixes }) => {
+    let Database;
+    try {
+        Database = require("better-sqlite3");
+    } catch (error) {
+        throw new Error("The sqlite storage backend needs the better-sqlite3 package, reinstall the dependencies with npm install");
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    db.exec(schema);
+
+    const statements = {
+        summary: db.prepare("SELECT COUNT(*) AS simulations, COALESCE(SUM(simulated_data), 0) AS simulatedData FROM runs WHERE kind = ?"),
+        lastPosition: db.prepare("SELECT COALESCE(MAX(position), 0) AS position FROM sources WHERE kind = ?"),
+        insertSource: db.prepare("INSERT INTO sources (name, kind, position, columns) VALUES (?, ?, ?, ?)"),
+        selectSource: db.prepare("SELECT columns FROM sources WHERE name = ?"),
+        deleteSource: db.prepare("DELETE FROM sources WHERE name = ?"),
+        insertPath: db.prepare("INSERT INTO paths (source, path, vals) VALUES (?, ?, ?)"),
+        selectPaths: db.prepare("SELECT path, vals FROM paths WHERE source = ? ORDER BY path"),
+        deletePaths: db.prepare("DELETE FROM paths WHERE source = ?"),
+        upsertArtifact: db.prepare("INSERT INTO artifacts (source, type, content) VALUES (?, ?, ?) ON CONFLICT (source, type) DO UPDATE SET content = excluded.content"),
+        selectArtifact: db.prepare("SELECT content FROM artifacts WHERE source = ? AND type = ?"),
+        insertRun: db.prepare("INSERT INTO runs (kind, id, timestamp, data_source, simulated_data, record) VALUES (?, ?, ?, ?, ?, ?)"),
+        selectRuns: db.prepare("SELECT record FROM runs WHERE kind = ? ORDER BY id"),
+        selectRun: db.prepare("SELECT record FROM runs WHERE kind = ? AND id = ?"),
+        selectLatestRun: db.prepare("SELECT record FROM runs WHERE kind = ? ORDER BY id DESC LIMIT 1"),
+        countRuns: db.prepare("SELECT COUNT(*) AS count FROM runs WHERE kind = ?")
+    };
+    const appendPaths = db.transaction((source, rows) => {
+        rows.forEach(([number, ...values]) => statements.insertPath.run(source, Number(number), values.join(",")));
+    });
+    const removeSource = db.transaction(source => {
+        statements.deletePaths.run(source);
+        statements.deleteSource.run(source);
+    });
+
+    return {
+        name: "sqlite",
+
+        /**
+         * Counts the simulation runs and their simulated paths.
+         *
+         * @returns {Object} The number of runs and of simulated paths ({ simulations, simulatedData }).
+         */
+        summary() {
+            return statements.summary.get("simulation");
+        },
+
+        /**
+         * Creates the source of a new run, where its paths are appended batch by batch (one transaction per batch).
+         *
+         * @param {string} kind - The kind of run ("simulation" or "multiAsset").
+         * @param {string[]} columns - The columns of the paths, the first one is the path number.
+         * @param {string} [name] - The name of the source, by default the next free one.
+         * @returns {Object} The source ({ name, index, append(rows), remove() }).
+         */
+        createSource(kind, columns, name) {
+            const index = name ? parseInt(name.match(/_(\d+)\.csv$/)[1], 10) : statements.lastPosition.get(kind).position + 1;
+            const sourceName = name || `${prefixes[kind]}_${index}.csv`;
+            // A named source replaces the previous one, e.g. left by an interrupted migration
+            removeSource(sourceName);
+            statements.insertSource.run(sourceName, kind, index, columns.join(","));
+
+            return {
+                name: sourceName,
+                index: index,
+                append: rows => appendPaths(sourceName, rows),
+                remove: () => removeSource(sourceName)
+            };
+        },
+
+        /**
+         * Reads the paths of a run batch by batch.
+         *
+         * @param {string} name - The name of the source.
+         * @param {Function} onBatch - Called with each batch of rows (arrays of values, as strings) and the columns.
+         * @param {number} [batchSize=10000] - The number of rows of a batch.
+         * @returns {string[]|null} The columns of the source, or null if it does not exist.
+         */
+        readSource(name, onBatch, batchSize = 10000) {
+            const source = statements.selectSource.get(name);
+            if (!source) {
+                return null;
+            }
+
+            const columns = source.columns.split(",");
+            let batch = [];
+            for (const row of statements.selectPaths.iterate(name)) {
+                batch.push([String(row.path), ...row.vals.split(",")]);
+                if (batch.length >= batchSize) {
+                    onBatch(batch, columns);
+                    batch = [];
+                }
+            }
+            if (batch.length > 0) {
+                onBatch(batch, columns);
+            }
+            return columns;
+        },
+
+        /**
+         * Saves an artifact of a run, replacing the previous one.
+         *
+         * @param {string} source - The name of the source of the run.
+         * @param {string} type - The artifact ("bands", "distributions" or "histogram").
+         * @param {string} content - The CSV content, header included.
+         */
+        writeArtifact(source, type, content) {
+            statements.upsertArtifact.run(source, type, content);
+        },
+
+        /**
+         * Reads an artifact of a run.
+         *
+         * @param {string} source - The name of the source of the run.
+         * @param {string} type - The artifact ("bands", "distributions" or "histogram").
+         * @returns {string|null} The CSV content, or null if it was not saved.
+         */
+        readArtifact(source, type) {
+            const artifact = statements.selectArtifact.get(source, type);
+            return artifact ? artifact.content : null;
+        },
+
+        /**
+         * Reads the bands, histogram or distributions of a run (see `CSVHandler.parseBands`, `parseHistogram` and `parseDistributions`).
+         *
+         * @param {string} source - The name of the source of the run.
+         * @returns {Object[]|Object|null} The parsed artifact, or null if it was not saved.
+         */
+        readBands(source) {
+            return CSVHandler.parseBands(this.readArtifact(source, "bands"));
+        },
+
+        readHistogram(source) {
+            return CSVHandler.parseHistogram(this.readArtifact(source, "histogram"));
+        },
+
+        readDistributions(source) {
+            return CSVHandler.parseDistributions(this.readArtifact(source, "distributions"));
+        },
+
+        /**
+         * Logs a run. Its values are kept as strings, like in the core log of the CSV storage.
+         *
+         * @param {string} kind - The kind of run ("simulation" or "multiAsset").
+         * @param {Object} record - The values of the run, keyed by column name.
+         * @throws Will throw an error if a run of the same kind has the same simulation_id.
+         */
+        appendRun(kind, record) {
+            const values = Object.fromEntries(Object.entries(record).map(([column, value]) => [column, value === null || value === undefined ? "" : String(value)]));
+            statements.insertRun.run(kind, Number(values.simulation_id), Number(values.timestamp) || null, values.data_source || null, Number(values.simulated_data) || 0, JSON.stringify(values));
+        },
+
+        /**
+         * Lists the runs of a kind, by simulation_id.
+         *
+         * @param {string} kind - The kind of run ("simulation" or "multiAsset").
+         * @returns {Object[]} The runs, with the values as strings.
+         */
+        listRuns(kind) {
+            return statements.selectRuns.all(kind).map(row => JSON.parse(row.record));
+        },
+
+        /**
+         * Finds a run by its simulation_id.
+         *
+         * @param {string} kind - The kind of run ("simulation" or "multiAsset").
+         * @param {number} id - The simulation_id of the run.
+         * @returns {Object|null} The run, or null if it was not logged.
+         */
+        getRun(kind, id) {
+            const row = statements.selectRun.get(kind, id);
+            return row ? JSON.parse(row.record) : null;
+        },
+
+        /**
+         * Returns the run of a kind with the highest simulation_id.
+         *
+         * @param {string} kind - The kind of run ("simulation" or "multiAsset").
+         * @returns {Object|null} The run, or null if none was logged.
+         */
+        latestRun(kind) {
+            const row = statements.selectLatestRun.get(kind);
+            return row ? JSON.parse(row.record) : null;
+        },
+
+        /**
+         * Counts the runs of a kind.
+         *
+         * @param {string} kind - The kind of run ("simulation" or "multiAsset").
+         * @returns {number} The number of runs.
+         */
+        countRuns(kind) {
+            return statements.countRuns.get(kind).count;
+        },
+
+        /**
+         * Returns the size of the stored data, in bytes.
+         *
+         * @returns {number} The size of the database file and of its write-ahead log.
+         */
+        dataSize() {
+            return [file, `${file}-wal`].filter(fs.existsSync).reduce((size, databaseFile) => size + fs.statSync(databaseFile).size, 0);
+        },
+
+        /**
+         * Closes the database.
+         */
+        close() {
+            db.close();
+        }
+    };
+};
+
+module.exports = SQLiteStorage;
\ No newline at end of file
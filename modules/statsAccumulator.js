@@ -0,0 +1,510 @@
+const StatsAccumulator = {
+    /**
+     * Grid of the quantile sketch: a histogram of the log change of the price from the current price.
+     * Bins are 0.1% wide and cover -10 to +10, so any quantile is known within 0.05% and two sketches
+     * are merged by adding their counts.
+     */
+    sketchGrid: {
+        minLogChange: -10,
+        binWidth: 0.001,
+        binCount: 20000
+    },
+
+    /**
+     * Percentiles recorded for every batch, so their sampling error can be measured.
+     */
+    batchPercentiles: [5, 50, 95],
+
+    /**
+     * Two-sided 97.5% quantiles of the Student t distribution for 1 to 30 degrees of freedom,
+     * used for 95% confidence intervals from a small number of batches. The normal value is used beyond.
+     */
+    tQuantiles: [
+        12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+        2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+        2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+    ],
+
+    /**
+     * Creates an empty accumulator.
+     *
+     * @param {Object} [options={}] - The options of the accumulator.
+     * @param {boolean} [options.withSketch=true] - Whether to keep a quantile sketch.
+     * @param {boolean} [options.pathStandardError=true] - Whether paths are independent, so the standard error
+     * can be derived from their variance when there are not enough batches.
+     * @returns {Object} An accumulator with online mean/variance, min/max and an empty quantile sketch.
+     */
+    create({ withSketch = true, pathStandardError = true } = {}) {
+        return {
+            count: 0,
+            mean: 0,
+            m2: 0,
+            min: Infinity,
+            max: -Infinity,
+            sketch: withSketch ? new Float64Array(this.sketchGrid.binCount) : null,
+            control: null,
+            batches: [],
+            pathStandardError: pathStandardError
+        };
+    },
+
+    /**
+     * Merges the partial aggregates of a worker into an accumulator.
+     * Mean and variance are combined with Chan's parallel formula, so the order of the batches
+     * does not affect the result beyond floating point rounding.
+     *
+     * @param {Object} accumulator - The accumulator of the run.
+     * @param {Object} partial - The partial aggregates of a worker ({ count, mean, m2, min, max, sketch, control }).
+     * @param {number} partial.sketch.offset - The index of the first bin of the sparse sketch.
+     * @param {number[]} partial.sketch.counts - The counts of the bins starting at the offset.
+     * @param {Object|null} [partial.control] - The sums of the control variate ({ sum, sumSquares, sumProducts }).
+     * @returns {Object} The same accumulator, updated.
+     */
+    merge(accumulator, partial) {
+        if (partial.count === 0) {
+            return accumulator;
+        }
+
+        const count = accumulator.count + partial.count;
+        const delta = partial.mean - accumulator.mean;
+
+        accumulator.mean += delta * partial.count / count;
+        accumulator.m2 += partial.m2 + delta * delta * accumulator.count * partial.count / count;
+        accumulator.count = count;
+        accumulator.min = Math.min(accumulator.min, partial.min);
+        accumulator.max = Math.max(accumulator.max, partial.max);
+
+        if (accumulator.sketch) {
+            const { offset, counts } = partial.sketch;
+            for (let i = 0; i < counts.length; i++) {
+                accumulator.sketch[offset + i] += counts[i];
+            }
+        }
+
+        if (partial.control) {
+            const control = accumulator.control || (accumulator.control = { sum: 0, sumSquares: 0, sumProducts: 0 });
+            control.sum += partial.control.sum;
+            control.sumSquares += partial.control.sumSquares;
+            control.sumProducts += partial.control.sumProducts;
+        }
+
+        return accumulator;
+    },
+
+    /**
+     * Estimates the mean price. With a control variate, the sample mean is corrected by the deviation
+     * of the control from its known mean, scaled by the optimal (regression) coefficient.
+     *
+     * @param {Object} accumulator - The accumulator of the run.
+     * @returns {number} The estimated mean price.
+     */
+    estimateMean(accumulator) {
+        const { count, mean, control } = accumulator;
+        if (!control || count === 0) {
+            return mean;
+        }
+
+        const controlMean = control.sum / count;
+        const controlVariance = control.sumSquares / count - controlMean * controlMean;
+        if (controlVariance <= 0) {
+            return mean;
+        }
+
+        const coefficient = (control.sumProducts / count - mean * controlMean) / controlVariance;
+        return mean - coefficient * controlMean;
+    },
+
+    /**
+     * Records the statistics of a batch, used as an independent replicate to measure standard errors.
+     *
+     * @param {Object} accumulator - The accumulator of the run.
+     * @param {Object} batchAccumulator - The accumulator of the batch alone.
+     * @param {number} currentPrice - The current price used as reference by the sketch.
+     * @param {Object} [measures={}] - Other statistics to record, each one a function of the batch accumulator
+     * (e.g. { target: batch => ... }).
+     * @returns {Object} The same accumulator, updated.
+     */
+    addBatchEstimate(accumulator, batchAccumulator, currentPrice, measures = {}) {
+        if (batchAccumulator.count > 0) {
+            const quantiles = {};
+            if (batchAccumulator.sketch) {
+                this.batchPercentiles.forEach(percentile => {
+                    quantiles[percentile] = this.quantile(batchAccumulator, percentile / 100, currentPrice);
+                });
+            }
+            const batchMeasures = {};
+            Object.entries(measures).forEach(([name, measure]) => batchMeasures[name] = measure(batchAccumulator));
+            accumulator.batches.push({
+                count: batchAccumulator.count,
+                estimate: this.estimateMean(batchAccumulator),
+                mean: batchAccumulator.mean,
+                stdDev: Math.sqrt(batchAccumulator.m2 / batchAccumulator.count),
+                quantiles: quantiles,
+                measures: batchMeasures
+            });
+        }
+        return accumulator;
+    },
+
+    /**
+     * Calculates the standard error of a statistic from its spread between batches (batch means method).
+     * Batches are weighted by their number of paths, so a smaller last batch counts less.
+     *
+     * @param {Object} accumulator - The accumulator of the run.
+     * @param {Function} measure - Returns the statistic of a batch (e.g. batch => batch.quantiles[50]).
+     * @returns {number|null} The standard error, or null with less than two batches.
+     */
+    batchStandardError(accumulator, measure) {
+        const batches = accumulator.batches;
+        if (batches.length < 2) {
+            return null;
+        }
+
+        const total = batches.reduce((sum, batch) => sum + batch.count, 0);
+        const mean = batches.reduce((sum, batch) => sum + measure(batch) * batch.count, 0) / total;
+        const squares = batches.reduce((sum, batch) => sum + Math.pow(batch.count * (measure(batch) - mean), 2), 0);
+        return Math.sqrt(squares / (total * total) * batches.length / (batches.length - 1));
+    },
+
+    /**
+     * Calculates the 95% confidence interval of a statistic.
+     *
+     * @param {number} estimate - The estimate of the statistic.
+     * @param {number|null} standardError - Its standard error.
+     * @param {number} batchCount - The number of batches the standard error comes from.
+     * @returns {Object|null} The bounds and the half width relative to the estimate ({ lower, upper, relativePrecision }),
+     * or null when the standard error is not known.
+     */
+    confidenceInterval(estimate, standardError, batchCount) {
+        if (standardError === null) {
+            return null;
+        }
+
+        const degrees = batchCount - 1;
+        const quantile = degrees >= 1 && degrees <= this.tQuantiles.length ? this.tQuantiles[degrees - 1] : 1.96;
+        const halfWidth = quantile * standardError;
+        return {
+            lower: estimate - halfWidth,
+            upper: estimate + halfWidth,
+            relativePrecision: estimate !== 0 ? halfWidth / Math.abs(estimate) : null
+        };
+    },
+
+    /**
+     * Calculates the 95% confidence interval of a probability estimated as a share of paths (Wilson score interval),
+     * treating the paths as independent.
+     *
+     * @param {number} count - The number of paths where the event happened.
+     * @param {number} total - The number of paths.
+     * @returns {Object} The bounds of the interval ({ lower, upper }).
+     */
+    proportionInterval(count, total) {
+        const z = 1.96;
+        const probability = count / total;
+        const denominator = 1 + z * z / total;
+        const center = (probability + z * z / (2 * total)) / denominator;
+        const halfWidth = z * Math.sqrt(probability * (1 - probability) / total + z * z / (4 * total * total)) / denominator;
+        return {
+            lower: Math.max(center - halfWidth, 0),
+            upper: Math.min(center + halfWidth, 1)
+        };
+    },
+
+    /**
+     * Calculates the standard error of the mean estimate.
+     * With two batches or more, it is the spread of the batch estimates, which stays valid whatever
+     * the sampling (antithetic pairs, Sobol points, control variate). With a single batch of independent paths
+     * (neither antithetic nor Sobol), it falls back on the variance of the paths (of the residuals of the control
+     * variate, if any).
+     *
+     * @param {Object} accumulator - The accumulator of the run.
+     * @returns {number|null} The standard error, or null when it cannot be measured.
+     */
+    standardError(accumulator) {
+        if (accumulator.batches.length >= 2) {
+            return this.batchStandardError(accumulator, batch => batch.estimate);
+        }
+
+        if (!accumulator.pathStandardError || accumulator.count < 2) {
+            return null;
+        }
+
+        let variance = accumulator.m2 / accumulator.count;
+        const control = accumulator.control;
+        if (control) {
+            const controlMean = control.sum / accumulator.count;
+            const controlVariance = control.sumSquares / accumulator.count - controlMean * controlMean;
+            const covariance = control.sumProducts / accumulator.count - accumulator.mean * controlMean;
+            if (controlVariance > 0) {
+                variance = Math.max(variance - covariance * covariance / controlVariance, 0);
+            }
+        }
+        return Math.sqrt(variance / (accumulator.count - 1));
+    },
+
+    /**
+     * Estimates a quantile of the prices from the sketch, interpolating linearly inside the bin.
+     * The result is clamped to the exact min/max of the accumulator.
+     *
+     * @param {Object} accumulator - The accumulator of the run.
+     * @param {number} probability - The probability of the quantile, between 0 and 1.
+     * @param {number} currentPrice - The current price used as reference by the sketch.
+     * @returns {number} The estimated price at the requested quantile.
+     */
+    quantile(accumulator, probability, currentPrice) {
+        const { minLogChange, binWidth, binCount } = this.sketchGrid;
+        const rank = probability * accumulator.count;
+
+        let cumulative = 0;
+        let bin = 0;
+        while (bin < binCount - 1 && cumulative + accumulator.sketch[bin] < rank) {
+            cumulative += accumulator.sketch[bin];
+            bin++;
+        }
+
+        const fraction = accumulator.sketch[bin] > 0 ? (rank - cumulative) / accumulator.sketch[bin] : 0;
+        const price = currentPrice * Math.exp(minLogChange + (bin + fraction) * binWidth);
+        return Math.min(Math.max(price, accumulator.min), accumulator.max);
+    },
+
+    /**
+     * Estimates the share of prices below a price from the sketch (the cumulative distribution function).
+     * The prices of the bin containing the price are assumed to be spread evenly in log scale.
+     *
+     * @param {Object} accumulator - The accumulator of the run.
+     * @param {number} price - The price.
+     * @param {number} currentPrice - The current price used as reference by the sketch.
+     * @returns {number} The share of prices below the price, between 0 and 1.
+     */
+    cdf(accumulator, price, currentPrice) {
+        if (price <= accumulator.min) return 0;
+        if (price >= accumulator.max) return 1;
+
+        const { minLogChange, binWidth, binCount } = this.sketchGrid;
+        const position = Math.min(Math.max((Math.log(price / currentPrice) - minLogChange) / binWidth, 0), binCount);
+        const bin = Math.min(Math.floor(position), binCount - 1);
+
+        let below = 0;
+        for (let index = 0; index < bin; index++) {
+            below += accumulator.sketch[index];
+        }
+        below += accumulator.sketch[bin] * (position - bin);
+        return below / accumulator.count;
+    },
+
+    /**
+     * Estimates the average price of the lowest part of the distribution (the left tail) from the sketch.
+     * Prices are assumed to be spread evenly (in log scale) inside each bin, and the bin reaching the
+     * probability only counts for the part below it.
+     *
+     * @param {Object} accumulator - The accumulator of the run.
+     * @param {number} probability - The share of the distribution in the tail, between 0 and 1.
+     * @param {number} currentPrice - The current price used as reference by the sketch.
+     * @returns {number} The average price of the tail.
+     */
+    tailMean(accumulator, probability, currentPrice) {
+        const { minLogChange, binWidth, binCount } = this.sketchGrid;
+        const rank = Math.max(probability * accumulator.count, 1);
+        const priceAt = position => Math.min(Math.max(currentPrice * Math.exp(minLogChange + position * binWidth), accumulator.min), accumulator.max);
+
+        let cumulative = 0;
+        let total = 0;
+        for (let bin = 0; bin < binCount && cumulative < rank; bin++) {
+            const count = Math.min(accumulator.sketch[bin], rank - cumulative);
+            if (count > 0) {
+                const fraction = count / accumulator.sketch[bin];
+                total += count * priceAt(bin + fraction / 2);
+                cumulative += count;
+            }
+        }
+
+        return cumulative > 0 ? total / cumulative : accumulator.min;
+    },
+
+    /**
+     * Builds a histogram of the prices with bins of equal width in log scale, from the lowest to the highest price.
+     * The counts are taken from the sketch, whose bins are much narrower.
+     *
+     * @param {Object} accumulator - The accumulator of the run.
+     * @param {number} currentPrice - The current price used as reference by the sketch.
+     * @param {number} binCount - The number of bins.
+     * @returns {Object[]} The bins, with their price bounds and number of prices ({ lower, upper, count }).
+     */
+    histogram(accumulator, currentPrice, binCount) {
+        const { minLogChange, binWidth } = this.sketchGrid;
+        const lowest = Math.log(accumulator.min);
+        const width = (Math.log(accumulator.max) - lowest) / binCount || binWidth;
+
+        const bins = Array.from({ length: binCount }, (_, index) => ({
+            lower: Math.exp(lowest + index * width),
+            upper: Math.exp(lowest + (index + 1) * width),
+            count: 0
+        }));
+        accumulator.sketch.forEach((count, bin) => {
+            if (count > 0) {
+                const logPrice = Math.log(currentPrice) + minLogChange + (bin + 0.5) * binWidth;
+                bins[Math.min(Math.max(Math.floor((logPrice - lowest) / width), 0), binCount - 1)].count += count;
+            }
+        });
+
+        return bins;
+    },
+
+    /**
+     * Calculates the bandwidth of a Gaussian kernel density estimate of the log prices with Silverman's rule
+     * of thumb (0.9 · min(σ, IQR / 1.34) · n^-0.2), never narrower than a bin of the sketch.
+     *
+     * @param {Object} accumulator - The accumulator of the run.
+     * @param {number} currentPrice - The current price used as reference by the sketch.
+     * @returns {number} The bandwidth, in log price.
+     */
+    kdeBandwidth(accumulator, currentPrice) {
+        const { minLogChange, binWidth, binCount } = this.sketchGrid;
+        let sum = 0;
+        let sumSquares = 0;
+        for (let bin = 0; bin < binCount; bin++) {
+            if (accumulator.sketch[bin] > 0) {
+                const logChange = minLogChange + (bin + 0.5) * binWidth;
+                sum += accumulator.sketch[bin] * logChange;
+                sumSquares += accumulator.sketch[bin] * logChange * logChange;
+            }
+        }
+        const mean = sum / accumulator.count;
+        const stdDev = Math.sqrt(Math.max(sumSquares / accumulator.count - mean * mean, 0));
+        const logQuantile = probability => Math.log(this.quantile(accumulator, probability, currentPrice) / currentPrice);
+        const spread = Math.min(stdDev, (logQuantile(0.75) - logQuantile(0.25)) / 1.34) || stdDev;
+        return Math.max(0.9 * spread * Math.pow(accumulator.count, -0.2), binWidth);
+    },
+
+    /**
+     * Estimates the mode of the prices (their most likely value) with a Gaussian kernel density estimate.
+     * The kernel is applied to the log prices, with the bandwidth of `kdeBandwidth`, on the sketch
+     * regrouped in cells of a quarter of the bandwidth; the density is then converted to prices.
+     *
+     * @param {Object} accumulator - The accumulator of the run.
+     * @param {number} currentPrice - The current price used as reference by the sketch.
+     * @returns {number} The price where the estimated density is the highest.
+     */
+    kdeMode(accumulator, currentPrice) {
+        const { minLogChange, binWidth, binCount } = this.sketchGrid;
+        const sketch = accumulator.sketch;
+        let first = 0;
+        let last = binCount - 1;
+        while (first < last && sketch[first] === 0) first++;
+        while (last > first && sketch[last] === 0) last--;
+        const bandwidth = this.kdeBandwidth(accumulator, currentPrice);
+
+        const step = Math.max(Math.floor(bandwidth / binWidth / 4), 1);
+        const cells = new Float64Array(Math.floor((last - first) / step) + 1);
+        for (let bin = first; bin <= last; bin++) {
+            cells[Math.floor((bin - first) / step)] += sketch[bin];
+        }
+
+        const cellWidth = step * binWidth;
+        const reach = Math.ceil(4 * bandwidth / cellWidth);
+        let bestLogChange = 0;
+        let bestDensity = -Infinity;
+        for (let cell = 0; cell < cells.length; cell++) {
+            let density = 0;
+            for (let other = Math.max(cell - reach, 0); other <= Math.min(cell + reach, cells.length - 1); other++) {
+                const distance = (cell - other) * cellWidth / bandwidth;
+                density += cells[other] * Math.exp(-0.5 * distance * distance);
+            }
+            const logChange = minLogChange + (first + (cell + 0.5) * step) * binWidth;
+            // Density of the price: the density of its log divided by the price
+            const priceDensity = density * Math.exp(-logChange);
+            if (priceDensity > bestDensity) {
+                bestDensity = priceDensity;
+                bestLogChange = logChange;
+            }
+        }
+
+        return Math.min(Math.max(currentPrice * Math.exp(bestLogChange), accumulator.min), accumulator.max);
+    },
+
+    /**
+     * Estimates the log of the density of the log price at a price, with the Gaussian kernel density estimate
+     * of `kdeMode`. The kernels are summed in log space, so a price far from every simulated price still gets
+     * a finite (very low) value.
+     *
+     * @param {Object} accumulator - The accumulator of the run.
+     * @param {number} price - The price.
+     * @param {number} currentPrice - The current price used as reference by the sketch.
+     * @returns {number} The natural log of the density of the log price.
+     */
+    logDensity(accumulator, price, currentPrice) {
+        const { minLogChange, binWidth, binCount } = this.sketchGrid;
+        const bandwidth = this.kdeBandwidth(accumulator, currentPrice);
+        const logChange = Math.log(price / currentPrice);
+
+        const terms = [];
+        for (let bin = 0; bin < binCount; bin++) {
+            if (accumulator.sketch[bin] > 0) {
+                const distance = (logChange - minLogChange - (bin + 0.5) * binWidth) / bandwidth;
+                terms.push(Math.log(accumulator.sketch[bin]) - 0.5 * distance * distance);
+            }
+        }
+        const highest = Math.max(...terms);
+        const sum = terms.reduce((total, term) => total + Math.exp(term - highest), 0);
+        return highest + Math.log(sum) - Math.log(accumulator.count * bandwidth * Math.sqrt(2 * Math.PI));
+    },
+
+    /**
+     * Summarizes an accumulator into plain statistics.
+     *
+     * @param {Object} accumulator - The accumulator of the run.
+     * @returns {Object} The count, mean, variance, standard deviation, min and max of the prices,
+     * the mean estimate (corrected by the control variate, if any) and its standard error.
+     */
+    summarize(accumulator) {
+        const variance = accumulator.count > 0 ? accumulator.m2 / accumulator.count : 0;
+        return {
+            count: accumulator.count,
+            mean: accumulator.mean,
+            variance: variance,
+            stdDev: Math.sqrt(variance),
+            min: accumulator.min,
+            max: accumulator.max,
+            estimate: this.estimateMean(accumulator),
+            standardError: this.standardError(accumulator)
+        };
+    },
+
+    /**
+     * Builds the convergence diagnostics of a run: the estimate, standard error and 95% confidence interval
+     * of the mean, the target price and the recorded percentiles.
+     *
+     * @param {Object} accumulator - The accumulator of the run.
+     * @param {number} currentPrice - The current price used as reference by the sketch.
+     * @param {Function} target - Returns the target price of an accumulator. Its standard error is measured from the
+     * `target` measure of the batches (see `addBatchEstimate`), and is null when the batches do not record it.
+     * @returns {Object} The diagnostics of each statistic ({ estimate, standardError, confidenceInterval }) and the number of batches.
+     */
+    diagnostics(accumulator, currentPrice, target) {
+        const batchCount = accumulator.batches.length;
+        const summary = this.summarize(accumulator);
+        const describe = (estimate, standardError) => ({
+            estimate: estimate,
+            standardError: standardError,
+            confidenceInterval: this.confidenceInterval(estimate, standardError, batchCount)
+        });
+
+        const result = {
+            batches: batchCount,
+            mean: describe(summary.estimate, summary.standardError),
+            target: describe(
+                target(accumulator),
+                accumulator.batches.every(batch => batch.measures.target !== undefined) ? this.batchStandardError(accumulator, batch => batch.measures.target) : null
+            )
+        };
+        this.batchPercentiles.forEach(percentile => {
+            result[`p${percentile}`] = describe(
+                this.quantile(accumulator, percentile / 100, currentPrice),
+                this.batchStandardError(accumulator, batch => batch.quantiles[percentile])
+            );
+        });
+        return result;
+    }
+};
+
+module.exports = StatsAccumulator;
\ No newline at end of file
@@ -0,0 +1,93 @@
+const CSVStorage = require("./csvStorage");
+const SQLiteStorage = require("./sqliteStorage");
+
+/**
+ * The storage of the runs. Every backend implements the same interface:
+ * - summary(): the number of simulation runs and of simulated paths ({ simulations, simulatedData }),
+ * - createSource(kind, columns, [name]): a new source for the paths of a run ({ name, index, append(rows), remove() }),
+ * - readSource(name, onBatch, [batchSize]): reads the paths of a run batch by batch (onBatch(rows, columns)) and
+ *   returns its columns,
+ * - writeArtifact(source, type, content) and readArtifact(source, type): the bands, distributions and histogram of
+ *   a run, as CSV content, with readBands(source), readDistributions(source) and readHistogram(source) to parse them,
+ * - appendRun(kind, record), listRuns(kind), getRun(kind, id), latestRun(kind) and countRuns(kind): the log of the
+ *   runs, with their values as strings,
+ * - dataSize() and close().
+ * The kinds of run are "simulation" (BTC runs) and "multiAsset" (correlated multi-asset runs).
+ */
+const Storage = {
+    /**
+     * Factories of the storage backends.
+     */
+    backends: {
+        csv: CSVStorage,
+        sqlite: SQLiteStorage
+    },
+
+    /**
+     * Kinds of run.
+     */
+    kinds: ["simulation", "multiAsset"],
+
+    /**
+     * Opens a storage backend.
+     *
+     * @param {string} backend - The name of the backend ("csv" or "sqlite").
+     * @param {Object} settings - The settings of the backend (see `CSVStorage` and `SQLiteStorage`).
+     * @returns {Object} The storage.
+     * @throws Will throw an error if the backend is unknown or cannot be opened.
+     */
+    open(backend, settings) {
+        if (!this.backends[backend]) {
+            throw new Error(`Unknown storage backend: ${backend}. Available backends: ${Object.keys(this.backends).join(", ")}`);
+        }
+        return this.backends[backend](settings);
+    },
+
+    /**
+     * Copies the runs of a storage to another one: their log, their paths and their artifacts. Runs whose
+     * simulation_id is already in the target are skipped, so a migration can be run again after new runs.
+     *
+     * @param {Object} from - The storage to copy from.
+     * @param {Object} to - The storage to copy to.
+     * @param {Function} [onRun] - Called after each copied run with its kind and record.
+     * @returns {Object} The number of runs copied and skipped, and of paths copied ({ copied, skipped, paths }).
+     */
+    migrate(from, to, onRun = () => {}) {
+        const summary = { copied: 0, skipped: 0, paths: 0 };
+        this.kinds.forEach(kind => {
+            from.listRuns(kind).forEach(run => {
+                if (to.getRun(kind, Number(run.simulation_id))) {
+                    summary.skipped++;
+                    return;
+                }
+
+                const source = run.data_source;
+                if (source) {
+                    // The target source is created with the columns of the first batch
+                    let target = null;
+                    const columns = from.readSource(source, (rows, sourceColumns) => {
+                        target = target || to.createSource(kind, sourceColumns, source);
+                        target.append(rows);
+                        summary.paths += rows.length;
+                    });
+                    if (columns && !target) {
+                        to.createSource(kind, columns, source);
+                    }
+                    ["bands", "distributions", "histogram"].forEach(type => {
+                        const content = from.readArtifact(source, type);
+                        if (content !== null) {
+                            to.writeArtifact(source, type, content);
+                        }
+                    });
+                }
+
+                to.appendRun(kind, run);
+                summary.copied++;
+                onRun(kind, run);
+            });
+        });
+        return summary;
+    }
+};
+
+module.exports = Storage;
\ No newline at end of file
@@ -0,0 +1,140 @@
+const MonteCarloEngine = require("./monteCarloEngine");
+const StatsAccumulator = require("./statsAccumulator");
+
+const StrategySimulator = {
+    /**
+     * Default settings of a strategy. A strategy combines:
+     * - a lump sum invested on day 0 (initialAmount),
+     * - dollar-cost averaging: contributionAmount every contributionIntervalDays, from day 0,
+     * - the share of each contribution bought in BTC, the rest stays in cash (btcWeight),
+     * - periodic rebalancing of the portfolio to btcWeight (rebalanceIntervalDays),
+     * - take-profit and stop-loss rules on the value relative to the money invested: once one is hit,
+     *   everything is sold and the strategy stays in cash until the end.
+     */
+    defaults: {
+        initialAmount: 0,
+        contributionAmount: 0,
+        contributionIntervalDays: 0,
+        btcWeight: 1,
+        rebalanceIntervalDays: 0,
+        takeProfitPercentage: null,
+        stopLossPercentage: null
+    },
+
+    /**
+     * Days per year used to annualize the IRR (Bitcoin trades every day).
+     */
+    daysPerYear: 365,
+
+    /**
+     * Percentiles reported for the final value and the IRR.
+     */
+    percentiles: [5, 25, 50, 75, 95],
+
+    /**
+     * Validates strategies and completes them with their defaults and their cash flows.
+     *
+     * @param {Object[]} strategies - The strategies (see `defaults`), each one with a name.
+     * @param {number} simulationDays - The number of simulated days.
+     * @returns {Object[]} The strategies with all their settings, the contributions made ({ years, amount }),
+     * the total invested and the horizon in years.
+     * @throws Will throw an error if a strategy is not valid.
+     */
+    normalizeStrategies(strategies, simulationDays) {
+        if (!Array.isArray(strategies) || strategies.length === 0) throw new Error("At least one strategy is required");
+
+        return strategies.map((definition, index) => {
+            const strategy = { name: `Strategy ${index + 1}`, ...this.defaults, ...definition };
+            const { name, initialAmount, contributionAmount, contributionIntervalDays, btcWeight, rebalanceIntervalDays, takeProfitPercentage, stopLossPercentage } = strategy;
+
+            if (!(initialAmount >= 0) || !(contributionAmount >= 0)) throw new Error(`Amounts of strategy "${name}" must be positive`);
+            if (!Number.isInteger(contributionIntervalDays) || contributionIntervalDays < 0) throw new Error(`Contribution interval of strategy "${name}" must be a whole number of days`);
+            if (!Number.isInteger(rebalanceIntervalDays) || rebalanceIntervalDays < 0) throw new Error(`Rebalance interval of strategy "${name}" must be a whole number of days`);
+            if (!(btcWeight >= 0 && btcWeight <= 1)) throw new Error(`BTC weight of strategy "${name}" must be between 0 and 1`);
+            if (takeProfitPercentage !== null && !(takeProfitPercentage > 0)) throw new Error(`Take-profit of strategy "${name}" must be greater than 0`);
+            if (stopLossPercentage !== null && !(stopLossPercentage > 0 && stopLossPercentage < 100)) throw new Error(`Stop-loss of strategy "${name}" must be between 0 and 100`);
+
+            // The contributions do not depend on the path, so the cash flows of the IRR are known in advance
+            const amounts = new Array(simulationDays).fill(0);
+            amounts[0] += initialAmount;
+            if (contributionIntervalDays > 0) {
+                for (let day = 0; day < simulationDays; day += contributionIntervalDays) {
+                    amounts[day] += contributionAmount;
+                }
+            }
+            const flows = amounts
+                .map((amount, day) => ({ years: day / this.daysPerYear, amount: amount }))
+                .filter(flow => flow.amount > 0);
+            const totalInvested = flows.reduce((sum, flow) => sum + flow.amount, 0);
+
+            if (totalInvested === 0) throw new Error(`Strategy "${name}" does not invest anything`);
+
+            return { ...strategy, flows: flows, totalInvested: totalInvested, years: simulationDays / this.daysPerYear };
+        });
+    },
+
+    /**
+     * Summarizes the results of the strategies replayed by the engine.
+     *
+     * @param {Object[]} strategies - The normalized strategies.
+     * @param {Object[]} results - The results of each strategy ({ value, growth, drawdowns }, see `MonteCarloEngine.executeFullSimulation`).
+     * @returns {Object[]} For each strategy, the total invested, the distribution of the final value (mean and percentiles),
+     * of the annualized IRR (percentiles, in percent) and of the maximum drawdown (in percent).
+     */
+    summarize(strategies, results) {
+        const round = value => Math.round(value * 100) / 100;
+
+        return strategies.map(({ flows, years, ...strategy }, index) => {
+            const { value, growth, drawdowns } = results[index];
+            const finalValue = { mean: round(value.mean) };
+            const irrPercentage = {};
+            this.percentiles.forEach(percentile => {
+                finalValue[`p${percentile}`] = round(StatsAccumulator.quantile(value, percentile / 100, strategy.totalInvested));
+                irrPercentage[`p${percentile}`] = round((StatsAccumulator.quantile(growth, percentile / 100, 1) - 1) * 100);
+            });
+            const maxDrawdownPercentage = {};
+            Object.entries(drawdowns).forEach(([name, drawdown]) => maxDrawdownPercentage[name] = round(drawdown * 100));
+
+            return {
+                ...strategy,
+                finalValue: finalValue,
+                irrPercentage: irrPercentage,
+                maxDrawdownPercentage: maxDrawdownPercentage
+            };
+        });
+    },
+
+    /**
+     * Replays strategies on simulated paths. Given the parameters and seed of a run, the paths are the first
+     * `totalSimulations` paths of that run, so the strategies are measured on the same scenarios as its overview.
+     *
+     * @param {Object} params - The input parameters.
+     * @param {Object} params.run - The parameters of the run (currentPrice, decimalVolatility, simulationDays, model,
+     * modelParams, returnsPool, seed, varianceReduction).
+     * @param {Object[]} params.strategies - The strategies (see `defaults`).
+     * @param {number} params.totalSimulations - The number of paths.
+     * @param {number} params.turbitPower - The power setting for Turbit parallel processing.
+     * @param {string} [params.backend="turbit"] - The parallel backend (see `MonteCarloEngine.backends`).
+     * @param {AbortSignal} [params.signal] - Cancels the replay.
+     * @returns {Promise<Object>} The number of paths and the summary of each strategy ({ paths, strategies }).
+     * @throws Will throw an error if a strategy is not valid.
+     */
+    async simulate({ run, strategies, totalSimulations, turbitPower, backend = "turbit", signal }) {
+        const normalized = this.normalizeStrategies(strategies, run.simulationDays);
+        const simulation = await MonteCarloEngine.executeFullSimulation({
+            ...run,
+            totalSimulations: totalSimulations,
+            turbitPower: turbitPower,
+            backend: backend,
+            signal: signal,
+            strategies: normalized
+        });
+
+        return {
+            paths: simulation.stats.count,
+            strategies: this.summarize(normalized, simulation.strategies)
+        };
+    }
+};
+
+module.exports = StrategySimulator;
\ No newline at end of file
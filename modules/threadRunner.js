@@ -0,0 +1,131 @@
+const { Worker } = require("worker_threads");
+const os = require("os");
+
+/**
+ * Code of every worker thread. Like a Turbit child process, it rebuilds the task function from its source
+ * and runs it on each message, so the same self-contained functions work with both backends.
+ */
+const workerSource = `
+const { parentPort } = require("worker_threads");
+const compiled = {};
+parentPort.on("message", ({ func, data, args }) => {
+    try {
+        const task = compiled[func] || (compiled[func] = new Function("return " + func)());
+        parentPort.postMessage({ result: task({ data, args }) });
+    } catch (error) {
+        parentPort.postMessage({ error: error.message });
+    }
+});
+`;
+
+const ThreadRunner = {
+    workers: [],
+
+    /**
+     * Calculates the number of threads for a power setting, the same way Turbit does (a percentage of the CPU cores).
+     *
+     * @param {number} power - The percentage of CPU cores to use.
+     * @returns {number} The number of threads, at least 1.
+     */
+    calculateThreads(power) {
+        return Math.max(Math.round(os.cpus().length * Math.max(power, 0) / 100), 1);
+    },
+
+    /**
+     * Starts the threads that are missing from the pool. Idle threads do not keep the process alive.
+     *
+     * @param {number} count - The number of threads required.
+     */
+    startWorkers(count) {
+        for (let i = this.workers.length; i < count; i++) {
+            const worker = new Worker(workerSource, { eval: true });
+            worker.unref();
+            this.workers.push(worker);
+        }
+    },
+
+    /**
+     * Stops every thread of the pool, including the ones running a task.
+     *
+     * @returns {Promise<void>} A promise that resolves once all the threads are stopped.
+     */
+    async terminate() {
+        const workers = this.workers;
+        this.workers = [];
+        await Promise.all(workers.map(worker => worker.terminate()));
+    },
+
+    /**
+     * Runs a task on chunks of data in parallel threads, with the same options and result as Turbit's "extended" type.
+     * When the signal is aborted, the threads are stopped at once and the promise is rejected.
+     *
+     * @param {Function} func - The self-contained task, called with ({ data, args }) for each chunk.
+     * @param {Object} options - The options of the run.
+     * @param {Array} options.data - The items to split between the threads.
+     * @param {Object} [options.args={}] - The arguments passed to every chunk.
+     * @param {number} [options.power=70] - The percentage of CPU cores to use.
+     * @param {AbortSignal} [options.signal] - Aborts the run.
+     * @returns {Promise<Object>} A promise that resolves to the output of each chunk ({ data }).
+     * @throws Will throw an error if a task fails or the run is aborted.
+     */
+    async run(func, { data = [], args = {}, power = 70, signal } = {}) {
+        if (data.length === 0) {
+            throw new Error("The thread runner requires a non-empty 'data' array");
+        }
+        if (signal && signal.aborted) {
+            throw signal.reason;
+        }
+
+        const threadCount = Math.min(this.calculateThreads(power), data.length);
+        this.startWorkers(threadCount);
+
+        const chunkSize = Math.ceil(data.length / threadCount);
+        const chunks = [];
+        for (let i = 0; i < data.length; i += chunkSize) {
+            chunks.push(data.slice(i, i + chunkSize));
+        }
+
+        const source = func.toString();
+        const workers = this.workers.slice(0, chunks.length);
+        let onAbort = null;
+
+        const tasks = chunks.map((chunk, index) => new Promise((resolve, reject) => {
+            const worker = workers[index];
+            const cleanUp = () => {
+                worker.removeListener("message", onMessage);
+                worker.removeListener("error", onError);
+                worker.unref();
+            };
+            const onMessage = (message) => {
+                cleanUp();
+                message.error ? reject(new Error(message.error)) : resolve(message.result);
+            };
+            const onError = (error) => {
+                cleanUp();
+                reject(error);
+            };
+            worker.ref();
+            worker.on("message", onMessage);
+            worker.on("error", onError);
+            worker.postMessage({ func: source, data: chunk, args });
+        }));
+
+        const aborted = new Promise((_, reject) => {
+            if (!signal) return;
+            onAbort = () => {
+                // The running threads cannot be interrupted, they are stopped and replaced on the next run
+                this.terminate();
+                reject(signal.reason);
+            };
+            signal.addEventListener("abort", onAbort, { once: true });
+        });
+
+        try {
+            return { data: await Promise.race([Promise.all(tasks), aborted]) };
+        } finally {
+            if (signal && onAbort) signal.removeEventListener("abort", onAbort);
+        }
+    }
+};
+
+module.exports = ThreadRunner;
\ No newline at end of file
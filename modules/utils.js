@@ -43,7 +43,7 @@ const Utils = {
      */
     ensureDirectoryExists(dir) {
         if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir);
+            fs.mkdirSync(dir, { recursive: true });
         }
     },
 
@@ -81,13 +81,16 @@ const Utils = {
     },
 
     /**
-     * Calculates the target price as the mean plus one standard deviation of a list of prices.
+     * Calculates the target price as the mean plus k standard deviations of the simulated prices.
+     * 
+     * @param {Object} stats - The summary statistics of the prices (see StatsAccumulator.summarize).
+     * @param {number} stats.mean - The mean of the prices.
+     * @param {number} stats.stdDev - The standard deviation of the prices.
+     * @param {number} [k=1] - The number of standard deviations added to the mean.
+     * @returns {number} The target price.
      */
-    calculateTargetPrice(prices) {
-        const mean = prices.reduce((acc, p) => acc + p, 0) / prices.length;
-        const variance = prices.reduce((acc, p) => acc + Math.pow(p - mean, 2), 0) / prices.length;
-        const stdDev = Math.sqrt(variance);
-        return mean + stdDev; // Target price as mean + 1 standard deviation
+    calculateTargetPrice({ mean, stdDev }, k = 1) {
+        return mean + k * stdDev; // Target price as mean + k standard deviations
     },
 
     /**
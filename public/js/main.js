@@ -5,15 +5,28 @@ const synthBTCApp  = {
      */
     async fetchData() {
         try {
-            // Fetch data from the /api/overview endpoint
-            const response = await fetch("/api/overview");
+            // Fetch data from the /api/overview endpoint, in the selected currency
+            const response = await fetch(this.currency ? `/api/overview?currency=${this.currency}` : "/api/overview");
             const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+            this.currencyFormat = data.currency;
             // Update the UI with the fetched data
             this.displayOverview(data.overview);
             this.displayDetails(data.details);
+            this.displayStrategies(data.strategies);
 
             // Check and update the processing status
             this.updateProcessingStatus(data.status);
+
+            // Show the progress of the run in progress
+            if (this.isProcessing) {
+                const progressResponse = await fetch("/api/progress");
+                this.displayProgress(await progressResponse.json());
+            } else {
+                this.hideProgress();
+            }
         } catch (error) {
             // Log an error message if the fetch fails
             console.error("Error fetching data:", error);
@@ -27,6 +40,48 @@ const synthBTCApp  = {
         return `${Number(price).toLocaleString()}`;
     },
 
+    /**
+     * Formats an amount in the currency of the last overview, with its symbol and the number format of its locale
+     * (e.g. "$64,123", "64.123 €", "¥9,876,543").
+     */
+    formatPrice(price) {
+        const { code = "USD", locale = "en-US" } = this.currencyFormat || {};
+        return new Intl.NumberFormat(locale, { style: "currency", currency: code, minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(price);
+    },
+
+    /**
+     * Fills the currency switcher with the quote currencies of the server. The choice is kept in the local storage
+     * and the overview is fetched again in the new currency.
+     */
+    async setupCurrencySwitcher() {
+        const select = document.getElementById("currency-select");
+        try {
+            const response = await fetch("/api/currencies");
+            const { default: defaultCurrency, currencies } = await response.json();
+
+            // Only the currencies with a known exchange rate can be selected
+            const available = currencies.filter(currency => currency.rate !== null);
+            const stored = localStorage.getItem("synthBTC-currency");
+            this.currency = available.some(currency => currency.code === stored) ? stored : defaultCurrency;
+
+            available.forEach(currency => {
+                const option = document.createElement("option");
+                option.value = currency.code;
+                option.textContent = `${currency.symbol} ${currency.code}`;
+                option.selected = currency.code === this.currency;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            console.error("Error fetching currencies:", error);
+        }
+
+        select.addEventListener("change", () => {
+            this.currency = select.value;
+            localStorage.setItem("synthBTC-currency", this.currency);
+            this.fetchData();
+        });
+    },
+
     /**
      * Updates the overview section of the UI with the provided data.
      */
@@ -39,7 +94,7 @@ const synthBTCApp  = {
         
         // Update the current price element
         const currentPriceElement = document.getElementById("current-price");
-        currentPriceElement.textContent = "$" + this.formatCounter(overview.current.price);
+        currentPriceElement.textContent = this.formatPrice(overview.current.price);
     },
 
     /**
@@ -53,6 +108,64 @@ const synthBTCApp  = {
         document.getElementById("total-execution-time").textContent = details.executionTime;
         document.getElementById("current-year").textContent = details.currentYear;
         document.getElementById("simulated-data").textContent = this.formatCounter(details.simulatedData);
+        document.getElementById("volatility-used").textContent = `${details.volatilityPercentage}% (${details.volatilityMethod})`;
+    },
+
+    /**
+     * Updates the table of the investment strategies replayed on the simulated paths.
+     */
+    displayStrategies(strategies) {
+        const container = document.querySelector(".synthBTC-App--Strategies");
+        if (!strategies || strategies.strategies.length === 0) {
+            container.style.display = "none";
+            return;
+        }
+
+        const rows = document.getElementById("strategies-rows");
+        rows.innerHTML = "";
+        strategies.strategies.forEach(strategy => {
+            const row = document.createElement("tr");
+            [
+                strategy.name,
+                this.formatPrice(strategy.totalInvested),
+                this.formatPrice(strategy.finalValue.p50),
+                `${this.formatPrice(strategy.finalValue.p5)} - ${this.formatPrice(strategy.finalValue.p95)}`,
+                `${strategy.irrPercentage.p50}%`,
+                `${strategy.maxDrawdownPercentage.p50}%`
+            ].forEach(value => {
+                const cell = document.createElement("td");
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            rows.appendChild(row);
+        });
+
+        document.getElementById("strategies-paths").textContent = `· ${this.formatCounter(strategies.paths)} PATHS`;
+        container.style.display = "block";
+    },
+
+    /**
+     * Updates the progress bar with the paths completed and the ETA of the run in progress.
+     */
+    displayProgress(progress) {
+        if (progress.status !== "PROCESSING" || !progress.totalPaths) {
+            return;
+        }
+
+        const percentage = Math.min(progress.completedPaths / progress.totalPaths * 100, 100);
+        const eta = progress.etaMs === null ? "..." : `${Math.ceil(progress.etaMs / 1000)}s`;
+
+        document.querySelector(".synthBTC-App--Progress").style.display = "flex";
+        document.getElementById("progress-bar").style.width = `${percentage}%`;
+        document.getElementById("progress-label").textContent = `PROCESSING ${Math.floor(percentage)}% · ETA ${eta}`;
+    },
+
+    /**
+     * Hides the progress bar once the run is finished.
+     */
+    hideProgress() {
+        document.querySelector(".synthBTC-App--Progress").style.display = "none";
+        document.getElementById("progress-bar").style.width = "0";
     },
 
     /**
@@ -68,7 +181,7 @@ const synthBTCApp  = {
         const percentageElement = document.getElementById(percentageElementId);
         
         // Update the text content of the elements with the formatted data
-        priceElement.textContent = "$" + this.formatCounter(priceData.price);
+        priceElement.textContent = this.formatPrice(priceData.price);
         percentageElement.textContent = `${priceData.changePercentage}`;
     },
 
@@ -187,10 +300,10 @@ const synthBTCApp  = {
         const wasProcessing = this.isProcessing;
         this.isProcessing = status === "PROCESSING";
         
-        if (this.isProcessing && !wasProcessing) {
-            this.showNotification("PROCESSING DATA");
-        } else if (!this.isProcessing && wasProcessing) {
-            this.showNotification("SIMULATION SUCCESSFUL");
+        // The progress bar replaces the notification while processing
+        if (!this.isProcessing && wasProcessing) {
+            const messages = { CANCELLED: "SIMULATION CANCELLED", SKIPPED: "SIMULATION SKIPPED", ERROR: "SIMULATION FAILED" };
+            this.showNotification(messages[status] || "SIMULATION SUCCESSFUL");
         }
         
         this.updateState(document.hasFocus());
@@ -226,8 +339,11 @@ const synthBTCApp  = {
      * Initializes the application by fetching data, setting up a periodic fetch,
      * handling the loader, and setting up the API button.
      */
-    init() {
+    async init() {
         this.isProcessing = false;
+        this.currency = null;
+        // Choose the currency before the first fetch
+        await this.setupCurrencySwitcher();
         // Fetch data immediately
         this.fetchData();
         // Set up a periodic fetch every second
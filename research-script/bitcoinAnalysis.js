@@ -7,7 +7,7 @@
  * synthBTC development and strategy.
  * 
  * Key functionalities:
- * - Fetches historical Bitcoin price data from Yahoo Finance
+ * - Keeps the historical Bitcoin price dataset up to date (Yahoo Finance format)
  * - Processes raw data to extract meaningful metrics
  * - Generates various predictive models and market indicators, including:
  *   • Volatility calculations across multiple time scales
@@ -33,6 +33,7 @@ const csv = require("csv-parser");
 const math = require("mathjs");
 const moment = require("moment");
 const Sentiment = require("sentiment");
+const DatasetManager = require("../modules/datasetManager");
 const sentiment = new Sentiment();
 
 const bitcoinAnalysis = {
@@ -630,31 +631,24 @@ const bitcoinAnalysis = {
     };
 
     /**
-     * Downloads the Bitcoin price dataset CSV from Yahoo Finance
+     * Appends the missing days to the Bitcoin price dataset (see modules/datasetManager.js).
+     * The local dataset is kept as it is, so the analysis still runs offline if no source answers.
      */
-    const downloadDatasetCSV = async () => {
+    const updateDatasetCSV = async () => {
       try {
-        const endDateTimestamp = Math.floor(Date.now() / 1000);
-        const url = `https://query1.finance.yahoo.com/v7/finance/download/BTC-USD?period1=1410912000&period2=${endDateTimestamp}&frequency=1d`;
-        const response = await axios.get(url, { responseType: "stream" });
-        return new Promise((resolve, reject) => {
-          response.data.pipe(fs.createWriteStream(filePath))
-            .on("finish", () => resolve())
-            .on("error", (error) => reject(error));
-        });
+        await DatasetManager.update(filePath, { sources: ["coinbase", "kraken"] });
       } catch (error) {
-        console.error("Error downloading the CSV file:", error);
-        throw error;
+        console.error("Error updating the dataset, the local one is used:", error.message);
       }
     };
 
-    // Execute the download and analysis
+    // Execute the update and analysis
     try {
-      await downloadDatasetCSV();
+      await updateDatasetCSV();
       const csvResults = await readCSV(filePath);
       performAnalysis(csvResults);
     } catch (error) {
-      console.error("Error in download or analysis process:", error);
+      console.error("Error in update or analysis process:", error);
     }
   }
 };
@@ -28,9 +28,17 @@ const { exec } = require("child_process");
 
 // Internal modules
 const Utils = require("./modules/utils");
-const CSVHandler = require("./modules/csvHandler");
+const HistoricalData = require("./modules/historicalData");
 const PriceFetcher = require("./modules/priceFetcher");
 const MonteCarloEngine = require("./modules/monteCarloEngine");
+const StatsAccumulator = require("./modules/statsAccumulator");
+const StrategySimulator = require("./modules/strategySimulator");
+const Backtester = require("./modules/backtester");
+const PriceStub = require("./modules/priceStub");
+const PriceHistory = require("./modules/priceHistory");
+const CurrencyConverter = require("./modules/currencyConverter");
+const DatasetManager = require("./modules/datasetManager");
+const Storage = require("./modules/storage");
 const ServerCore = require("./modules/serverCore");
 
 // Configuration main (json)
@@ -43,26 +51,53 @@ const Config = require("./config.json");
 class synthBTC {
     // Static properties
     static lastKnownPrice = null;
+    static lastPriceTimestamp = null;
+    static lastPriceSources = [];
     static connectionLost = false;
     static coreFilePath = "private";
     static coreFileName = "core.csv";
     static dataPrivateDir = path.join(__dirname, "private/data");
     static clientPublicDir = "public";
     static outputFileSources = "source_simulation";
+    static outputFileBands = "bands_simulation";
+    static outputFileDistributions = "distribution_simulation";
+    static outputFileHistograms = "histogram_simulation";
+    static targetMethods = ["meanPlusStdDev", "median", "percentile", "kdeMode"];
+    static outputFileMultiAsset = "multi_simulation";
+    static multiAssetCoreFileName = "multi_core.csv";
     static fileIndex = 1;
     static simulatedData = 0;
     static simulationCounter = 0;
     static simulationStatus = "OK";
     static serverStartTime = Date.now();
     static latestOutput = null;
+    static latestRun = null;
+    static progress = null;
+    static storage = null;
+    static abortController = null;
+    static historyDataset = "research-script/YahooFinance/BTC-USD.csv";
+    static priceHistoryFile = path.join(__dirname, "private/price_history.csv");
 
     /**
      * Fetch the current price of BTC
+     * @description The price is the consensus of the configured price sources (see PriceFetcher.getConsensusPrice);
+     * the report of each source is kept in `lastPriceSources`. Live quotes are recorded in the price history,
+     * the fixed and replayed prices are not, as they are not observations of the market.
+     * When every source fails, the last known price is returned and `connectionLost` is set (see `priceStatus`).
      */
     static async currentPriceBTC() {
         try {
-            this.lastKnownPrice = await PriceFetcher.getCurrentPrice();
+            const priceSources = (this.simulationConfig && this.simulationConfig.priceSources) || undefined;
+            const consensus = await PriceFetcher.getConsensusPrice(priceSources);
+            this.lastKnownPrice = consensus.price;
+            this.lastPriceTimestamp = Date.now();
+            this.lastPriceSources = consensus.sources;
             this.connectionLost = false;
+
+            const { enabled = true } = (this.simulationConfig && this.simulationConfig.priceHistory) || {};
+            if (enabled && (!priceSources || (priceSources.mode || "live") === "live")) {
+                PriceHistory.record(this.priceHistoryFile, { timestamp: Date.now(), price: consensus.price, sources: consensus.sources });
+            }
         } catch (error) {
             console.warn(error.message);
             this.connectionLost = true;
@@ -70,7 +105,156 @@ class synthBTC {
 
         return this.lastKnownPrice;
     }
+
+    /**
+     * Describe how old the last known price is
+     * @description The price is stale when it is older than `priceSources.staleness.maxAgeSeconds`, e.g. because
+     * every source failed since it was fetched.
+     * @returns {Object} When the price was fetched, its age in seconds, whether it is stale and whether the last
+     * fetch failed ({ priceTimestamp, priceAge, priceStale, connectionLost }); the age is null without any price
+     */
+    static priceStatus() {
+        const { staleness = {} } = (this.simulationConfig && this.simulationConfig.priceSources) || {};
+        const { maxAgeSeconds = 300 } = staleness;
+        const priceAge = this.lastPriceTimestamp === null ? null : Math.round((Date.now() - this.lastPriceTimestamp) / 1000);
+        return {
+            priceTimestamp: this.lastPriceTimestamp === null ? null : new Date(this.lastPriceTimestamp).toISOString(),
+            priceAge: priceAge,
+            priceStale: priceAge === null || priceAge > maxAgeSeconds,
+            connectionLost: this.connectionLost
+        };
+    }
+
+    /**
+     * Fetch the exchange rates of the quote currencies
+     * @description The rates are derived from the BTC pairs of CoinGecko (or of the local stub of a coingecko provider
+     * with a `baseUrl`) and saved to `currencies.ratesFile`, which is read instead in the offline price modes or when
+     * the fetch fails (see CurrencyConverter.getRates). Amounts are always simulated in USD and converted afterwards.
+     */
+    static async currentFxRates() {
+        const { quote = ["USD"], ratesFile = "private/fx_rates.json", maxAgeMinutes = 60 } = this.quoteCurrencies();
+        const { mode = "live", providers = [] } = (this.simulationConfig && this.simulationConfig.priceSources) || {};
+        const coinGecko = providers.find(provider => provider.type === "coingecko" && provider.baseUrl);
+
+        try {
+            return await CurrencyConverter.getRates({ quote, ratesFile: path.join(__dirname, ratesFile), maxAgeMinutes, mode, baseUrl: coinGecko && coinGecko.baseUrl });
+        } catch (error) {
+            console.warn(`\x1b[0m- \x1b[31mWARNING\x1b[0m | \x1b[37m${error.message}\x1b[0m`);
+            return { source: null, timestamp: null, rates: { USD: 1 } };
+        }
+    }
+
+    /**
+     * Get the settings of the quote currencies
+     * @description The codes are upper case and the default currency is always quoted.
+     */
+    static quoteCurrencies() {
+        const { quote = ["USD"], default: defaultCurrency = "USD", ...settings } = (this.simulationConfig && this.simulationConfig.currencies) || {};
+        const codes = quote.map(code => code.toUpperCase());
+        return { ...settings, default: defaultCurrency.toUpperCase(), quote: codes.includes(defaultCurrency.toUpperCase()) ? codes : [defaultCurrency.toUpperCase(), ...codes] };
+    }
+
+    /**
+     * Describe a quote currency with its current exchange rate
+     * @returns {Promise<Object>} The code, symbol, locale and decimals of the currency, its rate from USD (null if
+     * unknown) and where and when the rate was fetched ({ code, symbol, locale, decimals, rate, source, timestamp })
+     */
+    static async quoteCurrency(code) {
+        if (code === "USD") {
+            return { ...CurrencyConverter.describe(code), rate: 1, source: null, timestamp: null };
+        }
+        const { source, timestamp, rates } = await this.currentFxRates();
+        return { ...CurrencyConverter.describe(code), rate: rates[code] || null, source: source, timestamp: timestamp };
+    }
     
+    /**
+     * Load the pool of historical daily log returns used by the bootstrap model
+     * @description The returns are read from the local dataset, so the bootstrap model works fully offline.
+     */
+    static loadReturnsPool(historyDataset = this.historyDataset, modelParams = {}) {
+        const { bootstrapWindowDays } = { ...MonteCarloEngine.defaultModelParams, ...modelParams };
+        return HistoricalData.loadLogReturns(path.join(__dirname, historyDataset), bootstrapWindowDays);
+    }
+
+    /**
+     * Load the daily close prices of the local dataset, by date
+     * @description Used to score past predictions against the prices that were realized. The closes of the recorded
+     * price history (the last quote of each UTC day) replace the ones of the dataset, which may be out of date.
+     */
+    static loadPriceHistory(historyDataset = this.historyDataset) {
+        const history = HistoricalData.readPriceHistory(path.join(__dirname, historyDataset));
+        return new Map([...history.map(({ date, close }) => [date, close]), ...PriceHistory.dailyCloses(this.priceHistoryFile)]);
+    }
+
+    /**
+     * Resolve the parameters of the model used by a run
+     * @description With the regime model and `regimeSource: "history"`, the regimes, their daily transitions and the
+     * probabilities of the current regime are fitted on the local dataset (HMM), then the daily mean and volatility
+     * of each regime are scaled to the simulation horizon, the unit of the engine. When `returns` are given
+     * (e.g. the returns known at a past date), the regimes are fitted on them instead of the dataset.
+     */
+    static resolveModelParams(model, modelParams = {}, historyDataset = this.historyDataset, simulationDays, returns = null) {
+        const params = { ...MonteCarloEngine.defaultModelParams, ...modelParams };
+        if (model !== "regime" || params.regimeSource === "config") {
+            return modelParams;
+        }
+        if (params.regimeSource !== "history") {
+            throw new Error(`Unknown regime source: ${params.regimeSource}. Available sources: config, history`);
+        }
+
+        const fit = returns
+            ? HistoricalData.fitRegimes(params.regimeWindowDays > 0 ? returns.slice(-params.regimeWindowDays) : returns, params.regimeCount)
+            : HistoricalData.loadRegimes(path.join(__dirname, historyDataset), params.regimeCount, params.regimeWindowDays);
+        return {
+            ...modelParams,
+            regimes: fit.regimes.map(({ name, mean, volatility }) => ({
+                name: name,
+                // The engine subtracts half the variance from the drift, so it is added back to keep the daily mean log return
+                driftPercentage: (mean + 0.5 * volatility * volatility) * simulationDays * 100,
+                volatilityPercentage: volatility * Math.sqrt(simulationDays) * 100
+            })),
+            regimeTransitions: fit.transitions,
+            regimeInitialProbabilities: fit.probabilities
+        };
+    }
+
+    /**
+     * Resolve the volatility used by a run
+     * @description In "static" mode the configured percentage is used as is. In "auto" mode the daily volatility is
+     * estimated from the local dataset and scaled to the simulation horizon (σ_daily * √days), the unit of the engine.
+     * With `volatilityEstimator.source: "recorded"`, it is estimated from the daily closes of the recorded price history
+     * instead, using only the returns between consecutive days.
+     * @returns {Object} The volatility percentage and the method used ({ percentage, method })
+     */
+    static resolveVolatility({ volatilityMode = "static", volatilityPercentage, volatilityEstimator = {}, historyDataset = this.historyDataset, simulationDays }) {
+        if (volatilityMode === "static") {
+            return { percentage: volatilityPercentage, method: "static" };
+        }
+        if (volatilityMode !== "auto") {
+            throw new Error(`Unknown volatility mode: ${volatilityMode}. Available modes: static, auto`);
+        }
+
+        const { method = "ewma", source = "dataset" } = volatilityEstimator;
+        if (source === "recorded") {
+            const closes = [...PriceHistory.dailyCloses(this.priceHistoryFile).entries()];
+            const returns = [];
+            closes.slice(1).forEach(([date, close], index) => {
+                const [previousDate, previousClose] = closes[index];
+                if (Date.parse(date) - Date.parse(previousDate) === PriceHistory.intervalUnits.d) {
+                    returns.push(Math.log(close / previousClose));
+                }
+            });
+            const dailyVolatility = HistoricalData.estimateReturnsVolatility(returns, volatilityEstimator, simulationDays);
+            return { percentage: dailyVolatility * Math.sqrt(simulationDays) * 100, method: `${method}:recorded` };
+        }
+        if (source !== "dataset") {
+            throw new Error(`Unknown volatility source: ${source}. Available sources: dataset, recorded`);
+        }
+
+        const dailyVolatility = HistoricalData.estimateVolatility(path.join(__dirname, historyDataset), volatilityEstimator, simulationDays);
+        return { percentage: dailyVolatility * Math.sqrt(simulationDays) * 100, method: method };
+    }
+
     /**
      * Get updated overview data.
      */
@@ -98,71 +282,338 @@ class synthBTC {
         };
     }
 
+    /**
+     * Round the convergence diagnostics of a run for the API
+     * @description Prices and standard errors are rounded to cents, relative precisions are kept as fractions.
+     */
+    static roundDiagnostics({ batches, ...statistics }) {
+        const round = value => value === null ? null : Math.round(value * 100) / 100;
+        const rounded = { batches: batches };
+        Object.entries(statistics).forEach(([name, { estimate, standardError, confidenceInterval }]) => {
+            rounded[name] = {
+                estimate: round(estimate),
+                standardError: round(standardError),
+                confidenceInterval: confidenceInterval && {
+                    lower: round(confidenceInterval.lower),
+                    upper: round(confidenceInterval.upper),
+                    relativePrecision: confidenceInterval.relativePrecision
+                }
+            };
+        });
+        return rounded;
+    }
+
+    /**
+     * Describe the convergence diagnostics of a run as core.csv columns
+     * @description Each statistic gets its standard error and the bounds of its 95% confidence interval,
+     * empty when they cannot be measured (e.g. a single batch of Sobol points).
+     */
+    static describeDiagnostics({ batches, ...statistics }) {
+        const format = value => value === null || value === undefined ? "" : value.toFixed(2);
+        const columns = { batches: batches };
+        Object.entries(statistics).forEach(([name, { estimate, standardError, confidenceInterval }]) => {
+            if (name !== "mean") {
+                columns[`${name}_estimate`] = format(estimate);
+                columns[`${name}_standard_error`] = format(standardError);
+            }
+            columns[`${name}_ci_lower`] = format(confidenceInterval && confidenceInterval.lower);
+            columns[`${name}_ci_upper`] = format(confidenceInterval && confidenceInterval.upper);
+        });
+        return columns;
+    }
+
+    /**
+     * Calculate the target price of a run
+     * @description The target can be the mean plus k standard deviations ("meanPlusStdDev", the historical definition),
+     * the median ("median"), a chosen percentile ("percentile") or the most likely price, estimated with a kernel
+     * density ("kdeMode"). For a skewed distribution like the lognormal one, the median and the mode are closer
+     * to a typical outcome than the mean plus one standard deviation.
+     */
+    static targetPrice(accumulator, currentPrice, { method = "meanPlusStdDev", k = 1, percentile = 75 } = {}) {
+        switch (method) {
+            case "meanPlusStdDev":
+                return Utils.calculateTargetPrice(StatsAccumulator.summarize(accumulator), k);
+            case "median":
+                return StatsAccumulator.quantile(accumulator, 0.5, currentPrice);
+            case "percentile":
+                return StatsAccumulator.quantile(accumulator, percentile / 100, currentPrice);
+            case "kdeMode":
+                return StatsAccumulator.kdeMode(accumulator, currentPrice);
+            default:
+                throw new Error(`Unknown target method: ${method}`);
+        }
+    }
+
+    /**
+     * Describe the target method of a run, with its parameter (e.g. "percentile:75", "meanPlusStdDev:1")
+     */
+    static describeTargetMethod({ method = "meanPlusStdDev", k = 1, percentile = 75 } = {}) {
+        if (method === "meanPlusStdDev") return `${method}:${k}`;
+        if (method === "percentile") return `${method}:${percentile}`;
+        return method;
+    }
+
+    /**
+     * Summarize the distribution of the simulated prices
+     * @description A histogram with bins of equal width in log scale between the lowest and highest prices,
+     * and the table of the requested percentiles (the median is always included).
+     */
+    static summarizeDistribution(accumulator, currentPrice, { histogramBins = 50, percentiles = [1, 5, 10, 25, 50, 75, 90, 95, 99] } = {}) {
+        const table = {};
+        [...new Set([...percentiles, 50])].sort((a, b) => a - b).forEach(percentile => {
+            table[`p${percentile}`] = Math.round(StatsAccumulator.quantile(accumulator, percentile / 100, currentPrice));
+        });
+
+        return {
+            histogram: StatsAccumulator.histogram(accumulator, currentPrice, histogramBins).map(({ lower, upper, count }) => ({
+                lower: Math.round(lower),
+                upper: Math.round(upper),
+                count: count
+            })),
+            percentiles: table
+        };
+    }
+
+    /**
+     * Calculate the risk metrics of a run
+     * @description Value-at-Risk is the loss from the current price that is not exceeded with the given confidence
+     * (the price at the 100 - confidence percentile), the expected shortfall (CVaR) is the average loss beyond it.
+     * Both are per BTC over the simulated horizon. The maximum drawdown is the largest fall of a path from its
+     * previous high, as a percentage.
+     */
+    static calculateRisk(accumulator, drawdowns, currentPrice, confidenceLevels) {
+        const round = value => Math.round(value * 100) / 100;
+        const toLoss = price => ({
+            amount: round(currentPrice - price),
+            percentage: round((currentPrice - price) / currentPrice * 100)
+        });
+
+        const drawdownPercentages = {};
+        Object.entries(drawdowns).forEach(([name, value]) => drawdownPercentages[name] = round(value * 100));
+
+        return {
+            levels: confidenceLevels.map(confidenceLevel => {
+                const tailProbability = 1 - confidenceLevel / 100;
+                return {
+                    confidenceLevel: confidenceLevel,
+                    valueAtRisk: toLoss(StatsAccumulator.quantile(accumulator, tailProbability, currentPrice)),
+                    expectedShortfall: toLoss(StatsAccumulator.tailMean(accumulator, tailProbability, currentPrice))
+                };
+            }),
+            maxDrawdown: drawdownPercentages
+        };
+    }
+
+    /**
+     * Describe the risk metrics of a run as core.csv columns
+     * @description VaR and CVaR are logged in USD per BTC for each confidence level, the drawdowns in percent.
+     */
+    static describeRisk({ levels, maxDrawdown }) {
+        const columns = {};
+        levels.forEach(({ confidenceLevel, valueAtRisk, expectedShortfall }) => {
+            columns[`var_${confidenceLevel}`] = valueAtRisk.amount.toFixed(2);
+            columns[`cvar_${confidenceLevel}`] = expectedShortfall.amount.toFixed(2);
+        });
+        Object.entries(maxDrawdown).forEach(([name, value]) => columns[`max_drawdown_${name}`] = value.toFixed(2));
+        return columns;
+    }
+
     /**
      * Generate simulations and save to file
      * @param {Object} params - Simulation parameters
      * @param {number} params.totalSimulations - Total number of simulations to run
-     * @param {number} params.volatilityPercentage - Volatility percentage for simulations
+     * @param {number} params.volatilityPercentage - Volatility percentage for simulations, used when volatilityMode is "static"
+     * @param {string} [params.volatilityMode] - "static" uses volatilityPercentage, "auto" estimates it from historyDataset
+     * @param {Object} [params.volatilityEstimator] - Estimator used in "auto" mode (method, windowDays, ewmaLambda)
      * @param {number} params.simulationDays - Number of days to simulate
      * @param {number} params.turbitPower - Turbit power for simulations
+     * @param {string} [params.model] - Stochastic model used by the engine (lognormal, gbm, merton or garch)
+     * @param {Object} [params.modelParams] - Parameters of the stochastic model
+     * @param {string} [params.historyDataset] - Local BTC-USD history used by the bootstrap model
+     * @param {number|null} [params.seed] - Seed of the random generator, a new one is created on each run when null
+     * @param {Object} [params.varianceReduction] - Variance reduction techniques (antithetic, controlVariate, sobol)
+     * @param {Object} [params.adaptiveStopping] - Stop once the mean and target prices reach a relative precision (enabled, relativePrecision, minBatches)
+     * @param {string} [params.backend] - Parallel backend of the engine ("turbit" or "threads")
+     * @param {Object} [params.risk] - Risk metrics settings (confidenceLevels of VaR and CVaR, in percent)
+     * @param {Object} [params.distribution] - Distribution summary settings (histogramBins, percentiles)
+     * @param {Object} [params.target] - Definition of the target price (method, k of meanPlusStdDev, percentile)
+     * @param {AbortSignal} [params.signal] - Cancels the run, the partial source is then removed
      * @returns {Promise<Object>} Simulation results
      * @description This method generates Bitcoin price simulations using the MonteCarloEngine module. 
      * It calculates various statistics such as the lowest, highest, average, and target prices, and logs the simulation details. 
-     * The results are saved to a CSV file, and an overview of the simulation data is returned.
+     * The prices are streamed to the storage batch by batch, and an overview of the simulation data is returned.
      */
-    static async generateSimulations({ totalSimulations, volatilityPercentage, simulationDays, turbitPower }) {
+    static async generateSimulations({ totalSimulations, volatilityPercentage, volatilityMode = "static", volatilityEstimator = {}, simulationDays, turbitPower, model = "lognormal", modelParams = {}, historyDataset, seed = null, varianceReduction = {}, adaptiveStopping = {}, backend = "turbit", risk = {}, distribution = {}, target = {}, signal }) {
+        // Fail before fetching anything when the target method is not known
+        if (!this.targetMethods.includes(target.method || "meanPlusStdDev")) {
+            throw new Error(`Unknown target method: ${target.method}`);
+        }
+        const { staleness = {} } = (this.simulationConfig && this.simulationConfig.priceSources) || {};
+        if (!["run", "skip"].includes(staleness.policy || "run")) {
+            throw new Error(`Unknown stale price policy: ${staleness.policy}. Available policies: run, skip`);
+        }
+
         this.simulationStatus = "PROCESSING";
+        this.progress = { status: "PROCESSING", simulationId: this.simulationCounter + 1, completedPaths: 0, totalPaths: totalSimulations, completedBatches: 0, totalBatches: null, elapsedMs: 0, throughput: null, etaMs: null };
     
         const currentPrice = await this.currentPriceBTC();
-        const decimalVolatility = volatilityPercentage / 100;
+        if (currentPrice === null) {
+            this.simulationStatus = "SKIPPED";
+            this.progress = { ...this.progress, status: "SKIPPED" };
+            throw new Error("No BTC price available. Use the \"fixed\" or \"replay\" price source mode to run offline.");
+        }
+        // With the "skip" policy, no run is made on a stale price
+        const priceStatus = this.priceStatus();
+        if (priceStatus.priceStale && staleness.policy === "skip") {
+            this.simulationStatus = "SKIPPED";
+            this.progress = { ...this.progress, status: "SKIPPED" };
+            throw new Error(`Run skipped, the BTC price is ${priceStatus.priceAge} seconds old (more than ${staleness.maxAgeSeconds || 300}).`);
+        }
+        // Keep the sources of this price, a later fetch (e.g. for multi-asset runs) replaces them
+        const priceSources = this.connectionLost ? [] : this.lastPriceSources;
+        const fxRates = await this.currentFxRates();
+        const volatility = this.resolveVolatility({ volatilityMode, volatilityPercentage, volatilityEstimator, historyDataset, simulationDays });
+        const decimalVolatility = volatility.percentage / 100;
+        const returnsPool = model === "bootstrap" ? this.loadReturnsPool(historyDataset, modelParams) : [];
+        const runModelParams = this.resolveModelParams(model, modelParams, historyDataset, simulationDays);
+        const runSeed = seed === null ? MonteCarloEngine.createSeed() : seed;
     
+        // Create the source of the run in the storage, with the next index
+        const source = this.storage.createSource("simulation", ["simulation_id", "price", "percentage_change"]);
+        this.fileIndex = source.index;
+
+        // Each batch is streamed to the source as soon as it is simulated
+        const writeBatch = (prices, firstPath) => {
+            source.append(prices.map((price, index) => [firstPath + index + 1, Math.round(price), Utils.calculateChangePercentage(price, currentPrice)]));
+        };
+    
+        // The target price is measured on each batch too, to estimate its standard error
+        const calculateTarget = accumulator => this.targetPrice(accumulator, currentPrice, target);
+
+        // In adaptive mode, totalSimulations is a cap and the run stops once the 95% confidence intervals
+        // of the mean and target prices are narrow enough
+        const { enabled: adaptive = false, relativePrecision = 0.001, minBatches = 4 } = adaptiveStopping;
+        const stopWhen = accumulator => {
+            if (!adaptive || accumulator.batches.length < Math.max(minBatches, 2)) return false;
+            const diagnostics = StatsAccumulator.diagnostics(accumulator, currentPrice, calculateTarget);
+            return [diagnostics.mean, diagnostics.target].every(({ confidenceInterval }) => confidenceInterval && confidenceInterval.relativePrecision <= relativePrecision);
+        };
+
         const startTime = Date.now();
-        const allPrices = await MonteCarloEngine.executeFullSimulation({ currentPrice, totalSimulations, decimalVolatility, simulationDays, turbitPower });
+        let simulation;
+        try {
+            simulation = await MonteCarloEngine.executeFullSimulation({ currentPrice, totalSimulations, decimalVolatility, simulationDays, turbitPower, model, modelParams: runModelParams, returnsPool, seed: runSeed, varianceReduction, onBatch: writeBatch, stopWhen, backend, signal, batchMeasures: { target: calculateTarget }, onProgress: progress => {
+                this.progress = { ...this.progress, ...progress };
+            } });
+        } catch (error) {
+            // Do not leave a partial source behind
+            source.remove();
+            if (signal && signal.aborted) {
+                this.simulationStatus = "CANCELLED";
+                this.progress = { ...this.progress, status: "CANCELLED" };
+            }
+            throw error;
+        }
         const processingTime = Date.now() - startTime;
+        const { bands, regimes } = simulation;
+        const stats = StatsAccumulator.summarize(simulation.stats);
+        const diagnostics = StatsAccumulator.diagnostics(simulation.stats, currentPrice, calculateTarget);
+        const distributionSummary = this.summarizeDistribution(simulation.stats, currentPrice, distribution);
+        const targetMethod = this.describeTargetMethod(target);
+        const riskMetrics = this.calculateRisk(simulation.stats, simulation.drawdowns, currentPrice, risk.confidenceLevels || [95, 99]);
+        // Fewer paths than requested when the adaptive mode stopped early
+        const simulatedPaths = stats.count;
     
-        const lowestPrice = allPrices.reduce((min, p) => p < min ? p : min, allPrices[0]);
-        const highestPrice = allPrices.reduce((max, p) => p > max ? p : max, allPrices[0]);
-        const averagePrice = allPrices.reduce((acc, p) => acc + p, 0) / allPrices.length;
+        const lowestPrice = stats.min;
+        const highestPrice = stats.max;
+        // With a control variate, the estimate is more precise than the plain mean of the prices
+        const averagePrice = stats.estimate;
     
-        const targetPrice = Utils.calculateTargetPrice(allPrices);
+        const targetPrice = calculateTarget(simulation.stats);
     
-        this.simulatedData += totalSimulations;
+        this.simulatedData += simulatedPaths;
         this.simulationCounter++;
     
         // Log the simulation details
-        console.log(`\x1b[0m- SIMULATION \x1b[32m#${this.simulationCounter}\x1b[0m | \x1b[37mTotal Simulations:\x1b[33m ${totalSimulations.toLocaleString()}\x1b[0m | \x1b[37mBTC Price:\x1b[33m $${Math.round(currentPrice)}\x1b[0m | \x1b[37mProcessing Time:\x1b[33m ${Utils.defineProcessingTime(processingTime)}\x1b[0m`);
-    
-        // Determine the next file index based on existing files
-        this.fileIndex = Utils.determineNextFileIndex(this.dataPrivateDir, this.outputFileSources);
-        
-        const file = path.join(this.dataPrivateDir, `${this.outputFileSources}_${this.fileIndex}.csv`);
-        const csvHeader = "simulation_id,price,percentage_change\n";
-        CSVHandler.writeCSV(file, csvHeader, "");
-    
-        for (let i = 0; i < Math.ceil(totalSimulations / 5000); i++) {
-            let csvContent = "";
-            const slicedPrices = allPrices.slice(i * 5000, (i + 1) * 5000);
-            slicedPrices.forEach((price, index) => {
-                csvContent += `${index + 1},${Math.round(price)},${Utils.calculateChangePercentage(price, currentPrice)}\n`;
+        console.log(`\x1b[0m- SIMULATION \x1b[32m#${this.simulationCounter}\x1b[0m | \x1b[37mTotal Simulations:\x1b[33m ${simulatedPaths.toLocaleString()}\x1b[0m | \x1b[37mBTC Price:\x1b[33m $${Math.round(currentPrice)}\x1b[0m | \x1b[37mProcessing Time:\x1b[33m ${Utils.defineProcessingTime(processingTime)}\x1b[0m`);
+
+        // Save the per-day percentile bands with the source
+        const bandsHeader = `day,${MonteCarloEngine.bandPercentiles.map(percentile => `p${percentile}`).join(",")}\n`;
+        const bandsContent = bands.map(band => `${band.day},${MonteCarloEngine.bandPercentiles.map(percentile => Math.round(band[`p${percentile}`])).join(",")}\n`).join("");
+        this.storage.writeArtifact(source.name, "bands", bandsHeader + bandsContent);
+
+        // Save the per-day histograms of the price and of its running high and low, used by the probability queries
+        const distributionsHeader = "day,measure,offset,counts\n";
+        let distributionsContent = "";
+        for (let day = 1; day <= simulationDays; day++) {
+            Object.entries(simulation.histograms).forEach(([measure, histogram]) => {
+                const { offset, counts } = MonteCarloEngine.sparseDay(histogram, day);
+                distributionsContent += `${day},${measure},${offset},${counts.join(" ")}\n`;
             });
-            CSVHandler.appendCSV(file, csvContent);
         }
+        this.storage.writeArtifact(source.name, "distributions", distributionsHeader + distributionsContent);
+
+        // Save the log-scaled histogram of the terminal prices
+        const histogramContent = distributionSummary.histogram.map(({ lower, upper, count }) => `${lower},${upper},${count}\n`).join("");
+        this.storage.writeArtifact(source.name, "histogram", `lower,upper,count\n${histogramContent}`);
     
-        const coreLogFile = path.join(this.coreFilePath, this.coreFileName);
-        const logHeader = "simulation_id,timestamp,current_price,highest_price,target_price,average_price,lowest_price,simulated_data,total_simulated,processing_time,data_source\n";
-        const logEntry = `${this.simulationCounter},${Date.now()},${Math.round(currentPrice)},${Math.round(highestPrice)},${Math.round(targetPrice)},${Math.round(averagePrice)},${Math.round(lowestPrice)},${totalSimulations},${this.simulatedData},${Utils.defineProcessingTime(processingTime)},${this.outputFileSources}_${this.fileIndex}.csv\n`;
-    
-        if (!fs.existsSync(coreLogFile)) {
-            CSVHandler.writeCSV(coreLogFile, logHeader, logEntry);
-        } else {
-            CSVHandler.appendCSV(coreLogFile, logEntry);
-        }
+        this.storage.appendRun("simulation", {
+            simulation_id: this.simulationCounter,
+            timestamp: Date.now(),
+            current_price: Math.round(currentPrice),
+            highest_price: Math.round(highestPrice),
+            target_price: Math.round(targetPrice),
+            average_price: Math.round(averagePrice),
+            lowest_price: Math.round(lowestPrice),
+            simulated_data: simulatedPaths,
+            total_simulated: this.simulatedData,
+            processing_time: Utils.defineProcessingTime(processingTime),
+            data_source: source.name,
+            model: model,
+            model_params: MonteCarloEngine.describeModelParams(model, runModelParams),
+            seed: runSeed,
+            simulation_days: simulationDays,
+            volatility_percentage: volatility.percentage,
+            current_price_exact: currentPrice,
+            variance_reduction: MonteCarloEngine.describeSampling(varianceReduction),
+            standard_error: stats.standardError === null ? "" : stats.standardError.toFixed(2),
+            volatility_method: volatility.method,
+            regime_occupancy: regimes ? regimes.regimes.map(regime => `${regime.name}=${regime.occupancy.toFixed(4)}`).join(";") : "",
+            ...this.describeDiagnostics(diagnostics),
+            requested_simulations: totalSimulations,
+            stopped_early: simulation.stoppedEarly,
+            ...this.describeRisk(riskMetrics),
+            target_method: targetMethod,
+            price_sources: PriceHistory.describeSources(priceSources),
+            fx_rates: CurrencyConverter.describeRates(fxRates.rates),
+            price_age_seconds: priceStatus.priceAge,
+            price_stale: priceStatus.priceStale,
+            ...Object.fromEntries(Object.entries(distributionSummary.percentiles).map(([name, price]) => [`percentile_${name.slice(1)}`, price]))
+        });
     
+        // Keep what is needed to regenerate the paths of the run, so strategies can be replayed on them
+        this.latestRun = {
+            simulationId: this.simulationCounter,
+            simulatedPaths: simulatedPaths,
+            currentPrice: currentPrice,
+            decimalVolatility: decimalVolatility,
+            simulationDays: simulationDays,
+            model: model,
+            modelParams: runModelParams,
+            returnsPool: returnsPool,
+            seed: runSeed,
+            varianceReduction: varianceReduction
+        };
+
         this.simulationStatus = "OK";
+        this.progress = { ...this.progress, status: "OK", etaMs: 0 };
     
         return {
             status: this.simulationStatus,
             overview: await this.getUpdatedOverview(currentPrice, highestPrice, targetPrice, averagePrice, lowestPrice),
+            regimes: regimes,
+            distribution: { targetMethod: targetMethod, ...distributionSummary },
+            risk: { horizonDays: simulationDays, ...riskMetrics },
             details: {
                 simulatedData: this.simulatedData,
                 processingTime: Utils.defineProcessingTime(processingTime),
@@ -170,21 +621,435 @@ class synthBTC {
                 currentYear: new Date().getFullYear(),
                 totalSimulations: this.simulationCounter,
                 totalSimulationDays: simulationDays,
-                dataSource: `${this.outputFileSources}_${this.fileIndex}.csv`,
-                dataSize: Utils.defineDataSize(Utils.calculateDataSize(this.dataPrivateDir))
+                dataSource: source.name,
+                priceSources: priceSources,
+                ...priceStatus,
+                fxRates: fxRates,
+                seed: runSeed,
+                volatilityPercentage: Math.round(volatility.percentage * 100) / 100,
+                volatilityMethod: volatility.method,
+                varianceReduction: MonteCarloEngine.describeSampling(varianceReduction),
+                standardError: stats.standardError === null ? null : Math.round(stats.standardError * 100) / 100,
+                diagnostics: {
+                    ...this.roundDiagnostics(diagnostics),
+                    requestedSimulations: totalSimulations,
+                    stoppedEarly: simulation.stoppedEarly
+                },
+                dataSize: Utils.defineDataSize(this.storage.dataSize())
+            }
+        };
+    }
+
+    /**
+     * Fetch the current price of each asset of a multi-asset simulation
+     * @param {Object[]} assets - The assets of the simulation
+     * @param {number|null} [btcPrice] - The BTC price of the run, BTC is only fetched without it
+     * @description BTC uses the same sources as the main simulation, the other assets are fetched from CoinGecko.
+     * An asset with a fixed `price` in the configuration (e.g. a stablecoin) is not fetched.
+     */
+    static async currentAssetPrices(assets, btcPrice = null) {
+        const fetchedIds = assets.filter(asset => asset.symbol !== "BTC" && asset.price === undefined).map(asset => asset.coinGeckoId);
+        // The other assets are fetched from the same CoinGecko API as BTC, e.g. a local stub
+        const { providers = [] } = (this.simulationConfig && this.simulationConfig.priceSources) || {};
+        const coinGecko = providers.find(provider => provider.type === "coingecko" && provider.baseUrl);
+        const fetchedPrices = fetchedIds.length > 0 ? await PriceFetcher.fetchCoinGeckoPrices(fetchedIds, coinGecko && coinGecko.baseUrl) : {};
+
+        const prices = [];
+        for (const asset of assets) {
+            if (asset.price !== undefined) {
+                prices.push(asset.price);
+            } else if (asset.symbol === "BTC") {
+                prices.push(btcPrice !== null ? btcPrice : await this.currentPriceBTC());
+            } else {
+                prices.push(fetchedPrices[asset.coinGeckoId]);
             }
+        }
+        return prices;
+    }
+
+    /**
+     * Generate correlated multi-asset simulations and save to file
+     * @param {Object} params - Simulation parameters
+     * @param {number} params.totalSimulations - Total number of joint scenarios to run
+     * @param {number} params.turbitPower - Turbit power for simulations
+     * @param {Object[]} params.assets - Assets (symbol, coinGeckoId, volatilityPercentage, driftPercentage and an optional fixed price)
+     * @param {number[][]} params.correlation - Correlation matrix of the assets
+     * @param {number[]} [params.weights] - Portfolio weights, equal weights by default
+     * @param {number|null} [params.seed] - Seed of the random generator, a new one is created on each run when null
+     * @param {string} [params.backend] - Parallel backend of the engine ("turbit" or "threads")
+     * @param {number|null} [params.btcPrice] - The last known BTC price (the one fetched by the run), so BTC is not quoted (and recorded) twice
+     * @param {AbortSignal} [params.signal] - Cancels the run, the partial source is then removed
+     * @returns {Promise<Object>} Per-asset and portfolio statistics of the run
+     * @description The joint prices are streamed to the storage with one column per asset, and the summary of the run
+     * is logged apart from the BTC runs, with one group of columns per asset.
+     */
+    static async generateMultiAssetSimulations({ totalSimulations, turbitPower, assets, correlation, weights, seed = null, backend = "turbit", btcPrice = null, signal }) {
+        const currentPrices = await this.currentAssetPrices(assets, btcPrice);
+        const engineAssets = assets.map((asset, index) => ({
+            symbol: asset.symbol,
+            currentPrice: currentPrices[index],
+            decimalVolatility: asset.volatilityPercentage / 100,
+            drift: (asset.driftPercentage || 0) / 100
+        }));
+        const runSeed = seed === null ? MonteCarloEngine.createSeed() : seed;
+
+        const source = this.storage.createSource("multiAsset", ["simulation_id", ...engineAssets.map(asset => asset.symbol)]);
+        const dataSource = source.name;
+
+        const writeBatch = (prices, firstPath) => {
+            source.append(prices.map((pathPrices, index) => [firstPath + index + 1, ...pathPrices.map(price => Number(price.toPrecision(8)))]));
+        };
+
+        const startTime = Date.now();
+        let simulation;
+        try {
+            simulation = await MonteCarloEngine.executeMultiAssetSimulation({ assets: engineAssets, correlation, weights, totalSimulations, turbitPower, seed: runSeed, onBatch: writeBatch, backend, signal });
+        } catch (error) {
+            // Do not leave a partial source behind
+            source.remove();
+            throw error;
+        }
+        const processingTime = Date.now() - startTime;
+
+        const summarizeDistribution = (accumulator, currentPrice) => {
+            const stats = StatsAccumulator.summarize(accumulator);
+            return {
+                current: currentPrice,
+                lowest: stats.min,
+                p5: StatsAccumulator.quantile(accumulator, 0.05, currentPrice),
+                median: StatsAccumulator.quantile(accumulator, 0.5, currentPrice),
+                average: stats.mean,
+                p95: StatsAccumulator.quantile(accumulator, 0.95, currentPrice),
+                highest: stats.max
+            };
+        };
+        const assetResults = simulation.assets.map(asset => ({ symbol: asset.symbol, ...summarizeDistribution(asset.stats, asset.currentPrice) }));
+        const portfolio = summarizeDistribution(simulation.portfolio, 1);
+
+        console.log(`\x1b[0m- MULTI-ASSET SIMULATION | \x1b[37mAssets:\x1b[33m ${engineAssets.map(asset => asset.symbol).join(", ")}\x1b[0m | \x1b[37mTotal Simulations:\x1b[33m ${totalSimulations.toLocaleString()}\x1b[0m | \x1b[37mProcessing Time:\x1b[33m ${Utils.defineProcessingTime(processingTime)}\x1b[0m`);
+
+        const record = {
+            simulation_id: source.index,
+            timestamp: Date.now(),
+            simulated_data: totalSimulations,
+            processing_time: Utils.defineProcessingTime(processingTime),
+            data_source: dataSource,
+            seed: runSeed,
+            weights: (weights || engineAssets.map(() => 1 / engineAssets.length)).join(";"),
+            correlation: correlation.map(row => row.join(" ")).join(";")
+        };
+        assetResults.forEach(asset => {
+            const prefix = asset.symbol.toLowerCase();
+            ["current", "lowest", "p5", "median", "average", "p95", "highest"].forEach(key => {
+                record[`${prefix}_${key}`] = Number(asset[key].toPrecision(8));
+            });
+        });
+        ["lowest", "p5", "median", "average", "p95", "highest"].forEach(key => {
+            record[`portfolio_${key}`] = portfolio[key].toFixed(6);
+        });
+        this.storage.appendRun("multiAsset", record);
+
+        return {
+            dataSource: dataSource,
+            seed: runSeed,
+            processingTime: Utils.defineProcessingTime(processingTime),
+            assets: assetResults,
+            portfolio: portfolio,
+            correlation: simulation.correlation
         };
     }
 
+    /**
+     * Replay investment strategies on the paths of the latest simulation
+     * @description The first `totalSimulations` paths of the latest run are regenerated from its seed and parameters,
+     * and every strategy is replayed on each of them (see StrategySimulator).
+     * @returns {Promise<Object>} The simulation the paths come from, the number of paths and the summary of each strategy
+     * @throws Will throw an error if no simulation is available yet or a strategy is not valid
+     */
+    static async simulateStrategies(strategies, { totalSimulations = 20000 } = {}, signal) {
+        if (!this.latestRun) {
+            throw new Error("No simulation available yet");
+        }
+
+        const { simulationId, simulatedPaths, ...run } = this.latestRun;
+        const result = await StrategySimulator.simulate({
+            run: run,
+            strategies: strategies,
+            totalSimulations: Math.min(totalSimulations, simulatedPaths),
+            turbitPower: this.simulationConfig.turbitPower,
+            backend: this.simulationConfig.backend,
+            signal: signal
+        });
+
+        return { simulationId: simulationId, ...result };
+    }
+
+    /**
+     * Cancel the simulation in progress
+     * @description With the "threads" backend the run stops at once, with Turbit it stops after the current batch.
+     * @returns {boolean} Whether a simulation was in progress
+     */
+    static cancelSimulation() {
+        if (!this.abortController) {
+            return false;
+        }
+        this.abortController.abort(new Error("Simulation cancelled"));
+        return true;
+    }
+
     /**
      * Get simulation data
      * @description This method generates new simulation data based on the provided configuration. 
      * It updates the latestOutput property with the new simulation results and returns the results.
+     * When enabled, the configured strategies are replayed on the paths of the BTC simulation, and the multi-asset
+     * joint scenarios are generated after it.
+     * A cancelled run keeps the previous results. A failed run sets the status (and the progress) to "ERROR", with
+     * the error message in the progress.
      */
     static async getSimulationData(simulationConfig) {
-        const output = await this.generateSimulations(simulationConfig);
-        this.latestOutput = output;
-        return output;
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        try {
+            const output = await this.generateSimulations({ ...simulationConfig, signal });
+            this.latestOutput = output;
+
+            const { strategies, multiAsset } = simulationConfig;
+            if (strategies && strategies.enabled) {
+                output.strategies = await this.simulateStrategies(strategies.list, strategies, signal);
+            }
+
+            if (multiAsset && multiAsset.enabled) {
+                output.multiAsset = await this.generateMultiAssetSimulations({
+                    totalSimulations: multiAsset.totalSimulations,
+                    turbitPower: simulationConfig.turbitPower,
+                    assets: multiAsset.assets,
+                    correlation: multiAsset.correlation,
+                    weights: multiAsset.weights,
+                    seed: simulationConfig.seed,
+                    backend: simulationConfig.backend,
+                    btcPrice: this.lastKnownPrice,
+                    signal: signal
+                });
+            }
+
+            return output;
+        } catch (error) {
+            // Whatever step of the run failed (volatility, model, storage, engine...), it must not stay "PROCESSING"
+            if (this.simulationStatus === "PROCESSING") {
+                this.simulationStatus = signal.aborted ? "CANCELLED" : "ERROR";
+                this.progress = signal.aborted ? { ...this.progress, status: "CANCELLED" } : { ...this.progress, status: "ERROR", error: error.message };
+            }
+            if (!signal.aborted || !this.latestOutput) {
+                throw error;
+            }
+            console.log(`\x1b[0m- \x1b[33mCANCELLED\x1b[0m | \x1b[37mThe simulation in progress was cancelled.\x1b[0m`);
+            return this.latestOutput;
+        } finally {
+            this.abortController = null;
+        }
+    }
+
+    /**
+     * Run a walk-forward backtest of the configured model on the local dataset
+     * @description At each origin date, the volatility is estimated with `volatilityEstimator` from the returns known
+     * at that date only (as are the bootstrap pool and the fitted regimes), the model simulates `horizonDays` from the
+     * close of that date, and the forecast distribution is scored against the close `horizonDays` later
+     * (see Backtester). The report is written as JSON to `reportDir`, so runs with different settings can be compared.
+     * @param {Object} simulationConfig - The simulation configuration, with its `backtest` settings
+     * @param {Object} [overrides={}] - Settings replacing the configured ones (backtest settings, model, volatilityMethod)
+     * @returns {Promise<Object>} The report (settings, summary and scored forecasts) and the path of its file
+     */
+    static async runBacktest(simulationConfig, overrides = {}) {
+        const { backtest = {}, volatilityEstimator = {}, historyDataset = this.historyDataset, turbitPower, backend = "turbit", seed = null } = simulationConfig;
+        const { model = simulationConfig.model || "lognormal", volatilityMethod = volatilityEstimator.method || "ewma", ...backtestOverrides } = overrides;
+        const { horizonDays = 30, stepDays = 30, warmupDays = 365, startDate = null, endDate = null, totalSimulations = 10000, reportDir = "private/backtests" } = { ...backtest, ...backtestOverrides };
+        const modelParams = simulationConfig.modelParams || {};
+        const estimator = { ...volatilityEstimator, method: volatilityMethod };
+        const baseSeed = seed === null ? MonteCarloEngine.createSeed() : seed;
+
+        const history = HistoricalData.readPriceHistory(path.join(__dirname, historyDataset));
+        const origins = Backtester.origins(history, { horizonDays, stepDays, warmupDays, startDate, endDate });
+        if (origins.length === 0) {
+            throw new Error("The dataset does not contain any origin for these backtest settings");
+        }
+        const allReturns = HistoricalData.calculateLogReturns(history.map(row => row.close));
+
+        console.log(`\x1b[0m- \x1b[34mBACKTEST\x1b[0m | \x1b[37mModel:\x1b[33m ${model}\x1b[0m | \x1b[37mVolatility:\x1b[33m ${volatilityMethod}\x1b[0m | \x1b[37mOrigins:\x1b[33m ${origins.length}\x1b[0m | \x1b[37mHorizon:\x1b[33m ${horizonDays} days\x1b[0m`);
+
+        const startTime = Date.now();
+        const forecasts = [];
+        for (const [index, origin] of origins.entries()) {
+            // Only the returns known at the origin date are used
+            const returns = allReturns.slice(0, origin.index);
+            const decimalVolatility = HistoricalData.estimateReturnsVolatility(returns, estimator, horizonDays) * Math.sqrt(horizonDays);
+            const { bootstrapWindowDays } = { ...MonteCarloEngine.defaultModelParams, ...modelParams };
+            const returnsPool = model === "bootstrap" ? (bootstrapWindowDays > 0 ? returns.slice(-bootstrapWindowDays) : returns) : [];
+
+            const simulation = await MonteCarloEngine.executeFullSimulation({
+                currentPrice: origin.close,
+                totalSimulations: totalSimulations,
+                decimalVolatility: decimalVolatility,
+                simulationDays: horizonDays,
+                turbitPower: turbitPower,
+                model: model,
+                modelParams: this.resolveModelParams(model, modelParams, historyDataset, horizonDays, returns),
+                returnsPool: returnsPool,
+                // Wraps around so a base seed near the top of the range stays a valid 32-bit seed
+                seed: (baseSeed + index) >>> 0,
+                backend: backend
+            });
+
+            forecasts.push({
+                originDate: origin.date,
+                realizedDate: origin.realizedDate,
+                originPrice: origin.close,
+                realizedPrice: origin.realizedPrice,
+                volatilityPercentage: Math.round(decimalVolatility * 10000) / 100,
+                ...Backtester.scoreForecast(simulation.stats, origin.close, origin.realizedPrice)
+            });
+        }
+
+        const summary = Backtester.summarize(forecasts);
+        const report = {
+            createdAt: new Date().toISOString(),
+            settings: { historyDataset, model, modelParams, volatilityEstimator: estimator, horizonDays, stepDays, warmupDays, startDate, endDate, totalSimulations, seed: baseSeed },
+            summary: summary,
+            forecasts: forecasts
+        };
+
+        Utils.ensureDirectoryExists(reportDir);
+        const reportFile = path.join(reportDir, `backtest_${model}_${volatilityMethod}_${horizonDays}d_${Date.now()}.json`);
+        fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+
+        const coverage = summary.coverage.map(({ level, observed }) => `${level}%=${observed}%`).join(" ");
+        console.log(`\x1b[0m- \x1b[32mBACKTEST DONE\x1b[0m | \x1b[37mCoverage:\x1b[33m ${coverage}\x1b[0m | \x1b[37mCRPS:\x1b[33m ${summary.crps.meanPercentage}%\x1b[0m | \x1b[37mLog score:\x1b[33m ${summary.logScore}\x1b[0m | \x1b[37mPIT χ²:\x1b[33m ${summary.pit.chiSquare}\x1b[0m | \x1b[37mProcessing Time:\x1b[33m ${Utils.defineProcessingTime(Date.now() - startTime)}\x1b[0m`);
+        console.log(`\x1b[0m- \x1b[34mREPORT\x1b[0m | \x1b[37m${reportFile}\x1b[0m`);
+
+        return { report, reportFile };
+    }
+
+    /**
+     * Start the local price stub
+     * @description Serves the price of the `stub.mode` source ("fixed" or "replay") like the CoinGecko simple price API,
+     * so a server without internet access can use a CoinGecko provider with `baseUrl` pointing at it. The other quote
+     * currencies are priced with the rates of the local exchange rate file, if any.
+     */
+    static async startPriceStub(priceSources = {}, currencies = {}) {
+        const { stub = {} } = priceSources;
+        const { mode = "replay" } = stub;
+        if (!["fixed", "replay"].includes(mode)) {
+            throw new Error(`Unknown price stub mode: ${mode}. Available modes: fixed, replay`);
+        }
+        const { ratesFile = "private/fx_rates.json" } = currencies;
+        const { rates = {} } = CurrencyConverter.readRates(path.join(__dirname, ratesFile)) || {};
+
+        const server = await PriceStub.start({ ...stub, rates: rates }, async () => (await PriceFetcher.getConsensusPrice({ ...priceSources, mode: mode })).price);
+        console.log(`\x1b[0m- \x1b[34mPRICE STUB\x1b[0m | \x1b[37mMode:\x1b[33m ${mode}\x1b[0m | \x1b[37mURL:\x1b[33m http://localhost:${server.address().port}/api/v3/simple/price?ids=bitcoin&vs_currencies=usd\x1b[0m`);
+        return server;
+    }
+
+    /**
+     * Open the storage of the runs
+     * @description Opens the storage `backend` ("csv" or "sqlite", see modules/storage.js) with the core logs, the
+     * data directory and the file names of the CSV storage, and the SQLite database file.
+     */
+    static openStorage({ backend = "csv", sqliteFile = "private/synthBTC.db" } = {}) {
+        return Storage.open(backend, {
+            dataDir: this.dataPrivateDir,
+            coreFiles: {
+                simulation: path.join(this.coreFilePath, this.coreFileName),
+                multiAsset: path.join(this.coreFilePath, this.multiAssetCoreFileName)
+            },
+            prefixes: {
+                simulation: this.outputFileSources,
+                multiAsset: this.outputFileMultiAsset,
+                bands: this.outputFileBands,
+                distributions: this.outputFileDistributions,
+                histogram: this.outputFileHistograms
+            },
+            file: path.join(__dirname, sqliteFile)
+        });
+    }
+
+    /**
+     * Migrate the stored runs
+     * @description Copies the runs of a storage backend to another one (by default from the CSV files of `private/` to
+     * the SQLite database), with their paths and artifacts. Runs already in the target are skipped.
+     */
+    static migrateStorage(simulationConfig, { from = "csv", to = "sqlite" } = {}) {
+        if (from === to) {
+            throw new Error("The storage backends to migrate from and to must be different");
+        }
+        const settings = simulationConfig.storage || {};
+        const source = this.openStorage({ ...settings, backend: from });
+        const target = this.openStorage({ ...settings, backend: to });
+
+        try {
+            const startTime = Date.now();
+            const summary = Storage.migrate(source, target, (kind, run) => {
+                console.log(`\x1b[0m- \x1b[34mMIGRATED\x1b[0m | \x1b[37m${kind} #${run.simulation_id}\x1b[0m | \x1b[37mSource:\x1b[33m ${run.data_source || "-"}\x1b[0m`);
+            });
+            console.log(`\x1b[0m- \x1b[32mMIGRATION DONE\x1b[0m | \x1b[37mRuns copied:\x1b[33m ${summary.copied}\x1b[0m | \x1b[37mSkipped:\x1b[33m ${summary.skipped}\x1b[0m | \x1b[37mPaths:\x1b[33m ${summary.paths.toLocaleString()}\x1b[0m | \x1b[37mProcessing Time:\x1b[33m ${Utils.defineProcessingTime(Date.now() - startTime)}\x1b[0m`);
+            return summary;
+        } finally {
+            source.close();
+            target.close();
+        }
+    }
+
+    /**
+     * Update the local dataset
+     * @description Appends the days missing from the history dataset, up to yesterday, from the `dataset.sources`
+     * (see modules/datasetManager.js). The "recorded" source uses the daily candles of the recorded price history.
+     */
+    static async updateDataset(simulationConfig = this.simulationConfig) {
+        const { historyDataset = this.historyDataset, dataset = {} } = simulationConfig;
+        const summary = await DatasetManager.update(path.join(__dirname, historyDataset), { sources: dataset.sources, recordedFile: this.priceHistoryFile });
+        console.log(`\x1b[0m- \x1b[34mDATASET\x1b[0m | \x1b[37mDays added:\x1b[33m ${summary.added}\x1b[0m | \x1b[37mLast date:\x1b[33m ${summary.lastDate}\x1b[0m | \x1b[37mStill missing:\x1b[33m ${summary.stillMissing}\x1b[0m`);
+        return summary;
+    }
+
+    /**
+     * Report on the local dataset
+     * @description Reads the history dataset and reports its rows that are not valid, its duplicated dates, and the
+     * gaps and anomalies of the series (see `DatasetManager.report`).
+     */
+    static datasetReport(simulationConfig = this.simulationConfig) {
+        const { historyDataset = this.historyDataset, dataset = {} } = simulationConfig;
+        const { rows, invalid } = DatasetManager.read(path.join(__dirname, historyDataset));
+        const { rows: unique, duplicates } = DatasetManager.deduplicate(rows);
+        return { file: historyDataset, invalid: invalid, duplicates: duplicates, ...DatasetManager.report(unique, { maxDailyChangePercentage: dataset.maxDailyChangePercentage }) };
+    }
+
+    /**
+     * Manage the local dataset
+     * @description Runs a dataset command: "validate" removes the rows that are not valid and the duplicated dates,
+     * "update" appends the missing days, "import" adds the missing days of an exchange CSV export (every day of it
+     * with `overwrite`), and "report" prints the gaps and anomalies of the series.
+     */
+    static async manageDataset(simulationConfig, command, argument, options = {}) {
+        const { historyDataset = this.historyDataset } = simulationConfig;
+        const filePath = path.join(__dirname, historyDataset);
+
+        let result;
+        if (command === "validate") {
+            result = DatasetManager.validate(filePath, { fix: true });
+        } else if (command === "update") {
+            result = await this.updateDataset(simulationConfig);
+        } else if (command === "import") {
+            if (!argument) {
+                throw new Error("Usage: node synthBTC.js dataset import <file> [--overwrite]");
+            }
+            result = DatasetManager.importExport(filePath, path.resolve(argument), { overwrite: options.overwrite === true });
+        } else if (command === "report") {
+            result = this.datasetReport(simulationConfig);
+        } else {
+            throw new Error(`Unknown dataset command: ${command}. Available commands: validate, update, import, report`);
+        }
+
+        console.log(JSON.stringify(result, null, 2));
+        return result;
     }
 
     /**
@@ -269,16 +1134,65 @@ class synthBTC {
         this.Utils = Utils;
 
         Utils.ensureDirectoryExists(this.dataPrivateDir);
-        this.fileIndex = Utils.getLastFileIndex(this.dataPrivateDir, this.outputFileSources);
+        this.storage = this.openStorage(simulationConfig.storage);
 
-        // Calculate existing statistics
-        this.simulatedData = CSVHandler.calculateSimulatedData(this.dataPrivateDir, this.outputFileSources);
-        this.simulationCounter = CSVHandler.getCSVFiles(this.dataPrivateDir, this.outputFileSources).length;
+        // Existing statistics, from the log of the runs
+        const { simulations, simulatedData } = this.storage.summary();
+        this.simulatedData = simulatedData;
+        this.simulationCounter = simulations;
+
+        // Append the missing days to the dataset without delaying the server
+        if (simulationConfig.dataset && simulationConfig.dataset.updateOnStart) {
+            this.updateDataset().catch(error => {
+                console.warn(`\x1b[0m- \x1b[31mWARNING\x1b[0m | \x1b[37mFailed to update the dataset: ${error.message}\x1b[0m`);
+            });
+        }
 
         // Initialize the server using ServerCore
         ServerCore.init(this, { simulationConfig, webConfig });
     }
 }
 
-// Initialize the server with configuration from config.json
-synthBTC.init(Config);
+// "node synthBTC.js backtest [--name=value ...]" runs the walk-forward backtest instead of starting the server
+if (process.argv[2] === "backtest") {
+    const overrides = {};
+    process.argv.slice(3).forEach(argument => {
+        const [name, value] = argument.replace(/^--/, "").split("=");
+        overrides[name] = value !== "" && !isNaN(value) ? Number(value) : value;
+    });
+    synthBTC.runBacktest(Config.simulationConfig, overrides)
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error(`\x1b[0m- \x1b[31mERROR\x1b[0m | \x1b[37m${error.message}\x1b[0m`);
+            process.exit(1);
+        });
+} else if (process.argv[2] === "price-stub") {
+    // "node synthBTC.js price-stub" serves the fixed or replayed price like the CoinGecko API, for air-gapped machines
+    synthBTC.startPriceStub(Config.simulationConfig.priceSources, Config.simulationConfig.currencies).catch(error => {
+        console.error(`\x1b[0m- \x1b[31mERROR\x1b[0m | \x1b[37m${error.message}\x1b[0m`);
+        process.exit(1);
+    });
+} else if (process.argv[2] === "migrate") {
+    // "node synthBTC.js migrate [--from=csv] [--to=sqlite]" copies the stored runs to another storage backend
+    const options = Object.fromEntries(process.argv.slice(3).map(argument => argument.replace(/^--/, "").split("=")));
+    try {
+        synthBTC.migrateStorage(Config.simulationConfig, options);
+        process.exit(0);
+    } catch (error) {
+        console.error(`\x1b[0m- \x1b[31mERROR\x1b[0m | \x1b[37m${error.message}\x1b[0m`);
+        process.exit(1);
+    }
+} else if (process.argv[2] === "dataset") {
+    // "node synthBTC.js dataset <validate|update|import <file>|report> [--overwrite]" manages the local history dataset
+    const [command = "report", ...rest] = process.argv.slice(3);
+    const argument = rest.find(value => !value.startsWith("--"));
+    synthBTC.manageDataset(Config.simulationConfig, command, argument, { overwrite: rest.includes("--overwrite") })
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error(`\x1b[0m- \x1b[31mERROR\x1b[0m | \x1b[37m${error.message}\x1b[0m`);
+            process.exit(1);
+        });
+} else {
+    // Initialize the server with configuration from config.json
+    synthBTC.init(Config);
+}
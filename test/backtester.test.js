@@ -0,0 +1,113 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const Backtester = require("../modules/backtester");
+const StatsAccumulator = require("../modules/statsAccumulator");
+
+const currentPrice = 60000;
+
+/**
+ * Deterministic log-normal prices around the current price.
+ */
+const samplePrices = (count, volatility = 0.2, seed = 12345) => {
+    let state = seed;
+    const uniform = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return (state + 0.5) / 2147483648;
+    };
+    return Array.from({ length: count }, () => {
+        const normal = Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+        return currentPrice * Math.exp(volatility * normal);
+    });
+};
+
+/**
+ * Builds the accumulator of a forecast from its prices, the way the engine does.
+ */
+const forecastOf = (prices) => {
+    const { minLogChange, binWidth, binCount } = StatsAccumulator.sketchGrid;
+    const accumulator = StatsAccumulator.create();
+    prices.forEach(price => {
+        accumulator.sketch[Math.min(Math.max(Math.floor((Math.log(price / currentPrice) - minLogChange) / binWidth), 0), binCount - 1)]++;
+    });
+    accumulator.count = prices.length;
+    accumulator.min = Math.min(...prices);
+    accumulator.max = Math.max(...prices);
+    return accumulator;
+};
+
+/**
+ * The CRPS of the prices themselves: E|X - y| - E|X - X'| / 2.
+ */
+const sampleCrps = (prices, price) => {
+    const sorted = [...prices].sort((a, b) => a - b);
+    const count = sorted.length;
+    const gap = sorted.reduce((sum, value) => sum + Math.abs(value - price), 0) / count;
+    const spread = sorted.reduce((sum, value, index) => sum + value * (2 * index - count + 1), 0) * 2 / (count * count);
+    return gap - spread / 2;
+};
+
+test("the CRPS of the sketch matches the CRPS of the prices", () => {
+    const prices = samplePrices(20000);
+    const forecast = forecastOf(prices);
+    [45000, 58000, 60000, 66000, 90000].forEach(price => {
+        const expected = sampleCrps(prices, price);
+        const crps = Backtester.crps(forecast, price, currentPrice);
+        assert.ok(Math.abs(crps / expected - 1) < 0.005, `${price}: ${crps} vs ${expected}`);
+    });
+});
+
+test("the CRPS rewards a forecast centered on the outcome and a narrow one", () => {
+    const wide = forecastOf(samplePrices(5000, 0.4));
+    const narrow = forecastOf(samplePrices(5000, 0.1));
+    assert.ok(Backtester.crps(narrow, currentPrice, currentPrice) < Backtester.crps(wide, currentPrice, currentPrice));
+    assert.ok(Backtester.crps(narrow, currentPrice, currentPrice) < Backtester.crps(narrow, 70000, currentPrice));
+
+    // A forecast of a single price is scored by its distance to the outcome
+    const point = forecastOf(new Array(100).fill(currentPrice));
+    assert.ok(Math.abs(Backtester.crps(point, 70000, currentPrice) - 10000) < 0.001 * 70000);
+});
+
+test("the PIT is the share of paths below the realized price", () => {
+    const prices = samplePrices(20000);
+    const sorted = [...prices].sort((a, b) => a - b);
+    const forecast = forecastOf(prices);
+    [0.05, 0.3, 0.5, 0.9].forEach(probability => {
+        const { pit } = Backtester.scoreForecast(forecast, currentPrice, sorted[Math.floor(probability * sorted.length)]);
+        assert.ok(Math.abs(pit - probability) < 0.005, `${probability}: ${pit}`);
+    });
+    assert.equal(Backtester.scoreForecast(forecast, currentPrice, sorted[0] / 2).pit, 0);
+    assert.equal(Backtester.scoreForecast(forecast, currentPrice, sorted[sorted.length - 1] * 2).pit, 1);
+
+    const { covered } = Backtester.scoreForecast(forecast, currentPrice, sorted[Math.floor(0.85 * sorted.length)]);
+    assert.deepEqual(covered, { 50: false, 80: true, 95: true });
+});
+
+test("outcomes drawn from the forecast give a flat PIT histogram and the nominal coverage", () => {
+    const forecast = forecastOf(samplePrices(20000));
+    const forecasts = samplePrices(2000, 0.2, 777).map(price => Backtester.scoreForecast(forecast, currentPrice, price));
+    const summary = Backtester.summarize(forecasts);
+
+    assert.equal(summary.forecasts, 2000);
+    assert.equal(summary.pit.bins.reduce((sum, bin) => sum + bin.count, 0), 2000);
+    // 9 degrees of freedom: 27.9 is the 0.1% critical value
+    assert.ok(summary.pit.chiSquare < 27.9, `chi-square ${summary.pit.chiSquare}`);
+    summary.coverage.forEach(({ level, observed }) => assert.ok(Math.abs(observed - level) < 4, `${level}%: ${observed}%`));
+
+    // A forecast that is too narrow piles the outcomes in the outer bins
+    const narrow = forecastOf(samplePrices(20000, 0.05));
+    const overconfident = Backtester.summarize(samplePrices(2000, 0.2, 777).map(price => Backtester.scoreForecast(narrow, currentPrice, price)));
+    assert.ok(overconfident.pit.bins[0].share > 0.3 && overconfident.pit.bins[9].share > 0.3);
+    assert.ok(overconfident.crps.mean > summary.crps.mean);
+});
+
+test("origins start after the warm-up, every step, with a realized price at the horizon", () => {
+    const start = Date.parse("2024-01-01");
+    const history = Array.from({ length: 120 }, (_, index) => ({ date: new Date(start + index * Backtester.dayMs).toISOString().slice(0, 10), close: 40000 + index }))
+        .filter(({ date }) => date !== "2024-03-31");
+    const origins = Backtester.origins(history, { horizonDays: 10, stepDays: 20, warmupDays: 40 });
+
+    // The origin of 2024-03-21 is skipped, its realized price is missing, and the steps are counted in rows
+    assert.deepEqual(origins.map(origin => origin.date), ["2024-02-10", "2024-03-01", "2024-04-11"]);
+    assert.deepEqual(origins[0], { index: 40, date: "2024-02-10", close: 40040, realizedDate: "2024-02-20", realizedPrice: 40050 });
+    assert.throws(() => Backtester.origins(history, { horizonDays: 10, stepDays: 20, warmupDays: 30 }), /at least 31 days/);
+});
\ No newline at end of file
@@ -0,0 +1,93 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const CurrencyConverter = require("../modules/currencyConverter");
+
+/**
+ * A core log row as logged by a run, with the values as strings.
+ */
+const coreRow = {
+    simulation_id: "12",
+    timestamp: "1717200000000",
+    current_price: "67512",
+    highest_price: "98765",
+    target_price: "74321",
+    average_price: "68001",
+    lowest_price: "41234",
+    simulated_data: "50000",
+    seed: "123456789",
+    simulation_days: "30",
+    volatility_percentage: "12.5",
+    current_price_exact: "67512.34",
+    standard_error: "85.20",
+    mean_estimate: "68001.12",
+    mean_standard_error: "85.20",
+    mean_ci_lower: "67834.13",
+    mean_ci_upper: "68168.11",
+    var_95: "16543.21",
+    cvar_95: "20987.65",
+    max_drawdown_p50: "18.25",
+    price_age_seconds: "4",
+    percentile_5: "52000",
+    percentile_95: "86000",
+    fx_rates: "EUR=0.920000;JPY=156.900000"
+};
+
+test("the USD amounts of a core log row are converted, the other columns are left as they are", () => {
+    const converted = CurrencyConverter.convertCoreRow(coreRow, 0.92);
+
+    // Prices and percentiles are whole numbers
+    assert.equal(converted.current_price, "62111");
+    assert.equal(converted.highest_price, "90864");
+    assert.equal(converted.lowest_price, "37935");
+    assert.equal(converted.percentile_5, "47840");
+    assert.equal(converted.percentile_95, "79120");
+    // The other amounts keep their cents
+    assert.equal(converted.current_price_exact, "62111.35");
+    assert.equal(converted.standard_error, "78.38");
+    assert.equal(converted.mean_estimate, "62561.03");
+    assert.equal(converted.mean_ci_lower, "62407.40");
+    assert.equal(converted.var_95, "15219.75");
+    assert.equal(converted.cvar_95, "19308.64");
+
+    ["simulation_id", "timestamp", "simulated_data", "seed", "simulation_days", "volatility_percentage", "max_drawdown_p50", "price_age_seconds", "fx_rates"].forEach(column => {
+        assert.equal(converted[column], coreRow[column], column);
+    });
+    // The row itself is not changed
+    assert.equal(coreRow.current_price, "67512");
+});
+
+test("empty amounts of older runs stay empty", () => {
+    const converted = CurrencyConverter.convertCoreRow({ ...coreRow, standard_error: "", mean_estimate: "" }, 156.9);
+    assert.equal(converted.standard_error, "");
+    assert.equal(converted.mean_estimate, "");
+    assert.equal(converted.current_price, String(Math.round(67512 * 156.9)));
+});
+
+test("the rates logged with a run are read back", () => {
+    const rates = CurrencyConverter.parseRates(coreRow.fx_rates);
+    assert.deepEqual(rates, { USD: 1, EUR: 0.92, JPY: 156.9 });
+    assert.equal(CurrencyConverter.describeRates(rates), coreRow.fx_rates);
+    assert.deepEqual(CurrencyConverter.parseRates(""), { USD: 1 });
+    assert.deepEqual(CurrencyConverter.parseRates(), { USD: 1 });
+});
+
+test("the overview and the strategy amounts of an output are converted", () => {
+    const output = {
+        status: "OK",
+        overview: { current: { price: 60000, changePercentage: "0.00%" }, target: { price: 66000, changePercentage: "+10.00%" } },
+        strategies: { paths: 100, strategies: [{ name: "DCA", initialAmount: 1000, contributionAmount: 100, totalInvested: 2200, finalValue: { mean: 2500, p50: 2400 }, irrPercentage: { p50: 12.5 } }] }
+    };
+    const converted = CurrencyConverter.convertOutput(output, 0.8);
+
+    assert.deepEqual(converted.overview, { current: { price: 48000, changePercentage: "0.00%" }, target: { price: 52800, changePercentage: "+10.00%" } });
+    assert.deepEqual(converted.strategies.strategies[0].finalValue, { mean: 2000, p50: 1920 });
+    assert.equal(converted.strategies.strategies[0].totalInvested, 1760);
+    assert.deepEqual(converted.strategies.strategies[0].irrPercentage, { p50: 12.5 });
+    assert.equal(converted.status, "OK");
+    assert.equal(output.overview.current.price, 60000);
+});
+
+test("currencies without a known format are displayed with their code", () => {
+    assert.deepEqual(CurrencyConverter.describe("JPY"), { code: "JPY", symbol: "¥", locale: "ja-JP", decimals: 0 });
+    assert.deepEqual(CurrencyConverter.describe("CHF"), { code: "CHF", symbol: "CHF", locale: "en-US", decimals: 2 });
+});
\ No newline at end of file
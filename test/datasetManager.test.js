@@ -0,0 +1,96 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const DatasetManager = require("../modules/datasetManager");
+
+const header = "Date,Open,High,Low,Close,Adj Close,Volume";
+let directory;
+let file;
+
+beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "synthbtc-dataset-"));
+    file = path.join(directory, "BTC-USD.csv");
+});
+
+afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test("validate reports the rows that are not valid and the duplicated dates", () => {
+    fs.writeFileSync(file, [
+        header,
+        "2024-01-01,42000.5,43000,41000,42500,42500,1000",
+        "2024-01-02,null,null,null,null,null,null",
+        "2024-01-03,42500,44000,42000,43500,43500,1200",
+        "2024-01-03,42500,44000,42000,43600,43600,1300",
+        "2024-02-30,1,1,1,1,1,1"
+    ].join("\n"));
+    const original = fs.readFileSync(file, "utf8");
+
+    const result = DatasetManager.validate(file);
+
+    assert.equal(result.rows, 2);
+    assert.deepEqual(result.invalid.map(({ line, reason }) => [line, reason]), [[3, "missing or non-positive price"], [6, "invalid date"]]);
+    assert.deepEqual(result.duplicates, ["2024-01-03"]);
+    assert.equal(result.fixed, false);
+    assert.equal(fs.readFileSync(file, "utf8"), original);
+});
+
+test("validate with fix keeps the last row of a date and the text of the others", () => {
+    fs.writeFileSync(file, [
+        header,
+        "2024-01-01,42000.5,43000,41000,42500,42500,1000",
+        "2024-01-02,null,null,null,null,null,null",
+        "2024-01-03,42500,44000,42000,43500,43500,1200",
+        "2024-01-03,42500,44000,42000,43600,43600,1300"
+    ].join("\n") + "\n");
+
+    const result = DatasetManager.validate(file, { fix: true });
+
+    assert.equal(result.fixed, true);
+    assert.equal(fs.readFileSync(file, "utf8"), [
+        header,
+        "2024-01-01,42000.5,43000,41000,42500,42500,1000",
+        "2024-01-03,42500,44000,42000,43600,43600,1300"
+    ].join("\n") + "\n");
+    assert.deepEqual(DatasetManager.validate(file), { rows: 2, invalid: [], duplicates: [], fixed: false });
+});
+
+test("update appends the missing days without rewriting the existing rows", async () => {
+    const existing = [header, "2024-01-01,42000.5,43000,41000,42500,42500,1000", "2024-01-02,42500,43500,42000,43000,43000,1100"].join("\n");
+    fs.writeFileSync(file, existing);
+    DatasetManager.sources.test = {
+        async fetch(from, to) {
+            return [from, to].map(date => ({ date: date, open: 43000, high: 44000, low: 42500, close: 43800, volume: 900.4 }));
+        }
+    };
+
+    try {
+        const result = await DatasetManager.update(file, { sources: ["test"], now: Date.parse("2024-01-05T12:00:00Z") });
+
+        assert.equal(result.added, 2);
+        assert.equal(result.lastDate, "2024-01-04");
+        assert.equal(fs.readFileSync(file, "utf8"), existing + "\n" + [
+            "2024-01-03,43000.000000,44000.000000,42500.000000,43800.000000,43800.000000,900",
+            "2024-01-04,43000.000000,44000.000000,42500.000000,43800.000000,43800.000000,900"
+        ].join("\n"));
+    } finally {
+        delete DatasetManager.sources.test;
+    }
+});
+
+test("the report lists the gaps and anomalies", () => {
+    const rows = [
+        { date: "2024-01-01", open: 100, high: 110, low: 90, close: 100, volume: 10 },
+        { date: "2024-01-02", open: 100, high: 150, low: 95, close: 140, volume: 10 },
+        { date: "2024-01-05", open: 140, high: 140, low: 140, close: 140, volume: 0 }
+    ];
+
+    const report = DatasetManager.report(rows, { maxDailyChangePercentage: 30 });
+
+    assert.equal(report.missingDays, 2);
+    assert.deepEqual(report.gaps, [{ after: "2024-01-02", before: "2024-01-05", missingDays: 2 }]);
+    assert.deepEqual(report.anomalies.map(({ date, type }) => [date, type]), [["2024-01-02", "jump"], ["2024-01-05", "flat"], ["2024-01-05", "zeroVolume"]]);
+});
\ No newline at end of file
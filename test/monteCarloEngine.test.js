@@ -0,0 +1,50 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const MonteCarloEngine = require("../modules/monteCarloEngine");
+
+/**
+ * Simulates a few paths of a seeded run, starting at a global path index.
+ */
+const simulate = (seed, { totalSimulations = 200, firstPath = 0, turbitPower = 2, model = "lognormal" } = {}) => MonteCarloEngine.simulatePrices({
+    currentPrice: 60000,
+    totalSimulations: totalSimulations,
+    decimalVolatility: 0.3,
+    simulationDays: 20,
+    turbitPower: turbitPower,
+    model: MonteCarloEngine.resolveModel(model),
+    seed: seed,
+    firstPath: firstPath
+});
+
+test("the same seed gives the same prices", async () => {
+    const first = await simulate(42);
+    const second = await simulate(42);
+    assert.equal(first.prices.length, 200);
+    assert.deepEqual(second.prices, first.prices);
+    assert.deepEqual(second.bands, first.bands);
+
+    const other = await simulate(43);
+    assert.notDeepEqual(other.prices, first.prices);
+});
+
+test("the prices of a path do not depend on how the paths are split", async () => {
+    const whole = await simulate(7, { totalSimulations: 300, turbitPower: 3 });
+    const single = await simulate(7, { totalSimulations: 300, turbitPower: 1 });
+    assert.deepEqual(single.prices, whole.prices);
+
+    // A later batch draws the same numbers as the same paths of a single batch
+    const batch = await simulate(7, { totalSimulations: 100, firstPath: 200 });
+    assert.deepEqual(batch.prices, whole.prices.slice(200));
+});
+
+test("every model is reproducible", async () => {
+    for (const model of ["lognormal", "gbm", "merton", "garch"]) {
+        assert.deepEqual(await simulate(2024, { model }), await simulate(2024, { model }), model);
+    }
+});
+
+test("the seed must be an unsigned 32-bit integer", async () => {
+    await assert.rejects(simulate(-1), /Seed must be an integer/);
+    await assert.rejects(simulate(2 ** 32), /Seed must be an integer/);
+    await assert.rejects(simulate(1.5), /Seed must be an integer/);
+});
\ No newline at end of file
@@ -0,0 +1,74 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const OptionPricer = require("../modules/optionPricer");
+
+const market = { currentPrice: 60000, volatility: 0.6, rate: 0.05 };
+
+/**
+ * The Black-Scholes Greeks of a European option (vega per volatility point), to check the bumped ones against.
+ */
+const blackScholesGreeks = ({ type, strike, expiryDays }) => {
+    const { currentPrice, volatility, rate } = market;
+    const years = expiryDays / OptionPricer.daysPerYear;
+    const d1 = (Math.log(currentPrice / strike) + (rate + 0.5 * volatility * volatility) * years) / (volatility * Math.sqrt(years));
+    const density = Math.exp(-d1 * d1 / 2) / Math.sqrt(2 * Math.PI);
+    return {
+        delta: type === "call" ? OptionPricer.normalCdf(d1) : OptionPricer.normalCdf(d1) - 1,
+        gamma: density / (currentPrice * volatility * Math.sqrt(years)),
+        vega: currentPrice * density * Math.sqrt(years) / 100
+    };
+};
+
+test("the Black-Scholes prices match the reference values and the put-call parity", () => {
+    const inputs = { currentPrice: 100, strike: 100, years: 1, volatility: 0.2, rate: 0.05 };
+    const call = OptionPricer.blackScholesPrice({ type: "call", ...inputs });
+    const put = OptionPricer.blackScholesPrice({ type: "put", ...inputs });
+    assert.ok(Math.abs(call - 10.4506) < 1e-3, `call ${call}`);
+    assert.ok(Math.abs(put - 5.5735) < 1e-3, `put ${put}`);
+    assert.ok(Math.abs(call - put - (100 - 100 * Math.exp(-0.05))) < 1e-6);
+});
+
+test("European prices agree with Black-Scholes and the Greeks with their closed forms", async () => {
+    const options = [
+        { style: "european", type: "call", strike: 60000, expiryDays: 90 },
+        { style: "european", type: "put", strike: 55000, expiryDays: 90 },
+        { style: "european", type: "call", strike: 70000, expiryDays: 30 }
+    ];
+    const result = await OptionPricer.price({ ...market, options, totalSimulations: 20000, turbitPower: 100, seed: 2024 });
+    assert.equal(result.seed, 2024);
+
+    result.options.forEach(option => {
+        const expected = blackScholesGreeks(option);
+        const label = `${option.type} ${option.strike} ${option.expiryDays}d`;
+        assert.ok(Math.abs(option.price - option.blackScholesPrice) < 4 * option.standardError, `${label}: ${option.price} vs ${option.blackScholesPrice}`);
+        assert.ok(Math.abs(option.delta - expected.delta) < 0.03, `${label} delta: ${option.delta} vs ${expected.delta}`);
+        assert.ok(Math.abs(option.gamma / expected.gamma - 1) < 0.15, `${label} gamma: ${option.gamma} vs ${expected.gamma}`);
+        assert.ok(Math.abs(option.vega / expected.vega - 1) < 0.1, `${label} vega: ${option.vega} vs ${expected.vega}`);
+    });
+});
+
+test("knock-in and knock-out barriers add up to the European option, and Asian options are cheaper", async () => {
+    const european = { style: "european", type: "call", strike: 60000, expiryDays: 90 };
+    const options = [
+        european,
+        { ...european, style: "barrier", barrier: 70000, barrierType: "up-and-in" },
+        { ...european, style: "barrier", barrier: 70000, barrierType: "up-and-out" },
+        { ...european, style: "asian" }
+    ];
+    const [vanilla, knockIn, knockOut, asian] = (await OptionPricer.price({ ...market, options, totalSimulations: 5000, turbitPower: 100, seed: 7 })).options;
+
+    // Every option is priced on the same paths
+    assert.ok(Math.abs(knockIn.price + knockOut.price - vanilla.price) < 1e-6 * vanilla.price);
+    assert.ok(knockOut.price < knockIn.price);
+    assert.ok(asian.price < vanilla.price);
+    assert.equal(asian.blackScholesPrice, null);
+});
+
+test("requests with too many options or too long expiries are refused", async () => {
+    const option = { style: "european", type: "call", strike: 60000, expiryDays: 30 };
+    assert.throws(() => OptionPricer.validateOptions([]), /At least one option/);
+    assert.throws(() => OptionPricer.validateOptions(new Array(OptionPricer.maxOptions + 1).fill(option)), /At most 50 options/);
+    assert.throws(() => OptionPricer.validateOptions([{ ...option, expiryDays: OptionPricer.maxExpiryDays + 1 }]), /at most 3650 days/);
+    assert.throws(() => OptionPricer.validateOptions([{ ...option, style: "barrier", barrier: 70000, barrierType: "sideways" }]), /Unknown barrier type/);
+    await assert.rejects(OptionPricer.price({ ...market, volatility: 0.005, options: [option], totalSimulations: 100, turbitPower: 100 }), /volatility bump/);
+});
\ No newline at end of file
@@ -0,0 +1,35 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const PriceFetcher = require("../modules/priceFetcher");
+
+const quote = (name, price, weight = 1) => ({ name: name, price: price, weight: weight });
+
+test("the weighted median follows the weights", () => {
+    assert.equal(PriceFetcher.weightedMedian([quote("a", 100), quote("b", 200), quote("c", 300)]), 200);
+    assert.equal(PriceFetcher.weightedMedian([quote("a", 100), quote("b", 200)]), 150);
+    assert.equal(PriceFetcher.weightedMedian([quote("a", 100, 3), quote("b", 200), quote("c", 300)]), 100);
+});
+
+test("the weighted median of no quote is an error", () => {
+    assert.throws(() => PriceFetcher.weightedMedian([]), /No quotes/);
+});
+
+test("quotes far from the median are rejected", () => {
+    const result = PriceFetcher.consensus([quote("a", 60000), quote("b", 60060), quote("c", 59940), quote("d", 66000)], 2);
+
+    assert.equal(result.price, 60000);
+    assert.deepEqual(result.quotes.map(({ name, status }) => [name, status]), [["a", "used"], ["b", "used"], ["c", "used"], ["d", "rejected"]]);
+});
+
+test("the closest quotes are kept when every quote deviates from the median", () => {
+    const result = PriceFetcher.consensus([quote("a", 60000), quote("b", 63000, 2)], 2);
+
+    assert.ok(result.quotes.every(({ status }) => status === "used"));
+    assert.equal(result.price, 63000);
+});
+
+test("a single quote is its own consensus", () => {
+    const result = PriceFetcher.consensus([quote("a", 61234.5)], 2);
+    assert.equal(result.price, 61234.5);
+    assert.equal(result.quotes[0].deviationPercentage, 0);
+});
\ No newline at end of file
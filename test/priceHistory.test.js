@@ -0,0 +1,66 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const PriceHistory = require("../modules/priceHistory");
+
+const day = PriceHistory.intervalUnits.d;
+const start = Date.parse("2024-06-01T00:00:00Z");
+const sources = [{ name: "coingecko", status: "used", price: 0 }, { name: "kraken", status: "failed", price: null }];
+let directory;
+
+/**
+ * Records a quote with the price of its sources.
+ */
+const record = (file, timestamp, price) => {
+    PriceHistory.record(file, { timestamp, price, sources: sources.map(source => source.price === null ? source : { ...source, price }) });
+};
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "synthbtc-prices-"));
+});
+
+after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test("quotes are read in a time range, with the quotes recorded since the last read", () => {
+    const file = path.join(directory, "range.csv");
+    assert.deepEqual(PriceHistory.read(file), []);
+    [60000, 61000, 62000].forEach((price, index) => record(file, start + index * 1000, price));
+
+    assert.deepEqual(PriceHistory.read(file).map(quote => quote.price), [60000, 61000, 62000]);
+    assert.deepEqual(PriceHistory.read(file, { from: start + 1000, to: start + 2000 }).map(quote => quote.price), [61000, 62000]);
+    assert.deepEqual(PriceHistory.read(file, { to: start + 999 }).map(quote => quote.price), [60000]);
+    assert.deepEqual(PriceHistory.read(file).at(-1).sources, [{ name: "coingecko", price: 62000, status: "used" }, { name: "kraken", price: null, status: "failed" }]);
+
+    // A quote recorded out of order takes its place in time
+    record(file, start + 500, 60500);
+    record(file, start + 3000, 63000);
+    assert.deepEqual(PriceHistory.read(file).map(quote => quote.price), [60000, 60500, 61000, 62000, 63000]);
+});
+
+test("a line being written is only read once it is complete", () => {
+    const file = path.join(directory, "partial.csv");
+    record(file, start, 60000);
+    fs.appendFileSync(file, `${start + 1000},610`);
+    assert.deepEqual(PriceHistory.read(file).map(quote => quote.price), [60000]);
+    fs.appendFileSync(file, "00,\n");
+    assert.deepEqual(PriceHistory.read(file).map(quote => quote.price), [60000, 61000]);
+});
+
+test("the daily closes follow the new quotes and a replaced file", () => {
+    const file = path.join(directory, "closes.csv");
+    record(file, start + 1000, 60000);
+    record(file, start + 2000, 60500);
+    record(file, start + day + 1000, 61000);
+    assert.deepEqual([...PriceHistory.dailyCloses(file)], [["2024-06-01", 60500], ["2024-06-02", 61000]]);
+
+    record(file, start + day + 2000, 61500);
+    assert.deepEqual([...PriceHistory.dailyCloses(file)], [["2024-06-01", 60500], ["2024-06-02", 61500]]);
+
+    fs.rmSync(file);
+    record(file, start + 2 * day, 59000);
+    assert.deepEqual([...PriceHistory.dailyCloses(file)], [["2024-06-03", 59000]]);
+});
\ No newline at end of file
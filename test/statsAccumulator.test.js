@@ -0,0 +1,102 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const StatsAccumulator = require("../modules/statsAccumulator");
+
+const currentPrice = 60000;
+
+/**
+ * Builds the partial aggregates of a worker from its prices, the way the engine does.
+ */
+const partialOf = (prices) => {
+    const { minLogChange, binWidth, binCount } = StatsAccumulator.sketchGrid;
+    const counts = new Array(binCount).fill(0);
+    let mean = 0;
+    let m2 = 0;
+    prices.forEach((price, index) => {
+        const delta = price - mean;
+        mean += delta / (index + 1);
+        m2 += delta * (price - mean);
+        const bin = Math.min(Math.max(Math.floor((Math.log(price / currentPrice) - minLogChange) / binWidth), 0), binCount - 1);
+        counts[bin]++;
+    });
+    return {
+        count: prices.length,
+        mean: mean,
+        m2: m2,
+        min: Math.min(...prices),
+        max: Math.max(...prices),
+        sketch: { offset: 0, counts: counts },
+        control: null
+    };
+};
+
+/**
+ * Deterministic log-normal prices around the current price.
+ */
+const samplePrices = (count) => {
+    let state = 12345;
+    const uniform = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return (state + 0.5) / 2147483648;
+    };
+    return Array.from({ length: count }, () => {
+        const normal = Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+        return currentPrice * Math.exp(0.2 * normal);
+    });
+};
+
+test("merging worker partials gives the statistics of all the prices", () => {
+    const prices = samplePrices(3000);
+    const whole = StatsAccumulator.merge(StatsAccumulator.create(), partialOf(prices));
+    const merged = [prices.slice(0, 1000), prices.slice(1000, 1700), prices.slice(1700)]
+        .reduce((accumulator, chunk) => StatsAccumulator.merge(accumulator, partialOf(chunk)), StatsAccumulator.create());
+
+    assert.equal(merged.count, 3000);
+    assert.ok(Math.abs(merged.mean - whole.mean) < 1e-6);
+    assert.ok(Math.abs(merged.m2 / whole.m2 - 1) < 1e-9);
+    assert.equal(merged.min, Math.min(...prices));
+    assert.equal(merged.max, Math.max(...prices));
+    assert.deepEqual(Array.from(merged.sketch), Array.from(whole.sketch));
+});
+
+test("the order of the partials does not change the result", () => {
+    const chunks = [samplePrices(500), samplePrices(1500).slice(500), samplePrices(2000).slice(1500)];
+    const forward = chunks.reduce((accumulator, chunk) => StatsAccumulator.merge(accumulator, partialOf(chunk)), StatsAccumulator.create());
+    const backward = [...chunks].reverse().reduce((accumulator, chunk) => StatsAccumulator.merge(accumulator, partialOf(chunk)), StatsAccumulator.create());
+
+    assert.equal(forward.count, backward.count);
+    assert.ok(Math.abs(forward.mean - backward.mean) < 1e-6);
+    assert.ok(Math.abs(forward.m2 / backward.m2 - 1) < 1e-9);
+});
+
+test("an empty partial leaves the accumulator unchanged", () => {
+    const accumulator = StatsAccumulator.merge(StatsAccumulator.create(), partialOf([59000, 61000]));
+    const before = { ...accumulator };
+    StatsAccumulator.merge(accumulator, { count: 0 });
+    assert.equal(accumulator.count, before.count);
+    assert.equal(accumulator.mean, before.mean);
+});
+
+test("quantiles of the sketch are within half a bin of the exact quantiles", () => {
+    const prices = samplePrices(20000);
+    const accumulator = StatsAccumulator.merge(StatsAccumulator.create(), partialOf(prices));
+    const sorted = [...prices].sort((a, b) => a - b);
+
+    [0.05, 0.25, 0.5, 0.75, 0.95].forEach(probability => {
+        const exact = sorted[Math.floor(probability * sorted.length)];
+        const estimate = StatsAccumulator.quantile(accumulator, probability, currentPrice);
+        assert.ok(Math.abs(Math.log(estimate / exact)) <= StatsAccumulator.sketchGrid.binWidth, `p${probability * 100}: ${estimate} vs ${exact}`);
+    });
+    assert.equal(StatsAccumulator.quantile(accumulator, 0, currentPrice), sorted[0]);
+    assert.equal(StatsAccumulator.quantile(accumulator, 1, currentPrice), sorted[sorted.length - 1]);
+});
+
+test("with a single batch, only independent paths give a standard error", () => {
+    const prices = samplePrices(4000);
+    const independent = StatsAccumulator.merge(StatsAccumulator.create(), partialOf(prices));
+    const expected = Math.sqrt(independent.m2 / independent.count / (independent.count - 1));
+    assert.ok(Math.abs(StatsAccumulator.standardError(independent) / expected - 1) < 1e-9);
+
+    const paired = StatsAccumulator.merge(StatsAccumulator.create({ pathStandardError: false }), partialOf(prices));
+    assert.equal(StatsAccumulator.standardError(paired), null);
+});
\ No newline at end of file
@@ -0,0 +1,127 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Storage = require("../modules/storage");
+
+const prefixes = {
+    simulation: "source_simulation",
+    multiAsset: "multi_simulation",
+    bands: "bands_simulation",
+    distributions: "distribution_simulation",
+    histogram: "histogram_simulation"
+};
+let directory;
+
+/**
+ * Opens a storage backend in its own directory of the temporary directory.
+ */
+const open = (backend, name) => Storage.open(backend, {
+    dataDir: path.join(directory, name, "data"),
+    coreFiles: {
+        simulation: path.join(directory, name, "core.csv"),
+        multiAsset: path.join(directory, name, "multi_core.csv")
+    },
+    prefixes: prefixes,
+    file: path.join(directory, name, "synthBTC.db")
+});
+
+/**
+ * Reads every row of a source.
+ */
+const readAll = (storage, source) => {
+    const rows = [];
+    const columns = storage.readSource(source, batch => rows.push(...batch), 2);
+    return { columns, rows };
+};
+
+/**
+ * Stores a simulation run with its paths and artifacts.
+ */
+const addSimulation = (storage, id, rows) => {
+    const source = storage.createSource("simulation", ["simulation", "day_1", "day_2"]);
+    source.append(rows);
+    storage.writeArtifact(source.name, "bands", "day,p5,p50,p95\n1,59000,60000,61000\n2,58000,60100,62000\n");
+    storage.writeArtifact(source.name, "histogram", "lower,upper,count\n58000,60000,3\n60000,62000,2\n");
+    storage.writeArtifact(source.name, "distributions", "day,measure,offset,counts\n1,price,10,1 2 3\n2,high,12,4 5\n");
+    storage.appendRun("simulation", { simulation_id: id, timestamp: 1700000000000 + id, data_source: source.name, simulated_data: rows.length, model: "gbm, antithetic" });
+    return source.name;
+};
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "synthbtc-storage-"));
+});
+
+after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test("the CSV runs, paths and artifacts are migrated to SQLite and back", () => {
+    const csv = open("csv", "csv");
+    const first = addSimulation(csv, 1, [["1", "60100.5", "60200"], ["2", "59900", "59800.25"], ["3", "60000", "60000"]]);
+    // A removed run leaves a gap in the ids
+    const third = addSimulation(csv, 3, [["1", "61000", "61500"], ["2", "59000", "58500"]]);
+    const multi = csv.createSource("multiAsset", ["simulation", "BTC", "ETH", "portfolio"]);
+    multi.append([["1", "60000", "3000", "1.01"]]);
+    csv.appendRun("multiAsset", { simulation_id: 1, timestamp: 1700000000100, data_source: multi.name, simulated_data: 1 });
+
+    const sqlite = open("sqlite", "sqlite");
+    assert.deepEqual(Storage.migrate(csv, sqlite), { copied: 3, skipped: 0, paths: 6 });
+
+    assert.deepEqual(sqlite.summary(), { simulations: 2, simulatedData: 5 });
+    assert.deepEqual(sqlite.listRuns("simulation"), csv.listRuns("simulation"));
+    assert.deepEqual(sqlite.getRun("simulation", 3), csv.getRun("simulation", 3));
+    assert.equal(sqlite.getRun("simulation", 2), null);
+    assert.deepEqual(sqlite.listRuns("multiAsset"), csv.listRuns("multiAsset"));
+    [first, third, multi.name].forEach(source => {
+        assert.deepEqual(readAll(sqlite, source), readAll(csv, source));
+    });
+    assert.deepEqual(sqlite.readBands(first), csv.readBands(first));
+    assert.deepEqual(sqlite.readHistogram(third), [{ lower: 58000, upper: 60000, count: 3 }, { lower: 60000, upper: 62000, count: 2 }]);
+    assert.deepEqual(sqlite.readDistributions(first), csv.readDistributions(first));
+
+    // Runs already in the target are skipped
+    assert.deepEqual(Storage.migrate(csv, sqlite), { copied: 0, skipped: 3, paths: 0 });
+
+    const back = open("csv", "back");
+    assert.deepEqual(Storage.migrate(sqlite, back), { copied: 3, skipped: 0, paths: 6 });
+    assert.deepEqual(back.listRuns("simulation"), csv.listRuns("simulation"));
+    ["source_simulation_1.csv", "bands_simulation_1.csv", "histogram_simulation_2.csv", "multi_simulation_1.csv"].forEach(file => {
+        assert.equal(fs.readFileSync(path.join(directory, "back", "data", file), "utf8"), fs.readFileSync(path.join(directory, "csv", "data", file), "utf8"));
+    });
+
+    sqlite.close();
+});
+
+test("new sources of a kind follow the last one", () => {
+    ["csv", "sqlite"].forEach(backend => {
+        const storage = open(backend, `next-${backend}`);
+        addSimulation(storage, 1, [["1", "60000", "60100"]]);
+        addSimulation(storage, 2, [["1", "60000", "59900"]]);
+        const source = storage.createSource("simulation", ["simulation", "day_1"]);
+        assert.equal(source.name, "source_simulation_3.csv");
+        assert.equal(source.index, 3);
+        source.remove();
+        assert.equal(storage.readSource(source.name, () => {}), null);
+        storage.close();
+    });
+});
+
+test("the latest run is the last one logged", () => {
+    ["csv", "sqlite"].forEach(backend => {
+        const storage = open(backend, `latest-${backend}`);
+        assert.equal(storage.latestRun("simulation"), null);
+        addSimulation(storage, 1, [["1", "60000", "60100"]]);
+        // A removed run leaves a gap in the ids
+        addSimulation(storage, 4, [["1", "60000", "59900"]]);
+        assert.deepEqual(storage.latestRun("simulation"), storage.getRun("simulation", 4));
+        assert.equal(storage.latestRun("simulation").model, "gbm, antithetic");
+        assert.equal(storage.latestRun("multiAsset"), null);
+        storage.close();
+    });
+});
+
+test("an unknown backend is an error", () => {
+    assert.throws(() => Storage.open("parquet", {}), /Unknown storage backend: parquet/);
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const MonteCarloEngine = require("../modules/monteCarloEngine");
+const StrategySimulator = require("../modules/strategySimulator");
+
+const run = { currentPrice: 60000, decimalVolatility: 0.4, simulationDays: 365, model: "lognormal", seed: 99 };
+
+test("the contributions of a strategy are its cash flows", () => {
+    const [strategy] = StrategySimulator.normalizeStrategies([{ name: "DCA", initialAmount: 1000, contributionAmount: 100, contributionIntervalDays: 7 }], 30);
+    assert.deepEqual(strategy.flows.map(flow => flow.amount), [1100, 100, 100, 100, 100]);
+    assert.deepEqual(strategy.flows.map(flow => Math.round(flow.years * StrategySimulator.daysPerYear)), [0, 7, 14, 21, 28]);
+    assert.equal(strategy.totalInvested, 1500);
+    assert.equal(strategy.years, 30 / 365);
+    assert.equal(strategy.btcWeight, 1);
+});
+
+test("strategies that are not valid are refused", () => {
+    assert.throws(() => StrategySimulator.normalizeStrategies([], 30), /At least one strategy/);
+    assert.throws(() => StrategySimulator.normalizeStrategies([{ name: "Nothing" }], 30), /does not invest anything/);
+    assert.throws(() => StrategySimulator.normalizeStrategies([{ name: "Leveraged", initialAmount: 100, btcWeight: 1.5 }], 30), /between 0 and 1/);
+    assert.throws(() => StrategySimulator.normalizeStrategies([{ name: "Weekly", contributionAmount: 10, contributionIntervalDays: 3.5 }], 30), /whole number of days/);
+    assert.throws(() => StrategySimulator.normalizeStrategies([{ name: "Stop", initialAmount: 100, stopLossPercentage: 100 }], 30), /between 0 and 100/);
+});
+
+test("money kept in cash is worth what was invested, with a zero IRR and no drawdown", async () => {
+    const { paths, strategies: [cash] } = await StrategySimulator.simulate({
+        run: run,
+        strategies: [{ name: "Cash", initialAmount: 1000, contributionAmount: 50, contributionIntervalDays: 30, btcWeight: 0 }],
+        totalSimulations: 500,
+        turbitPower: 100
+    });
+    assert.equal(paths, 500);
+    assert.equal(cash.totalInvested, 1000 + 50 * 13);
+    assert.equal(cash.finalValue.mean, cash.totalInvested);
+    StrategySimulator.percentiles.forEach(percentile => {
+        assert.ok(Math.abs(cash.finalValue[`p${percentile}`] / cash.totalInvested - 1) < 0.001);
+        assert.ok(Math.abs(cash.irrPercentage[`p${percentile}`]) <= 0.1);
+    });
+    assert.equal(cash.maxDrawdownPercentage.max, 0);
+});
+
+test("a lump sum in BTC follows the price of the paths", async () => {
+    const [lumpSum] = StrategySimulator.normalizeStrategies([{ name: "Lump sum", initialAmount: 1000 }], run.simulationDays);
+    const simulation = await MonteCarloEngine.executeFullSimulation({ ...run, totalSimulations: 2000, turbitPower: 100, strategies: [lumpSum] });
+    const [{ value, growth }] = simulation.strategies;
+
+    // The same paths: the value is the amount invested times the change of the price
+    assert.equal(value.count, simulation.stats.count);
+    assert.ok(Math.abs(value.mean / (1000 * simulation.stats.mean / run.currentPrice) - 1) < 1e-9);
+    assert.ok(Math.abs(value.min / (1000 * simulation.stats.min / run.currentPrice) - 1) < 1e-9);
+    // Over one year, the growth of a single contribution is its total return
+    assert.ok(Math.abs(growth.mean * 1000 / value.mean - 1) < 1e-6);
+});
+
+test("a take-profit sells everything once the value is reached", async () => {
+    const { strategies: [hold, takeProfit] } = await StrategySimulator.simulate({
+        run: run,
+        strategies: [{ name: "Hold", initialAmount: 1000 }, { name: "Take profit", initialAmount: 1000, takeProfitPercentage: 20 }],
+        totalSimulations: 2000,
+        turbitPower: 100
+    });
+    // Paths that rise above +20% are sold on the way, at the first daily price above it: their upside is capped
+    assert.ok(takeProfit.finalValue.p95 < hold.finalValue.p95);
+    assert.ok(takeProfit.finalValue.p75 >= 1200 && takeProfit.finalValue.p75 < 1300);
+    assert.ok(takeProfit.irrPercentage.p75 >= 20);
+});
\ No newline at end of file